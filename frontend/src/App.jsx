@@ -1,22 +1,38 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { BrowserRouter as Router, Routes, Route, NavLink } from 'react-router-dom';
 import axios from 'axios';
-import { Map as MapIcon, Mic, List, RefreshCw } from 'lucide-react';
+import { Map as MapIcon, Mic, List, RefreshCw, MapPinPlus } from 'lucide-react';
 import Map from './components/Map';
 import PostList from './components/PostList';
 import ProcessingStatus from './components/ProcessingStatus';
+import ReporterFilter from './components/ReporterFilter';
+import IssueFilters from './components/IssueFilters';
 import FeedPage from './pages/FeedPage';
+import ReportPage from './pages/ReportPage';
+import { matchesIssueFilters } from './utils/issues';
 
 // Home Page (Map View) - Only shows Processed Issues
 function MapView() {
   const [locations, setLocations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [reporter, setReporter] = useState('');
+  const [issueTypes, setIssueTypes] = useState([]);
+  const [issueFilters, setIssueFilters] = useState({ type: '', minSeverity: 0, accessibility: false });
 
   useEffect(() => {
     fetchLocations();
+    axios.get('/api/issue-types')
+      .then(res => setIssueTypes(res.data.issueTypes))
+      .catch(err => console.error("Error fetching issue types:", err));
   }, []);
 
+  const visibleLocations = useMemo(() => {
+    return locations.filter(loc =>
+      (!reporter || loc.author === reporter) && matchesIssueFilters(loc, issueFilters)
+    );
+  }, [locations, reporter, issueFilters]);
+
   const fetchLocations = async () => {
     try {
       setLoading(true);
@@ -40,7 +56,7 @@ function MapView() {
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
           </div>
         ) : (
-          <Map locations={locations} />
+          <Map locations={visibleLocations} issueTypes={issueTypes} />
         )}
       </div>
 
@@ -51,14 +67,20 @@ function MapView() {
             <MapIcon size={18} className="text-blue-600" />
             Mapped Issues
           </h2>
-          <span className="text-xs font-medium bg-gray-100 text-gray-600 px-2 py-1 rounded-full">{locations.length}</span>
+          <div className="flex items-center gap-2">
+            <ReporterFilter posts={locations} value={reporter} onChange={setReporter} />
+            <span className="text-xs font-medium bg-gray-100 text-gray-600 px-2 py-1 rounded-full">{visibleLocations.length}</span>
+          </div>
+        </div>
+        <div className="px-4 py-2 border-b border-gray-100 bg-white">
+          <IssueFilters issueTypes={issueTypes} value={issueFilters} onChange={setIssueFilters} />
         </div>
 
         <div className="flex-1 overflow-y-auto bg-gray-50/50">
           {error ? (
             <div className="p-8 text-center text-red-500">{error}</div>
           ) : (
-            <PostList posts={locations} />
+            <PostList posts={visibleLocations} />
           )}
         </div>
       </div>
@@ -103,6 +125,17 @@ function App() {
                   >
                     <List size={16} className="mr-2" /> Raw Feed
                   </NavLink>
+                  <NavLink
+                    to="/report"
+                    className={({ isActive }) =>
+                      `inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${isActive
+                        ? 'border-blue-500 text-gray-900'
+                        : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                      }`
+                    }
+                  >
+                    <MapPinPlus size={16} className="mr-2" /> Report an Issue
+                  </NavLink>
                 </div>
               </div>
             </div>
@@ -128,6 +161,15 @@ function App() {
             >
               <List size={18} /> Feed
             </NavLink>
+            <NavLink
+              to="/report"
+              className={({ isActive }) =>
+                `flex-1 py-3 text-sm font-medium flex justify-center items-center gap-2 ${isActive ? 'text-blue-600 bg-blue-50 border-b-2 border-blue-600' : 'text-gray-500'
+                }`
+              }
+            >
+              <MapPinPlus size={18} /> Report
+            </NavLink>
           </div>
         </header>
 
@@ -139,6 +181,7 @@ function App() {
           <Routes>
             <Route path="/" element={<MapView />} />
             <Route path="/feed" element={<FeedPage />} />
+            <Route path="/report" element={<ReportPage />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,40 @@
+import { Accessibility } from 'lucide-react';
+
+// Issue type, minimum severity and accessibility filters for the map
+export default function IssueFilters({ issueTypes, value, onChange }) {
+    const update = (changes) => onChange({ ...value, ...changes });
+    const selectClass = "px-2 py-1 text-xs border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 outline-none";
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <select
+                value={value.type}
+                onChange={(e) => update({ type: e.target.value })}
+                className={selectClass}
+            >
+                <option value="">All issue types</option>
+                {issueTypes.map(type => (
+                    <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+            </select>
+            <select
+                value={value.minSeverity}
+                onChange={(e) => update({ minSeverity: Number(e.target.value) })}
+                className={selectClass}
+            >
+                <option value={0}>Any severity</option>
+                {[2, 3, 4, 5].map(level => (
+                    <option key={level} value={level}>Severity {level}+</option>
+                ))}
+            </select>
+            <label className="inline-flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={value.accessibility}
+                    onChange={(e) => update({ accessibility: e.target.checked })}
+                />
+                <Accessibility size={14} /> Accessibility
+            </label>
+        </div>
+    );
+}
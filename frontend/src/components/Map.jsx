@@ -1,8 +1,14 @@
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { Fragment } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import icon from 'leaflet/dist/images/marker-icon.png';
 import iconShadow from 'leaflet/dist/images/marker-shadow.png';
+import { sourceLinkLabel } from '../utils/sources';
+import { postImages } from '../utils/media';
+import { severityColor, issueTypeLabel } from '../utils/issues';
+import { isImprecise, precisionLabel } from '../utils/precision';
+import { addressLabel } from '../utils/address';
 
 // Fix for default marker icon in React-Leaflet
 let DefaultIcon = L.icon({
@@ -15,7 +21,38 @@ let DefaultIcon = L.icon({
 });
 L.Marker.prototype.options.icon = DefaultIcon;
 
-export default function Map({ locations }) {
+// Circle coloured by severity; a dark ring marks issues affecting accessibility,
+// a dashed ring and lighter fill an imprecise location. Unclassified issues keep the default pin.
+const severityIcons = {};
+function issueIcon(loc) {
+    const color = severityColor(loc.severity);
+    if (!color) return DefaultIcon;
+
+    const imprecise = isImprecise(loc);
+    const key = `${loc.severity}-${loc.accessibilityImpact ? 'a' : ''}-${imprecise ? 'i' : ''}`;
+    if (!severityIcons[key]) {
+        const ringColor = loc.accessibilityImpact ? '#1e3a8a' : 'white';
+        const ring = `${loc.accessibilityImpact ? 3 : 2}px ${imprecise ? 'dashed' : 'solid'} ${ringColor}`;
+        severityIcons[key] = L.divIcon({
+            className: '',
+            html: `<div style="width:22px;height:22px;border-radius:50%;background:${color};opacity:${imprecise ? 0.7 : 1};border:${ring};box-shadow:0 1px 4px rgba(0,0,0,0.4);color:white;font:bold 11px/22px sans-serif;text-align:center">${loc.severity}</div>`,
+            iconSize: [22, 22],
+            iconAnchor: [11, 11],
+            popupAnchor: [0, -12]
+        });
+    }
+    return severityIcons[key];
+}
+
+// Reports a clicked position (used for dropping a report pin)
+function ClickHandler({ onMapClick }) {
+    useMapEvents({
+        click: (e) => onMapClick({ lat: e.latlng.lat, lon: e.latlng.lng })
+    });
+    return null;
+}
+
+export default function Map({ locations = [], issueTypes = [], onMapClick, pin }) {
     const bangaloreCenter = [12.9716, 77.5946];
 
     return (
@@ -31,35 +68,81 @@ export default function Map({ locations }) {
                     url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
                 />
 
+                {onMapClick && <ClickHandler onMapClick={onMapClick} />}
+
+                {pin && <Marker position={[pin.lat, pin.lon]} />}
+
                 {locations.map((loc) => (
-                    <Marker
-                        key={loc.id}
-                        position={[loc.coordinates.lat, loc.coordinates.lon]}
-                    >
-                        <Popup className="custom-popup">
-                            <div className="max-w-xs">
-                                <p className="text-sm font-medium mb-2">{loc.text}</p>
-                                {loc.mediaUrls && loc.mediaUrls.length > 0 && (
-                                    <div className="flex gap-1 overflow-x-auto pb-2">
-                                        {loc.mediaUrls.map((url, i) => (
-                                            <img key={i} src={url} alt="Issue" className="h-20 w-auto rounded object-cover" />
-                                        ))}
+                    <Fragment key={loc.id}>
+                        {isImprecise(loc) && (
+                            <Circle
+                                center={[loc.coordinates.lat, loc.coordinates.lon]}
+                                radius={loc.uncertaintyM}
+                                pathOptions={{ color: severityColor(loc.severity) || '#2563eb', weight: 1, dashArray: '4 4', fillOpacity: 0.08 }}
+                                interactive={false}
+                            />
+                        )}
+                        <Marker
+                            position={[loc.coordinates.lat, loc.coordinates.lon]}
+                            icon={issueIcon(loc)}
+                            opacity={isImprecise(loc) && !severityColor(loc.severity) ? 0.7 : 1}
+                        >
+                            <Popup className="custom-popup">
+                                <div className="max-w-xs">
+                                    {(loc.issueTypes?.length > 0 || loc.severity) && (
+                                        <div className="flex flex-wrap items-center gap-1 mb-2">
+                                            {loc.severity && (
+                                                <span
+                                                    className="text-xs font-semibold text-white px-2 py-0.5 rounded-full"
+                                                    style={{ background: severityColor(loc.severity) }}
+                                                >
+                                                    Severity {loc.severity}/5
+                                                </span>
+                                            )}
+                                            {loc.issueTypes?.map(type => (
+                                                <span key={type} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+                                                    {issueTypeLabel(type, issueTypes)}
+                                                </span>
+                                            ))}
+                                            {loc.accessibilityImpact && (
+                                                <span className="text-xs bg-blue-100 text-blue-900 px-2 py-0.5 rounded-full">♿ Accessibility</span>
+                                            )}
+                                        </div>
+                                    )}
+                                    <p className="text-sm font-medium mb-2">{loc.text}</p>
+                                    {postImages(loc).length > 0 && (
+                                        <div className="flex gap-1 overflow-x-auto pb-2">
+                                            {postImages(loc).map((image, i) => (
+                                                <img key={i} src={image.thumb} alt="Issue" className="h-20 w-auto rounded object-cover" />
+                                            ))}
+                                        </div>
+                                    )}
+                                    {addressLabel(loc.address) && (
+                                        <div className="text-xs text-gray-700 mb-1">📍 {addressLabel(loc.address)}</div>
+                                    )}
+                                    {isImprecise(loc) && (
+                                        <div className="text-xs text-amber-700 mb-1">
+                                            Approximate location {precisionLabel(loc)}
+                                        </div>
+                                    )}
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        {loc.author && <span className="mr-1">@{loc.author} ·</span>}
+                                        {new Date(loc.createdAt).toLocaleDateString()}
                                     </div>
-                                )}
-                                <div className="text-xs text-gray-500 mt-1">
-                                    {new Date(loc.createdAt).toLocaleDateString()}
+                                    {loc.url && (
+                                        <a
+                                            href={loc.url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="text-xs text-blue-600 hover:underline mt-1 block"
+                                        >
+                                            {sourceLinkLabel(loc.source)}
+                                        </a>
+                                    )}
                                 </div>
-                                <a
-                                    href={loc.url}
-                                    target="_blank"
-                                    rel="noopener noreferrer"
-                                    className="text-xs text-blue-600 hover:underline mt-1 block"
-                                >
-                                    View on Twitter
-                                </a>
-                            </div>
-                        </Popup>
-                    </Marker>
+                            </Popup>
+                        </Marker>
+                    </Fragment>
                 ))}
             </MapContainer>
         </div>
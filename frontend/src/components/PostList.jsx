@@ -1,4 +1,9 @@
-import { ExternalLink, Image, MapPin } from 'lucide-react';
+import { ExternalLink, Image, Languages, MapPin } from 'lucide-react';
+import { sourceLinkLabel } from '../utils/sources';
+import { languageLabel } from '../utils/languages';
+import { postImages } from '../utils/media';
+import { isImprecise, precisionLabel } from '../utils/precision';
+import { addressLabel } from '../utils/address';
 
 export default function PostList({ posts }) {
     if (!posts || posts.length === 0) {
@@ -15,6 +20,9 @@ export default function PostList({ posts }) {
                 <div key={post.id} className="bg-white p-4 rounded-lg shadow border border-gray-100 hover:shadow-md transition-shadow">
                     <div className="flex justify-between items-start mb-2">
                         <div className="text-xs text-gray-500 font-medium">
+                            {post.author && (
+                                <span className="text-gray-700 mr-2">@{post.author}</span>
+                            )}
                             {new Date(post.createdAt).toLocaleDateString(undefined, {
                                 year: 'numeric',
                                 month: 'short',
@@ -22,12 +30,19 @@ export default function PostList({ posts }) {
                                 hour: '2-digit',
                                 minute: '2-digit'
                             })}
+                            {post.language && post.language !== 'en' && (
+                                <span className="inline-flex items-center gap-1 ml-2 text-indigo-700 bg-indigo-50 px-2 py-0.5 rounded-full">
+                                    <Languages size={12} />
+                                    {languageLabel(post.language)}
+                                </span>
+                            )}
                         </div>
 
                         {post.coordinates ? (
                             <span className="inline-flex items-center text-xs bg-green-50 text-green-700 px-2 py-1 rounded-full">
                                 <MapPin size={12} className="mr-1" />
                                 Mapped
+                                {isImprecise(post) && ` ${precisionLabel(post)}`}
                             </span>
                         ) : (
                             <span className="inline-flex items-center text-xs bg-yellow-50 text-yellow-700 px-2 py-1 rounded-full">
@@ -36,16 +51,31 @@ export default function PostList({ posts }) {
                         )}
                     </div>
 
-                    <p className="text-gray-800 text-sm whitespace-pre-wrap mb-3 leading-relaxed">
+                    <p lang={post.language || undefined} className="text-gray-800 text-sm whitespace-pre-wrap mb-3 leading-relaxed">
                         {post.text}
                     </p>
 
-                    {post.mediaUrls && post.mediaUrls.length > 0 && (
+                    {(addressLabel(post.address) || post.extractedLocation) && (
+                        <div className="flex items-center gap-1 text-xs text-gray-600 mb-3">
+                            <MapPin size={12} className="shrink-0" />
+                            {addressLabel(post.address) || post.extractedLocation}
+                        </div>
+                    )}
+
+                    {post.imageAnalysis && (
+                        <div className="inline-flex items-center gap-1 text-xs text-gray-600 bg-gray-50 px-2 py-1 rounded-full mb-3">
+                            <Image size={12} />
+                            {post.imageAnalysis.isIssue ? 'Issue visible in photo' : 'No issue visible in photo'}
+                            {post.imageAnalysis.landmarks?.length > 0 && ` · ${post.imageAnalysis.landmarks.join(', ')}`}
+                        </div>
+                    )}
+
+                    {postImages(post).length > 0 && (
                         <div className="flex gap-2 mb-3 overflow-x-auto pb-2">
-                            {post.mediaUrls.map((url, i) => (
+                            {postImages(post).map((image, i) => (
                                 <div key={i} className="flex-shrink-0 relative">
                                     <img
-                                        src={url}
+                                        src={image.thumb}
                                         alt="Tweet media"
                                         className="h-32 w-auto rounded-lg object-cover border border-gray-100"
                                     />
@@ -54,16 +84,18 @@ export default function PostList({ posts }) {
                         </div>
                     )}
 
-                    <div className="flex justify-end pt-2 border-t border-gray-50">
-                        <a
-                            href={post.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="inline-flex items-center text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
-                        >
-                            View on X <ExternalLink size={14} className="ml-1" />
-                        </a>
-                    </div>
+                    {post.url && (
+                        <div className="flex justify-end pt-2 border-t border-gray-50">
+                            <a
+                                href={post.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="inline-flex items-center text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+                            >
+                                {sourceLinkLabel(post.source)} <ExternalLink size={14} className="ml-1" />
+                            </a>
+                        </div>
+                    )}
                 </div>
             ))}
         </div>
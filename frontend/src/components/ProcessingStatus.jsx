@@ -47,6 +47,8 @@ function ProcessingStatus() {
     const progress = processing.progressPercent || 0;
     const pending = processing.pending || 0;
     const mapped = processing.processed_mapped || 0;
+    // Today's budget of the provider in use (or the first one while all are out)
+    const budget = (processing.aiBudget || []).find(b => b.provider === processing.aiProvider) || (processing.aiBudget || [])[0];
 
     // Don't show if everything is processed
     if (progress === 100 && pending === 0) {
@@ -96,6 +98,11 @@ function ProcessingStatus() {
                             <Clock size={14} className="text-amber-500" />
                             {pending} pending
                         </span>
+                        {budget && budget.requests.limit !== null && (
+                            <span title={`${budget.provider}: ${budget.tokens.used} tokens used today`}>
+                                {budget.requests.remaining}/{budget.requests.limit} AI requests left today
+                            </span>
+                        )}
                     </div>
                 </div>
 
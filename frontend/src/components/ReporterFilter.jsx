@@ -0,0 +1,32 @@
+import { useMemo } from 'react';
+import { User } from 'lucide-react';
+
+// Dropdown of the reporters (post authors) present in a list of posts
+export default function ReporterFilter({ posts, value, onChange }) {
+    const reporters = useMemo(() => {
+        const counts = {};
+        for (const post of posts) {
+            if (post.author) counts[post.author] = (counts[post.author] || 0) + 1;
+        }
+        return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    }, [posts]);
+
+    // Nothing to choose between with a single reporter
+    if (reporters.length < 2) return null;
+
+    return (
+        <div className="relative">
+            <User className="absolute left-2 top-1/2 transform -translate-y-1/2 text-gray-400" size={14} />
+            <select
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                className="pl-7 pr-2 py-1 text-xs border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+                <option value="">All reporters</option>
+                {reporters.map(([handle, count]) => (
+                    <option key={handle} value={handle}>@{handle} ({count})</option>
+                ))}
+            </select>
+        </div>
+    );
+}
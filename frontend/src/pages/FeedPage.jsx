@@ -1,10 +1,14 @@
 import { useState, useEffect, useMemo } from 'react';
 import axios from 'axios';
 import { ExternalLink, Image, Search } from 'lucide-react';
+import { sourceLinkLabel } from '../utils/sources';
+import ReporterFilter from '../components/ReporterFilter';
+import { postImages } from '../utils/media';
 
 export default function FeedPage() {
     const [posts, setPosts] = useState([]);
     const [searchQuery, setSearchQuery] = useState('');
+    const [reporter, setReporter] = useState('');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
@@ -33,9 +37,10 @@ export default function FeedPage() {
 
     const filteredPosts = useMemo(() => {
         return posts.filter(post =>
-            post.text.toLowerCase().includes(searchQuery.toLowerCase())
+            post.text.toLowerCase().includes(searchQuery.toLowerCase()) &&
+            (!reporter || post.author === reporter)
         );
-    }, [posts, searchQuery]);
+    }, [posts, searchQuery, reporter]);
 
     if (loading) return <div className="p-8 text-center">Loading feed...</div>;
     if (error) return <div className="p-8 text-center text-red-500">{error}</div>;
@@ -47,6 +52,7 @@ export default function FeedPage() {
                 {/* Header & Search */}
                 <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6 sticky top-0 bg-gray-50 pt-2 pb-2 z-10 backdrop-blur-sm bg-opacity-90">
                     <h1 className="text-2xl font-bold text-gray-900">Raw Twitter Feed</h1>
+                    <ReporterFilter posts={posts} value={reporter} onChange={setReporter} />
                     <div className="relative w-full sm:w-auto">
                         <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
                         <input
@@ -68,6 +74,9 @@ export default function FeedPage() {
                         <div key={post.id} className="bg-white p-6 rounded-lg shadow-sm border border-gray-100 hover:shadow-md transition-shadow">
                             <div className="flex justify-between items-start mb-3">
                                 <div className="text-sm text-gray-500">
+                                    {post.author && (
+                                        <span className="font-medium text-gray-700 mr-2">@{post.author}</span>
+                                    )}
                                     {new Date(post.createdAt).toLocaleDateString(undefined, {
                                         year: 'numeric',
                                         month: 'short',
@@ -88,13 +97,13 @@ export default function FeedPage() {
                             </p>
 
                             {/* Media Grid */}
-                            {post.mediaUrls && post.mediaUrls.length > 0 && (
-                                <div className={`grid gap-2 mb-4 ${post.mediaUrls.length === 1 ? 'grid-cols-1' : 'grid-cols-2'
+                            {postImages(post).length > 0 && (
+                                <div className={`grid gap-2 mb-4 ${postImages(post).length === 1 ? 'grid-cols-1' : 'grid-cols-2'
                                     }`}>
-                                    {post.mediaUrls.map((url, index) => (
+                                    {postImages(post).map((image, index) => (
                                         <div key={index} className="relative aspect-video bg-gray-100 rounded-lg overflow-hidden border border-gray-100">
                                             <img
-                                                src={url}
+                                                src={image.medium}
                                                 alt={`Attachment ${index + 1}`}
                                                 className="w-full h-full object-cover"
                                                 loading="lazy"
@@ -108,16 +117,18 @@ export default function FeedPage() {
                                 </div>
                             )}
 
-                            <div className="flex justify-end pt-3 border-t border-gray-50">
-                                <a
-                                    href={post.url}
-                                    target="_blank"
-                                    rel="noopener noreferrer"
-                                    className="text-blue-500 hover:text-blue-700 text-sm flex items-center gap-1 font-medium"
-                                >
-                                    View on X <ExternalLink size={14} />
-                                </a>
-                            </div>
+                            {post.url && (
+                                <div className="flex justify-end pt-3 border-t border-gray-50">
+                                    <a
+                                        href={post.url}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="text-blue-500 hover:text-blue-700 text-sm flex items-center gap-1 font-medium"
+                                    >
+                                        {sourceLinkLabel(post.source)} <ExternalLink size={14} />
+                                    </a>
+                                </div>
+                            )}
                         </div>
                     ))
                 )}
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MapPin, Camera, CheckCircle } from 'lucide-react';
+import Map from '../components/Map';
+
+const MAX_PHOTOS = 4;
+
+export default function ReportPage() {
+    const [issueTypes, setIssueTypes] = useState([]);
+    const [description, setDescription] = useState('');
+    const [issueType, setIssueType] = useState('');
+    const [photos, setPhotos] = useState([]);
+    const [pin, setPin] = useState(null);
+    const [website, setWebsite] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const [submitted, setSubmitted] = useState(false);
+
+    useEffect(() => {
+        axios.get('/api/issue-types')
+            .then(res => setIssueTypes(res.data.issueTypes))
+            .catch(err => console.error("Error fetching issue types:", err));
+    }, []);
+
+    const handlePhotos = (e) => {
+        const files = Array.from(e.target.files || []);
+        if (files.length > MAX_PHOTOS) {
+            setError(`You can attach up to ${MAX_PHOTOS} photos.`);
+            e.target.value = '';
+            setPhotos([]);
+            return;
+        }
+        setError(null);
+        setPhotos(files);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!pin) {
+            setError('Tap the map to mark where the issue is.');
+            return;
+        }
+
+        const form = new FormData();
+        form.append('description', description);
+        if (issueType) form.append('issueType', issueType);
+        form.append('lat', pin.lat);
+        form.append('lon', pin.lon);
+        form.append('website', website);
+        photos.forEach(photo => form.append('photos', photo));
+
+        try {
+            setSubmitting(true);
+            setError(null);
+            await axios.post('/api/reports', form);
+            setSubmitted(true);
+        } catch (err) {
+            console.error("Error submitting report:", err);
+            setError(err.response?.data?.error || 'Failed to submit report.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (submitted) {
+        return (
+            <div className="h-full overflow-y-auto bg-gray-50">
+                <div className="max-w-xl mx-auto p-8 text-center space-y-4">
+                    <CheckCircle size={48} className="mx-auto text-green-600" />
+                    <h1 className="text-2xl font-bold text-gray-900">Thanks for your report</h1>
+                    <p className="text-gray-600">It will appear on the map once it has been reviewed.</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-full overflow-y-auto bg-gray-50">
+            <form onSubmit={handleSubmit} className="max-w-2xl mx-auto p-4 space-y-6">
+                <h1 className="text-2xl font-bold text-gray-900 pt-2">Report a footpath issue</h1>
+
+                <div>
+                    <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">What is wrong?</label>
+                    <textarea
+                        id="description"
+                        required
+                        minLength={10}
+                        maxLength={1000}
+                        rows={4}
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        placeholder="e.g. Broken slabs outside the metro station exit, pedestrians forced onto the road"
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+
+                <div>
+                    <label htmlFor="issueType" className="block text-sm font-medium text-gray-700 mb-1">Issue type</label>
+                    <select
+                        id="issueType"
+                        value={issueType}
+                        onChange={(e) => setIssueType(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">Not sure</option>
+                        {issueTypes.map(type => (
+                            <option key={type.id} value={type.id}>{type.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div>
+                    <label htmlFor="photos" className="block text-sm font-medium text-gray-700 mb-1 flex items-center gap-2">
+                        <Camera size={16} /> Photos (up to {MAX_PHOTOS})
+                    </label>
+                    <input
+                        id="photos"
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        onChange={handlePhotos}
+                        className="block w-full text-sm text-gray-600"
+                    />
+                </div>
+
+                {/* Honeypot: hidden from people, filled in by bots */}
+                <input
+                    type="text"
+                    name="website"
+                    tabIndex={-1}
+                    autoComplete="off"
+                    value={website}
+                    onChange={(e) => setWebsite(e.target.value)}
+                    className="hidden"
+                    aria-hidden="true"
+                />
+
+                <div>
+                    <p className="text-sm font-medium text-gray-700 mb-1 flex items-center gap-2">
+                        <MapPin size={16} />
+                        {pin ? `Pinned at ${pin.lat.toFixed(5)}, ${pin.lon.toFixed(5)}` : 'Tap the map to drop a pin'}
+                    </p>
+                    <div className="h-80">
+                        <Map onMapClick={setPin} pin={pin} />
+                    </div>
+                </div>
+
+                {error && <div className="text-sm text-red-600">{error}</div>}
+
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="w-full py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {submitting ? 'Submitting...' : 'Submit report'}
+                </button>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,9 @@
+// "100 Feet Road, HAL 2nd Stage · Ward 88 Indiranagar · 560038"
+export function addressLabel(address) {
+    if (!address) return null;
+    const street = [address.road, address.locality].filter(Boolean).join(', ');
+    const ward = address.ward || address.wardNumber
+        ? `Ward ${[address.wardNumber, address.ward].filter(Boolean).join(' ')}`
+        : null;
+    return [street, ward, address.pincode].filter(Boolean).join(' · ') || null;
+}
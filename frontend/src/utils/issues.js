@@ -0,0 +1,26 @@
+// Marker colours from severity 1 (cosmetic) to 5 (immediate danger)
+const SEVERITY_COLORS = {
+    1: '#16a34a',
+    2: '#84cc16',
+    3: '#eab308',
+    4: '#f97316',
+    5: '#dc2626'
+};
+
+export function severityColor(severity) {
+    return SEVERITY_COLORS[severity] || null;
+}
+
+// Label from the /api/issue-types taxonomy, falling back to the id
+export function issueTypeLabel(id, issueTypes = []) {
+    const type = issueTypes.find(t => t.id === id);
+    return type ? type.label : id.replace(/_/g, ' ');
+}
+
+// Client-side version of the /api/locations type/minSeverity/accessibility filters
+export function matchesIssueFilters(post, { type, minSeverity, accessibility }) {
+    if (type && !(post.issueTypes || []).includes(type)) return false;
+    if (minSeverity && !(post.severity >= minSeverity)) return false;
+    if (accessibility && !post.accessibilityImpact) return false;
+    return true;
+}
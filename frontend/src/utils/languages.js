@@ -0,0 +1,12 @@
+// Short names for the languages detected on posts (src/language.js)
+const LANGUAGE_LABELS = {
+    en: 'English',
+    kn: 'Kannada',
+    hi: 'Hindi',
+    'kn-Latn': 'Kanglish',
+    'hi-Latn': 'Hinglish'
+};
+
+export function languageLabel(code) {
+    return LANGUAGE_LABELS[code] || code;
+}
@@ -0,0 +1,15 @@
+// Images for a post: archived copies when available, otherwise the original hotlinked URLs
+export function postImages(post) {
+    if (post.media && post.media.length > 0) {
+        return post.media.map((m) => ({
+            thumb: m.thumb,
+            medium: m.medium,
+            original: m.original
+        }));
+    }
+    return (post.mediaUrls || []).map((url) => ({
+        thumb: url,
+        medium: url,
+        original: url
+    }));
+}
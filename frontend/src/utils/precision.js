@@ -0,0 +1,13 @@
+// Locations coarser than `exact` are drawn with their uncertainty circle
+export function isImprecise(post) {
+    return Boolean(post.precision) && post.precision !== 'exact' && post.uncertaintyM > 0;
+}
+
+// "±1.5 km (locality)"
+export function precisionLabel(post) {
+    if (!post.precision) return null;
+    const radius = post.uncertaintyM >= 1000
+        ? `${(post.uncertaintyM / 1000).toFixed(1)} km`
+        : `${post.uncertaintyM} m`;
+    return `±${radius} (${post.precision})`;
+}
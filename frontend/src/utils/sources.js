@@ -0,0 +1,9 @@
+// Link labels for the places a post can come from
+const SOURCE_LINK_LABELS = {
+    twitter: 'View on X',
+    mastodon: 'View on Mastodon'
+};
+
+export function sourceLinkLabel(source) {
+    return SOURCE_LINK_LABELS[source] || 'View original';
+}
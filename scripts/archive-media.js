@@ -0,0 +1,34 @@
+const MediaArchiver = require('../src/mediaArchiver');
+const db = require('../src/db');
+require('dotenv').config();
+
+/**
+ * Archive attachments of every stored post that is not archived yet
+ * (e.g. posts ingested before media archival existed).
+ */
+async function archiveMedia() {
+    try {
+        await db.initDB();
+        const archiver = new MediaArchiver();
+
+        if (!archiver.enabled) {
+            console.log('⚠️  MEDIA_STORAGE is "none". Nothing to do.');
+            process.exit(0);
+        }
+
+        const data = await db.getAllPosts();
+        const posts = [...data.posts.withCoords, ...data.posts.missingCoords]
+            .filter(p => p.mediaUrls && p.mediaUrls.length > 0);
+
+        console.log(`🖼️  Archiving media for ${posts.length} posts to ${archiver.storage.name} storage...`);
+        const totals = await archiver.archivePosts(posts);
+
+        console.log(`✅ Done: ${totals.archived} archived, ${totals.skipped} already stored, ${totals.failed} failed.`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error archiving media:', error);
+        process.exit(1);
+    }
+}
+
+archiveMedia();
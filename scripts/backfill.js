@@ -0,0 +1,60 @@
+const BackfillService = require('../src/backfillService');
+const db = require('../src/db');
+require('dotenv').config();
+
+/**
+ * Historical backfill CLI
+ * Usage:
+ *   npm run backfill -- status
+ *   npm run backfill -- start [watchId] [--restart]   (default: all enabled account watches)
+ */
+async function backfill() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const restart = args.includes('--restart');
+  const watchArg = args.find(a => !a.startsWith('--'));
+
+  try {
+    await db.initDB();
+    const backfillService = new BackfillService();
+
+    if (command === 'status') {
+      const watches = await db.getWatches();
+      const backfills = await backfillService.getStatus();
+
+      console.log('📊 Backfill Status:');
+      for (const watch of watches.filter(w => w.kind === 'account')) {
+        const cursor = backfills.find(b => b.watchId === watch.id);
+        if (!cursor) {
+          console.log(`   [${watch.id}] @${watch.value}: not started`);
+          continue;
+        }
+        const detail = cursor.status === 'rate_limited'
+          ? ` (until ${new Date(cursor.rateLimitResetAt).toISOString()})`
+          : cursor.lastError ? ` (${cursor.lastError})` : '';
+        console.log(`   [${watch.id}] @${watch.value}: ${cursor.status}${detail}, ${cursor.fetchedCount} tweets, oldest ID ${cursor.oldestId || '-'}`);
+      }
+      process.exit(0);
+    }
+
+    if (command === 'start') {
+      const watchIds = watchArg
+        ? [parseInt(watchArg)]
+        : (await db.getWatches({ enabledOnly: true })).filter(w => w.kind === 'account').map(w => w.id);
+
+      let failed = false;
+      for (const watchId of watchIds) {
+        const cursor = await backfillService.run(watchId, { restart });
+        if (cursor && cursor.status === 'failed') failed = true;
+      }
+      process.exit(failed ? 1 : 0);
+    }
+
+    console.error(`Unknown command "${command}". Use "status" or "start".`);
+    process.exit(1);
+  } catch (error) {
+    console.error('❌ Error running backfill:', error);
+    process.exit(1);
+  }
+}
+
+backfill();
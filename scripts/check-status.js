@@ -8,6 +8,19 @@ async function checkStatus() {
         console.log(`   ${row.processing_status || 'NULL'}: ${row.count}`);
     });
 
+    // Which explicit coordinate formats reporters actually use
+    const formats = await db.pool.query(`
+        SELECT coordinates->>'pattern' AS pattern, COUNT(*)
+        FROM locations
+        WHERE coordinates ? 'pattern'
+        GROUP BY 1
+        ORDER BY 2 DESC
+    `);
+    console.log('📍 Explicit Coordinate Formats:');
+    formats.rows.forEach(row => {
+        console.log(`   ${row.pattern}: ${row.count}`);
+    });
+
     process.exit(0);
 }
 
@@ -0,0 +1,48 @@
+const db = require('../src/db');
+const AddressEnricher = require('../src/addressEnricher');
+require('dotenv').config();
+
+/**
+ * Look up the road, locality, BBMP ward and pincode of mapped locations
+ * Usage:
+ *   npm run enhance -- [--limit 100] [--refresh]
+ *
+ * By default only locations without an address are looked up (e.g. those
+ * mapped before enrichment existed). --refresh redoes all of them, for
+ * instance after WARD_BOUNDARIES_FILE changed. The public Nominatim server
+ * takes about one location per second.
+ */
+function parseArgs(args) {
+  const options = { limit: null, refresh: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--refresh') options.refresh = true;
+    else if (arg === '--limit') options.limit = parseInt(args[++i], 10);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (options.limit !== null && !(options.limit > 0)) {
+    throw new Error('--limit needs a positive number');
+  }
+  return options;
+}
+
+async function enhanceLocations() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await db.initDB();
+
+    const enricher = new AddressEnricher();
+    console.log(`🏷️  Looking up addresses${options.refresh ? ' (refreshing all)' : ''}...`);
+    const totals = await enricher.enrichLocations(options);
+
+    console.log(`✅ Done: ${totals.enriched} addresses stored, ${totals.failed} failed (tried again next run).`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error looking up addresses:', error.message);
+    process.exit(1);
+  }
+}
+
+enhanceLocations();
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const AiAnalysisService = require('../src/aiAnalysisService');
+const RuleClassifier = require('../src/ruleClassifier');
+const GeocodingService = require('../src/geocodingService');
+const ReplayProvider = require('../src/llm/replayProvider');
+const { createProviders } = require('../src/llm');
+const { createGeocoders } = require('../src/geocoders');
+const { loadGoldenSet, scoreCases, formatReport } = require('../src/evaluation');
+require('dotenv').config();
+
+const DEFAULT_GOLDEN = path.join(__dirname, '..', 'eval', 'golden.json');
+
+/**
+ * Accuracy report for the issue pipeline on the golden set
+ * Usage:
+ *   npm run eval -- [--provider gemini|openai|mock|rules] [--golden eval/golden.json]
+ *                   [--record eval/recordings/gemini.json | --replay eval/recordings/gemini.json]
+ *                   [--no-geocode | --geocoders gazetteer,nominatim] [--json report.json] [--verbose]
+ *
+ * --record saves every model response and geocoding result; --replay answers
+ * from such a file, offline and without using quota. --geocoders picks the
+ * geocoder chain (default GEOCODERS); "gazetteer" alone needs no network.
+ */
+function parseArgs(args) {
+  const options = { golden: DEFAULT_GOLDEN, geocode: true, verbose: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--provider') options.provider = args[++i];
+    else if (arg === '--golden') options.golden = args[++i];
+    else if (arg === '--record') options.record = args[++i];
+    else if (arg === '--replay') options.replay = args[++i];
+    else if (arg === '--no-geocode') options.geocode = false;
+    else if (arg === '--geocoders') options.geocoders = args[++i];
+    else if (arg === '--json') options.json = args[++i];
+    else if (arg === '--verbose') options.verbose = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+  return options;
+}
+
+/**
+ * Run the classifier on every case
+ * @returns {Promise<{predictions: Map, label: string}>}
+ */
+async function classify(cases, options, replay, recording) {
+  const posts = cases.map(c => ({ id: c.id, text: c.text }));
+
+  if (options.provider === 'rules' && !replay) {
+    const results = new RuleClassifier().analyzeBatch(posts);
+    return { predictions: new Map(results.map(r => [r.id, r.aiAnalysis])), label: `rules (${RuleClassifier.VERSION})` };
+  }
+
+  const providers = replay ? [new ReplayProvider(replay)] : createProviders(options.provider);
+  if (providers.length === 0) {
+    throw new Error('No AI provider available (check --provider / AI_PROVIDERS and credentials)');
+  }
+  if (recording) {
+    if (providers.length > 1) {
+      throw new Error('Record with a single provider (--provider <name>)');
+    }
+    Object.assign(recording, ReplayProvider.record(providers[0]));
+  }
+
+  // No store: evaluation runs must not count against the persisted daily budget
+  const aiService = new AiAnalysisService(providers, null);
+  const results = await aiService.analyzeBatch(posts);
+  return {
+    predictions: new Map(results.map(r => [r.id, r.aiAnalysis])),
+    label: `${providers.map(p => `${p.name} (${p.model})`).join(', ')}, prompt ${AiAnalysisService.PROMPT_VERSIONS.text}`
+  };
+}
+
+/**
+ * Geocode predicted locations of true positives that have expected coordinates
+ * @returns {Promise<Map<string, Object|null>>}
+ */
+async function geocodeCases(cases, predictions, options, replay, recording) {
+  const geocodes = new Map();
+  // Uncached, so the report measures the geocoders rather than old answers
+  const geocoder = replay ? null : new GeocodingService({ cache: null, geocoders: createGeocoders(options.geocoders) });
+
+  for (const c of cases) {
+    const predicted = predictions.get(c.id);
+    if (!c.coordinates || !predicted || !predicted.isIssue || !predicted.location) continue;
+
+    if (replay) {
+      const recorded = (replay.geocodes || {})[predicted.location];
+      // Locations the recording never looked up are left out rather than counted as failures
+      if (recorded !== undefined) geocodes.set(c.id, recorded);
+      continue;
+    }
+
+    const coords = await geocoder.geocode(predicted.location, predicted.locationParts);
+    const result = coords ? { lat: coords.lat, lon: coords.lon, provider: coords.provider } : null;
+    geocodes.set(c.id, result);
+    if (recording) recording.geocodes[predicted.location] = result;
+  }
+
+  return geocodes;
+}
+
+async function evaluate() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const cases = loadGoldenSet(options.golden);
+    const replay = options.replay ? JSON.parse(await fs.promises.readFile(options.replay, 'utf8')) : null;
+    const recording = options.record ? {} : null;
+
+    console.log(`🧪 Evaluating ${cases.length} cases from ${path.relative(process.cwd(), options.golden)}${replay ? ` (replaying ${options.replay})` : ''}...`);
+
+    const { predictions, label } = await classify(cases, options, replay, recording);
+    if (recording) recording.geocodes = {};
+    const geocodes = options.geocode ? await geocodeCases(cases, predictions, options, replay, recording) : new Map();
+
+    const report = scoreCases(cases, predictions, geocodes);
+    console.log(`\n📊 ${label}\n`);
+    console.log(formatReport(report));
+
+    if (options.verbose && report.mistakes.length > 0) {
+      console.log('\nMistakes:');
+      report.mistakes.forEach(m => console.log(`   ${m.id} ${m.kind}: ${m.kind === 'location' ? `expected "${m.expected}", got "${m.predicted}"` : (m.text || m.error || '')}`));
+    }
+
+    if (options.json) {
+      await fs.promises.writeFile(options.json, JSON.stringify({ label, ...report }, null, 2));
+      console.log(`\n💾 Report written to ${options.json}`);
+    }
+    if (recording) {
+      recording.promptVersion = AiAnalysisService.PROMPT_VERSIONS.text;
+      await fs.promises.mkdir(path.dirname(options.record), { recursive: true });
+      await fs.promises.writeFile(options.record, JSON.stringify(recording, null, 2));
+      console.log(`💾 Recorded ${Object.keys(recording.responses).length} responses to ${options.record}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+evaluate();
@@ -1,41 +1,29 @@
-const TwitterService = require('../src/twitterService');
+const { runIngestion } = require('../src/ingestion');
+const { createEnabledSources } = require('../src/sources');
 const db = require('../src/db');
 require('dotenv').config();
 
+/**
+ * Manually run ingestion for the enabled sources.
+ * Usage: npm run fetch [-- twitter,jsonl,csv,mastodon]
+ */
 async function fetchTweets() {
   try {
-    console.log('🚀 Starting manual tweet fetch...');
+    console.log('🚀 Starting manual fetch...');
 
     // Connect to DB
     await db.initDB();
 
-    // Get latest ID
-    const sinceId = await db.getLatestTweetId();
-    if (sinceId) {
-      console.log(`📡 Fetching tweets newer than ID: ${sinceId}`);
-    } else {
-      console.log('📡 Fetching initial batch of tweets (last 60 days)...');
-    }
+    const sources = createEnabledSources(process.argv[2] || process.env.INGESTION_SOURCES || 'twitter');
+    console.log(`📡 Sources: ${sources.map(s => s.name).join(', ') || 'none'}`);
 
-    const twitterService = new TwitterService();
-    const tweetsData = await twitterService.fetchRecentTweets(sinceId);
+    const run = await runIngestion({ trigger: 'manual', sources });
 
-    if (tweetsData.tweets.length === 0) {
-      console.log('✅ No new tweets found.');
-      process.exit(0);
-    }
+    console.log(`✅ Ingestion ${run.status}: ${run.inserted} new, ${run.updated} updated posts saved to database!`);
 
-    console.log(`Processing ${tweetsData.tweets.length} tweets...`);
-    const processedData = await twitterService.processTweets(tweetsData);
-
-    const allPosts = [...processedData.withCoords, ...processedData.missingCoords];
-    const savedCount = await db.savePosts(allPosts);
-
-    console.log(`✅ Saved ${savedCount} new posts to database!`);
-
-    process.exit(0);
+    process.exit(run.status === 'success' ? 0 : 1);
   } catch (error) {
-    console.error('❌ Error fetching tweets:', error);
+    console.error('❌ Error fetching posts:', error);
     process.exit(1);
   }
 }
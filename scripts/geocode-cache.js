@@ -0,0 +1,114 @@
+const db = require('../src/db');
+const GeocodeCache = require('../src/geocodeCache');
+require('dotenv').config();
+
+/**
+ * Inspect or invalidate the geocoding cache
+ * Usage:
+ *   npm run geocode-cache -- stats
+ *   npm run geocode-cache -- list [--hits | --misses] [--expired] [--search <text>] [--limit 50]
+ *   npm run geocode-cache -- show "<query>"
+ *   npm run geocode-cache -- invalidate "<query>"
+ *   npm run geocode-cache -- invalidate [--hits | --misses] [--expired] [--search <text>] [--all] [--dry-run]
+ *
+ * Invalidated queries are geocoded again the next time they come up.
+ * Invalidating without a query or a filter needs --all.
+ */
+function parseArgs(args) {
+  const options = { command: args[0], limit: 50, all: false, dryRun: false };
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--hits') options.status = 'hit';
+    else if (arg === '--misses') options.status = 'miss';
+    else if (arg === '--expired') options.expired = true;
+    else if (arg === '--search') options.search = args[++i];
+    else if (arg === '--limit') options.limit = parseInt(args[++i], 10);
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else if (options.query === undefined) options.query = arg;
+    else throw new Error(`Unexpected argument ${arg}`);
+  }
+
+  if (!['stats', 'list', 'show', 'invalidate'].includes(options.command)) {
+    throw new Error('Usage: geocode-cache stats | list | show "<query>" | invalidate ["<query>"] [filters]');
+  }
+  return options;
+}
+
+/**
+ * Table filters from the command line options
+ */
+function toFilters(options, cache) {
+  const key = options.query !== undefined ? GeocodeCache.normalizeQuery(options.query) : undefined;
+  // "Bangalore" alone normalizes to nothing and would otherwise match every entry
+  if (key === '') throw new Error(`"${options.query}" has nothing to look up besides the city name`);
+
+  return {
+    key,
+    status: options.status,
+    search: options.search ? GeocodeCache.normalizeQuery(options.search) : undefined,
+    expired: options.expired ? cache.ttl : undefined
+  };
+}
+
+function formatEntry(entry, cache) {
+  const result = entry.result
+    ? `${entry.result.lat.toFixed(5)}, ${entry.result.lon.toFixed(5)}`
+    : 'not found';
+  const age = Math.floor((Date.now() - new Date(entry.fetchedAt).getTime()) / 86400000);
+  const expired = cache.isFresh(entry) ? '' : ' (expired)';
+  return `   ${entry.key.padEnd(40)} ${result.padEnd(22)} ${String(entry.lookups).padStart(5)} lookups, fetched ${age}d ago${expired}`;
+}
+
+async function geocodeCache() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const cache = new GeocodeCache();
+    await db.initDB();
+
+    if (options.command === 'stats') {
+      const stats = await db.getGeocodeCacheStats(cache.ttl);
+      console.log('🗺️  Geocode cache');
+      console.log(`   Found: ${stats.hits}   Not found: ${stats.misses}   Expired: ${stats.expired}`);
+      console.log(`   Lookups served: ${stats.lookups}`);
+      console.log(`   TTL: ${cache.ttl.hitTtlSeconds / 86400} days (found), ${cache.ttl.missTtlSeconds / 86400} days (not found)`);
+      if (stats.oldest) console.log(`   Oldest entry: ${new Date(stats.oldest).toISOString()}`);
+    } else if (options.command === 'list') {
+      const { total, entries } = await db.getGeocodeCacheEntries({ ...toFilters(options, cache), limit: options.limit });
+      console.log(`🗺️  ${total} cached queries${total > entries.length ? ` (showing ${entries.length})` : ''}`);
+      entries.forEach(entry => console.log(formatEntry(entry, cache)));
+    } else if (options.command === 'show') {
+      if (options.query === undefined) throw new Error('show needs a query');
+      const { key } = toFilters(options, cache);
+      const { entries } = await db.getGeocodeCacheEntries({ key, limit: 1 });
+      if (entries.length === 0) {
+        console.log(`Not cached: "${key}"`);
+      } else {
+        console.log(JSON.stringify({ ...entries[0], fresh: cache.isFresh(entries[0]) }, null, 2));
+      }
+    } else {
+      const filters = toFilters(options, cache);
+      const hasFilter = filters.key !== undefined || filters.status || filters.search || filters.expired;
+      if (!hasFilter && !options.all) {
+        throw new Error('invalidate needs a query, a filter (--hits, --misses, --expired, --search) or --all');
+      }
+
+      if (options.dryRun) {
+        const { total } = await db.getGeocodeCacheEntries({ ...filters, limit: 0 });
+        console.log(`🔍 Dry run: ${total} cached queries would be invalidated.`);
+      } else {
+        const deleted = await db.deleteGeocodeCacheEntries(filters);
+        console.log(`✅ Invalidated ${deleted} cached queries. They will be geocoded again when next needed.`);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Geocode cache command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+geocodeCache();
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const ImportService = require('../src/importService');
+const db = require('../src/db');
+require('dotenv').config();
+
+/**
+ * Bulk import CLI
+ * Usage:
+ *   npm run import -- <file> [--format csv|geojson|x-archive] [--map text=Notes,lat=Latitude,lon=Longitude]
+ *                     [--source walkabout] [--author handle] [--dry-run]
+ */
+function parseArgs(args) {
+  const options = { dryRun: false };
+  let file = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--format') options.format = args[++i];
+    else if (arg === '--map') options.mapping = args[++i];
+    else if (arg === '--source') options.source = args[++i];
+    else if (arg === '--author') options.author = args[++i];
+    else if (!arg.startsWith('--')) file = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return { file, options };
+}
+
+async function importFile() {
+  try {
+    const { file, options } = parseArgs(process.argv.slice(2));
+    if (!file) {
+      console.error('Usage: npm run import -- <file> [--format csv|geojson|x-archive] [--map field=column,...] [--source name] [--author handle] [--dry-run]');
+      process.exit(1);
+    }
+
+    const content = await fs.promises.readFile(file, 'utf8');
+    await db.initDB();
+
+    const result = await new ImportService().run(content, { ...options, filename: path.basename(file) });
+
+    console.log(`\n📊 ${result.dryRun ? 'Dry run' : `Import #${result.importId}`} (${result.format}, source "${result.source}"):`);
+    console.log(`   Rows: ${result.totalRows} (${result.validRows} valid, ${result.invalidRows} invalid, ${result.skippedRows} skipped)`);
+    console.log(`   ${result.dryRun ? 'Would insert' : 'Inserted'}: ${result.inserted}`);
+    console.log(`   ${result.dryRun ? 'Would update' : 'Updated'}: ${result.updated}`);
+    console.log(`   With coordinates: ${result.withCoordinates}`);
+    result.errors.forEach(e => console.log(`   ⚠️  Row ${e.row}: ${e.error}`));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error importing file:', error.message);
+    process.exit(1);
+  }
+}
+
+importFile();
@@ -0,0 +1,55 @@
+const db = require('../src/db');
+const AiAnalysisService = require('../src/aiAnalysisService');
+require('dotenv').config();
+
+/**
+ * Re-run posts analyzed under an older prompt version
+ * Usage:
+ *   npm run reanalyze -- [--version text-v2] [--include-rules] [--include-unversioned] [--dry-run]
+ *
+ * Without --version, every post whose latest LLM verdict used a prompt version
+ * other than the current one is sent back to the queue. The analysis history
+ * is kept, so old and new verdicts can be compared afterwards.
+ */
+function parseArgs(args) {
+  const options = { dryRun: false, includeRules: false, includeUnversioned: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--include-rules') options.includeRules = true;
+    else if (arg === '--include-unversioned') options.includeUnversioned = true;
+    else if (arg === '--version') options.version = args[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return options;
+}
+
+async function reanalyze() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const currentVersion = AiAnalysisService.PROMPT_VERSIONS.text;
+    await db.initDB();
+
+    const postIds = await db.getOutdatedAnalysisPostIds({ currentVersion, ...options });
+    const target = options.version ? `prompt version ${options.version}` : `a prompt version other than ${currentVersion}`;
+
+    if (options.dryRun) {
+      console.log(`🔍 Dry run: ${postIds.length} posts analyzed under ${target} would be re-run.`);
+      postIds.slice(0, 20).forEach(id => console.log(`   - ${id}`));
+      if (postIds.length > 20) console.log(`   ... and ${postIds.length - 20} more`);
+      process.exit(0);
+    }
+
+    const requeued = postIds.length > 0 ? await db.requeuePosts(postIds) : 0;
+    console.log(`✅ Requeued ${requeued} posts analyzed under ${target}.`);
+    console.log('   They will be re-analyzed by the next processing cycles (npm start, or POST /api/process).');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error requeueing posts:', error.message);
+    process.exit(1);
+  }
+}
+
+reanalyze();
@@ -6,16 +6,25 @@ async function refreshMedia() {
         await db.initDB();
         const twitterService = new TwitterService();
 
+        const accounts = (await db.getWatches({ enabledOnly: true })).filter(w => w.kind === 'account');
+
         console.log('🔄 Fetching last 60 days of tweets to refresh media...');
-        // Passing null to force 60-day fetch (ignoring since_id)
-        const tweetsData = await twitterService.fetchRecentTweets(null);
+        const tweets = [];
+        const mediaByTweet = new Map();
+        for (const account of accounts) {
+            // Passing null to force 60-day fetch (ignoring since_id)
+            const tweetsData = await twitterService.fetchRecentTweets(null, account.value);
+            for (const tweet of tweetsData.tweets) {
+                tweets.push(tweet);
+                mediaByTweet.set(tweet.id, twitterService.getMediaUrls(tweet, tweetsData.includes));
+            }
+        }
 
-        if (tweetsData.tweets.length === 0) {
+        if (tweets.length === 0) {
             console.log('No tweets found.');
             process.exit(0);
         }
 
-        const { tweets, includes } = tweetsData;
         let updatedCount = 0;
 
         const client = await db.pool.connect();
@@ -23,7 +32,7 @@ async function refreshMedia() {
             await client.query('BEGIN');
 
             for (const tweet of tweets) {
-                const mediaUrls = twitterService.getMediaUrls(tweet, includes);
+                const mediaUrls = mediaByTweet.get(tweet.id);
 
                 // Only update if we have media
                 // We use a specific query to ONLY update media_urls, nothing else
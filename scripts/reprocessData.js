@@ -1,4 +1,4 @@
-const TwitterService = require('../src/twitterService');
+const LinkResolver = require('../src/linkResolver');
 const db = require('../src/db');
 const { getAllPosts, savePosts } = require('../src/db');
 require('dotenv').config();
@@ -28,13 +28,13 @@ async function reprocessExistingData() {
 
     // Reprocess with new parsing logic
     console.log('🔄 Re-parsing coordinates...');
-    const twitterService = new TwitterService();
+    const linkResolver = new LinkResolver();
     const withCoords = [];
     const missingCoords = [];
 
     for (const tweet of allTweets) {
-      // Re-run parseCoordinates on the text
-      const coords = twitterService.parseCoordinates(tweet.text);
+      // Re-parse the text, expanding short links that may hide coordinates
+      const coords = await linkResolver.locate(tweet.text);
 
       const processedTweet = {
         id: tweet.id,
@@ -15,7 +15,7 @@ async function resetProcessing() {
         console.log('resetting posts status to pending...');
         const res = await client.query(`
       UPDATE posts 
-      SET processing_status = 'pending', updated_at = NOW()
+      SET processing_status = 'pending', analysis_attempts = 0, last_analysis_error = NULL, updated_at = NOW()
     `);
 
         await client.query('COMMIT');
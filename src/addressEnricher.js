@@ -0,0 +1,89 @@
+const db = require('./db');
+const { createGeocoders } = require('./geocoders');
+const { loadWards, findWard } = require('./wards');
+require('dotenv').config();
+
+/**
+ * Gives every mapped location a human-readable address: road, locality and
+ * pincode from the reverse lookups of the GEOCODERS chain (Nominatim), and
+ * the BBMP ward from the ward boundaries in WARD_BOUNDARIES_FILE.
+ * Posts located by explicit coordinates have no other address at all.
+ */
+class AddressEnricher {
+    /**
+     * @param {Object} [options]
+     * @param {Geocoder[]} [options.geocoders] - Defaults to the GEOCODERS chain; only those with reverse lookups are asked
+     * @param {string|null} [options.wardsFile] - Ward boundary GeoJSON; without one wards are left empty
+     */
+    constructor({ geocoders, wardsFile = process.env.WARD_BOUNDARIES_FILE || null } = {}) {
+        this.geocoders = (geocoders || createGeocoders()).filter(g => !g.offline);
+        this.wards = [];
+        if (wardsFile) {
+            try {
+                this.wards = loadWards(wardsFile);
+                console.log(`🗺️  Loaded ${this.wards.length} ward boundaries from ${wardsFile}`);
+            } catch (error) {
+                console.warn(`⚠️  Ward boundaries unavailable, wards disabled: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Address of one point
+     * @returns {Promise<{road: string|null, locality: string|null, ward: string|null, wardNumber: string|null, pincode: string|null}|null>}
+     *   null when no geocoder could be asked, so the location is tried again later
+     */
+    async lookup(lat, lon) {
+        const ward = findWard(this.wards, lat, lon);
+        let address = null;
+        let failures = 0;
+
+        for (const geocoder of this.geocoders) {
+            try {
+                address = await geocoder.reverse(lat, lon);
+                if (address) break;
+            } catch (error) {
+                console.error(`   ⚠️  ${geocoder.name} reverse lookup failed for ${lat}, ${lon}: ${error.message}`);
+                failures++;
+            }
+        }
+
+        // An outage is not "no address here"
+        if (!address && failures > 0) return null;
+
+        return {
+            road: address ? address.road : null,
+            locality: address ? address.locality : null,
+            ward: ward ? ward.name : null,
+            wardNumber: ward ? ward.number : null,
+            pincode: address ? address.pincode : null
+        };
+    }
+
+    /**
+     * Look up and store the address of mapped locations
+     * @param {Object} [options]
+     * @param {number|null} [options.limit] - At most this many locations (null for all)
+     * @param {boolean} [options.refresh] - Also redo locations that already have an address
+     * @returns {Promise<{enriched: number, failed: number}>}
+     */
+    async enrichLocations({ limit = null, refresh = false } = {}) {
+        const totals = { enriched: 0, failed: 0 };
+        const locations = await db.getLocationsToEnrich({ limit, refresh });
+
+        for (const location of locations) {
+            const { lat, lon } = location.coordinates;
+            const address = await this.lookup(lat, lon);
+            if (!address) {
+                totals.failed++;
+                continue;
+            }
+            await db.saveAddress(location.postId, address);
+            totals.enriched++;
+        }
+
+        return totals;
+    }
+}
+
+module.exports = AddressEnricher;
@@ -1,114 +1,495 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const db = require('./db');
+const { createProviders } = require('./llm');
+const { parseAnalysisJson, validateAnalysisResponse, validateImageAnalysisResponse } = require('./analysisSchema');
+const { ISSUE_TYPES } = require('./issueTypes');
+const { canonicalizeLocation } = require('./gazetteer');
+const { detectLanguage, languageName } = require('./language');
 require('dotenv').config();
 
+// What models write when there is no location
+const PLACEHOLDER_LOCATION = /^(none|null|unknown|n\/?a|not mentioned)$/i;
+
+// Stored with every analysis; bump when a prompt or its answer schema changes so old verdicts can be re-run
+const PROMPT_VERSIONS = {
+    text: 'text-v5',
+    image: 'image-v3'
+};
+
+// Rough prompt size for the token bucket; corrected with the reported usage after each call
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_IMAGE = 258;
+
+/**
+ * Classifies posts as footpath issues and extracts locations with an LLM.
+ * Providers (AI_PROVIDERS, see src/llm) are tried in order: when one runs
+ * out of daily quota or fails, the rest of the batch fails over to the next one.
+ * Photos are analyzed separately, one post at a time, by vision providers.
+ * Quota state and daily usage are stored in the database (ai_quota,
+ * ai_usage) so a restart doesn't hammer an exhausted API.
+ */
 class AiAnalysisService {
-    constructor() {
-        if (!process.env.GEMINI_API_KEY) {
-            console.warn('⚠️  GEMINI_API_KEY not set. AI analysis disabled.');
-            this.enabled = false;
-            return;
+    /**
+     * @param {Array} [providers] - LlmProvider instances in failover order (defaults to AI_PROVIDERS)
+     * @param {Object|null} [store] - Where quota state and usage are persisted (db functions; null keeps them in memory)
+     */
+    constructor(providers = createProviders(), store = db) {
+        this.providers = providers;
+        this.store = store;
+        this.stateLoaded = false;
+        this.enabled = providers.length > 0;
+
+        if (!this.enabled) {
+            console.warn('⚠️  No AI provider available (set AI_PROVIDERS and its credentials). AI analysis disabled.');
         }
+    }
+
+    /**
+     * Restore quota state and today's usage saved by earlier runs (once)
+     */
+    async loadState() {
+        if (this.stateLoaded || !this.store) return;
+        this.stateLoaded = true;
 
-        this.enabled = true;
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: 'gemma-3-27b-it' });
+        for (const provider of this.providers) {
+            try {
+                provider.restoreState({
+                    quotaResetTime: await this.store.getAiQuotaReset(provider.name),
+                    usage: await this.store.getAiUsage(provider.name, provider.currentUsage().day)
+                });
+                if (provider.isQuotaExhausted()) {
+                    console.log(`⏸️  ${provider.name}: quota still exhausted from an earlier run, resumes at ${new Date(provider.availableAt()).toISOString()}`);
+                }
+            } catch (error) {
+                console.warn(`⚠️  Could not load AI quota state for ${provider.name}: ${error.message}`);
+            }
+        }
+    }
 
-        // Rate limiting configuration
-        this.lastCallTime = 0;
-        this.minInterval = 5000; // 5 seconds between batch calls
-        this.maxRetries = 3;
+    /**
+     * Posts per cycle, taken from the first provider that still has quota
+     */
+    get batchSize() {
+        const provider = this.providers.find(p => !p.isQuotaExhausted()) || this.providers[0];
+        return provider ? provider.batchSize : 10;
+    }
 
-        // Quota tracking
-        this.quotaExhausted = false;
-        this.quotaResetTime = null;
+    /**
+     * Whether any provider can look at photos
+     */
+    get visionEnabled() {
+        return this.providers.some(p => p.vision);
     }
 
     /**
-     * Check if we should skip due to exhausted quota
+     * Check if we should skip because every provider is out of quota
      */
     isQuotaExhausted() {
-        if (!this.quotaExhausted) return false;
-
-        // Check if enough time has passed (quota resets daily)
-        if (this.quotaResetTime && Date.now() > this.quotaResetTime) {
-            console.log('🔄 Quota reset time reached, resuming processing...');
-            this.quotaExhausted = false;
-            this.quotaResetTime = null;
-            return false;
-        }
+        return this.enabled && this.providers.every(p => p.isQuotaExhausted());
+    }
 
-        return true;
+    /**
+     * Analyze a single tweet (Wrapper for backward compatibility)
+     */
+    async analyzeTweet(tweetText) {
+        const results = await this.analyzeBatch([{ id: 'single', text: tweetText }]);
+        return results[0]?.aiAnalysis || { isIssue: false, location: null, issueType: null, confidence: 0 };
     }
 
     /**
-     * Enforce rate limits
+     * Batch analyze tweets, failing over between providers on quota exhaustion
+     * or provider errors. Tweets no provider could take are returned with
+     * `skipped: true` and a `reason` ('no_provider', 'quota_exhausted' or
+     * 'provider_error'; they stay pending); tweets the model never answered
+     * validly are returned with `unanswered: true`.
+     * @param {Array} tweets - Array of {id, text} objects
      */
-    async rateLimit() {
-        const now = Date.now();
-        const timeSinceLastCall = now - this.lastCallTime;
+    async analyzeBatch(tweets) {
+        if (!this.enabled || tweets.length === 0) {
+            return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false, skipped: true, reason: 'no_provider' } }));
+        }
+
+        const analyzed = [];
+        let remaining = tweets;
+
+        for (const provider of this.providers) {
+            if (remaining.length === 0) break;
+            if (provider.isQuotaExhausted()) continue;
+
+            while (remaining.length > 0) {
+                const chunk = remaining.slice(0, provider.batchSize);
+                const results = await this.requestBatch(provider, chunk);
 
-        if (timeSinceLastCall < this.minInterval) {
-            await new Promise(resolve => setTimeout(resolve, this.minInterval - timeSinceLastCall));
+                // Out of quota or failing part-way: hand what's left to the next provider
+                const requeueIds = new Set(results.filter(r => r.aiAnalysis.skipped).map(r => r.id));
+                analyzed.push(...results.filter(r => !requeueIds.has(r.id)));
+                remaining = [...chunk.filter(t => requeueIds.has(t.id)), ...remaining.slice(chunk.length)];
+
+                if (requeueIds.size > 0) break;
+            }
+        }
+
+        if (remaining.length > 0) {
+            const status = this.getStatus();
+            const reason = this.isQuotaExhausted() ? 'quota_exhausted' : 'provider_error';
+            if (reason === 'quota_exhausted') {
+                console.log(`⏸️  All AI providers out of quota. Will retry in ~${status.minutesUntilReset ?? '??'} minutes.`);
+            } else {
+                console.log(`⏸️  No AI provider could take ${remaining.length} post(s). They stay pending for the next cycle.`);
+            }
+            analyzed.push(...remaining.map(t => ({ ...t, aiAnalysis: { isIssue: false, skipped: true, reason } })));
         }
 
-        this.lastCallTime = Date.now();
+        return analyzed;
     }
 
     /**
-     * Parse retry delay from error message
+     * Analyze one batch with one provider. Answers are checked against the
+     * schema; a malformed answer gets one repair prompt, and posts still
+     * missing an answer are asked about once more on their own.
+     * @returns {Promise<Array>} Every tweet, with aiAnalysis set and (unless skipped) an analysisRecord for the history
      */
-    parseRetryDelay(errorMessage) {
-        // Look for patterns like "retry in 7.934181993s" or "retryDelay":"7s"
-        const match = errorMessage.match(/retry.*?(\d+(?:\.\d+)?)\s*s/i);
-        if (match) {
-            return Math.ceil(parseFloat(match[1]) * 1000) + 1000; // Add 1s buffer
+    async requestBatch(provider, tweets) {
+        const byId = new Map(tweets.map(t => [String(t.id), t]));
+        const results = new Map();
+        let missingIds = [...byId.keys()];
+        let lastError = null;
+
+        // Every call made for this batch, and which one answered each post
+        const calls = [];
+        const answeredBy = new Map();
+        const send = async (prompt) => {
+            const response = await this.generate(provider, prompt);
+            calls.push(response);
+            return response.text;
+        };
+        const record = (id) => this.buildRecord(provider, 'text', calls, answeredBy.get(id), tweets.length);
+
+        const accept = (responseText, askedIds) => {
+            const { items, error } = parseAnalysisJson(responseText);
+            const check = items
+                ? validateAnalysisResponse(items, askedIds)
+                : { results: new Map(), errors: [error], missingIds: askedIds };
+
+            check.results.forEach((analysis, id) => {
+                results.set(id, analysis);
+                answeredBy.set(id, calls.length - 1);
+            });
+            missingIds = missingIds.filter(id => !results.has(id));
+            if (check.errors.length > 0) {
+                lastError = check.errors.slice(0, 3).join(' | ');
+            }
+            return check.errors;
+        };
+
+        try {
+            console.log(`🤖 Sending batch of ${tweets.length} tweets to ${provider.name} (${provider.model})...`);
+            const responseText = await send(this.buildPrompt(tweets));
+            const errors = accept(responseText, missingIds);
+
+            // Malformed or invalid entries: show the model its answer and what was wrong
+            if (errors.length > 0 && missingIds.length > 0) {
+                console.log(`   🔧 ${provider.name}: ${errors.length} schema problem(s), sending repair prompt...`);
+                accept(await send(this.buildRepairPrompt(responseText, errors, missingIds)), missingIds);
+            }
+
+            // Posts the model skipped over: ask about just those
+            if (missingIds.length > 0) {
+                console.log(`   🔁 ${provider.name}: retrying ${missingIds.length} unanswered post(s)...`);
+                accept(await send(this.buildPrompt(missingIds.map(id => byId.get(id)))), missingIds);
+            }
+        } catch (error) {
+            if (!error.quotaExhausted) {
+                console.error(`AI Batch Analysis Error (${provider.name}): ${error.message}`);
+            }
+            // Out of quota, or the provider could not be reached (network, 5xx): the model never saw
+            // the posts, so they are skipped rather than counted as unanswered
+            if (error.quotaExhausted || error.transient) {
+                return tweets.map(t => results.has(String(t.id))
+                    ? this.withAnalysis(t, results.get(String(t.id)), record(String(t.id)))
+                    : { ...t, aiAnalysis: { isIssue: false, skipped: true } });
+            }
+            // Rejected requests (4xx) and unreadable responses may be down to these posts: count an attempt
+            lastError = error.message;
         }
-        return null;
+
+        if (results.size > 0) {
+            console.log(`✅ AI analysis successful for ${results.size}/${tweets.length} tweets`);
+        }
+        if (missingIds.length > 0) {
+            console.warn(`   ⚠️  No valid answer for ${missingIds.join(', ')}: ${lastError}`);
+        }
+
+        return tweets.map(t => results.has(String(t.id))
+            ? this.withAnalysis(t, results.get(String(t.id)), record(String(t.id)))
+            : {
+                ...t,
+                aiAnalysis: { isIssue: false, unanswered: true, error: lastError },
+                analysisRecord: { ...record(String(t.id)), error: lastError }
+            });
     }
 
     /**
-     * Check if error indicates daily quota exhaustion vs per-minute rate limit
+     * History entry for one post: the response that answered it (or the last one),
+     * with latency and token counts summed over every call made for its batch
      */
-    isDailyQuotaExhausted(errorMessage) {
-        return errorMessage.includes('limit: 0') ||
-            errorMessage.includes('PerDayPerProject') ||
-            errorMessage.includes('exceeded your current quota');
+    buildRecord(provider, kind, calls, callIndex, batchSize) {
+        const call = calls[callIndex ?? calls.length - 1];
+        const total = (key) => calls.some(c => c.usage[key] != null)
+            ? calls.reduce((sum, c) => sum + (c.usage[key] || 0), 0)
+            : null;
+
+        return {
+            kind,
+            provider: provider.name,
+            model: provider.model,
+            promptVersion: PROMPT_VERSIONS[kind],
+            rawResponse: call ? call.text : null,
+            latencyMs: calls.length > 0 ? calls.reduce((sum, c) => sum + c.latencyMs, 0) : null,
+            inputTokens: total('inputTokens'),
+            outputTokens: total('outputTokens'),
+            batchSize,
+            error: null
+        };
     }
 
     /**
-     * Analyze a single tweet (Wrapper for backward compatibility)
+     * Ask a vision provider whether the post's photos show a footpath problem.
+     * The verdict is independent of the text verdict so the two can be compared.
+     * @param {Object} post - {id, text}
+     * @param {Array} images - From ImageFetcher.fetch
+     * @returns {Promise<Object>} Analysis with `landmarks`, `provider`, `imageCount` and the history `record`;
+     *   `skipped` when no vision provider had quota, `unanswered` when no valid answer came back
      */
-    async analyzeTweet(tweetText) {
-        const results = await this.analyzeBatch([{ id: 'single', text: tweetText }]);
-        return results[0]?.aiAnalysis || { isIssue: false, location: null, issueType: null, confidence: 0 };
+    async analyzeImages(post, images) {
+        const id = String(post.id);
+        let lastError = 'No vision provider configured';
+        let lastRecord = null;
+
+        for (const provider of this.providers.filter(p => p.vision)) {
+            if (provider.isQuotaExhausted()) continue;
+
+            const calls = [];
+            try {
+                console.log(`   🖼️  Sending ${images.length} photo(s) of ${id} to ${provider.name} (${provider.model})...`);
+                const prompt = this.buildImagePrompt(post);
+                calls.push(await this.generate(provider, prompt, images));
+                let check = this.checkImageAnswer(calls[0].text, id);
+
+                if (!check.results.has(id)) {
+                    console.log(`   🔧 ${provider.name}: photo answer invalid, sending repair prompt...`);
+                    calls.push(await this.generate(provider, `${prompt}\n\n${this.buildImageRepairPrompt(calls[0].text, check.errors)}`, images));
+                    check = this.checkImageAnswer(calls[1].text, id);
+                }
+
+                const record = this.buildRecord(provider, 'image', calls, undefined, 1);
+                if (check.results.has(id)) {
+                    const analysis = check.results.get(id);
+                    return {
+                        ...this.sanitizeLocations(analysis),
+                        provider: provider.name,
+                        model: provider.model,
+                        imageCount: images.length,
+                        record
+                    };
+                }
+                lastError = check.errors.slice(0, 3).join(' | ');
+                lastRecord = { ...record, error: lastError };
+                break;
+            } catch (error) {
+                lastError = error.message;
+                if (error.quotaExhausted) continue;
+                console.error(`AI Photo Analysis Error (${provider.name}): ${error.message}`);
+                lastRecord = { ...this.buildRecord(provider, 'image', calls, undefined, 1), error: lastError };
+                break;
+            }
+        }
+
+        if (this.providers.some(p => p.vision && !p.isQuotaExhausted())) {
+            console.warn(`   ⚠️  No valid photo answer for ${id}: ${lastError}`);
+            return { isIssue: false, unanswered: true, error: lastError, record: lastRecord };
+        }
+        return { isIssue: false, skipped: true };
+    }
+
+    checkImageAnswer(responseText, id) {
+        const { items, error } = parseAnalysisJson(responseText);
+        const check = items
+            ? validateImageAnalysisResponse(items, [id])
+            : { results: new Map(), errors: [error], missingIds: [id] };
+        if (check.errors.length === 0 && !check.results.has(id)) {
+            check.errors.push(`no entry with id ${JSON.stringify(id)}`);
+        }
+        return check;
+    }
+
+    withAnalysis(tweet, analysis, record) {
+        return {
+            ...tweet,
+            aiAnalysis: this.sanitizeLocations(analysis),
+            analysisRecord: record
+        };
     }
 
     /**
-     * Batch analyze tweets using a single prompt
-     * @param {Array} tweets - Array of {id, text} objects
+     * Send one prompt (with optional images), retrying per-minute rate limits.
+     * Throws with `quotaExhausted` set when the provider's daily quota runs out,
+     * and `transient` when the call failed for reasons other than the prompt.
+     * @returns {Promise<{text: string, usage: Object, latencyMs: number}>}
      */
-    async analyzeBatch(tweets, retryCount = 0) {
-        if (!this.enabled || tweets.length === 0) {
-            return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false } }));
+    async generate(provider, prompt, images = [], retryCount = 0) {
+        const estimatedTokens = Math.ceil(prompt.length / CHARS_PER_TOKEN) + images.length * TOKENS_PER_IMAGE;
+        let usage = null;
+
+        try {
+            await provider.rateLimit(estimatedTokens);
+            const started = Date.now();
+            const response = await provider.generate(prompt, images);
+            usage = response.usage;
+            return { ...response, latencyMs: Date.now() - started };
+        } catch (error) {
+            const { kind, retryDelayMs } = provider.classifyError(error);
+
+            if (kind === 'daily_quota') {
+                provider.markQuotaExhausted();
+                console.log(`🚫 ${provider.name}: daily API quota exhausted. Resets at ${new Date(provider.quotaResetTime).toISOString()}.`);
+                await this.persist(provider, store => store.saveAiQuotaReset(provider.name, provider.quotaResetTime));
+                error.quotaExhausted = true;
+                throw error;
+            }
+
+            // Handle per-minute rate limiting with retry
+            if (kind === 'rate_limited' && retryCount < provider.maxRetries) {
+                const retryDelay = retryDelayMs ?? ((retryCount + 1) * 10000);
+                console.log(`⏳ ${provider.name}: rate limited. Retrying in ${retryDelay}ms...`);
+                await new Promise(r => setTimeout(r, retryDelay));
+                return this.generate(provider, prompt, images, retryCount + 1);
+            }
+
+            // Rate limits that outlasted the retries, server errors and network failures say nothing about the prompt
+            error.transient = kind === 'rate_limited' || kind === 'unavailable';
+            throw error;
+        } finally {
+            await this.recordUsage(provider, usage, estimatedTokens);
         }
+    }
 
-        // Check if quota is exhausted
-        if (this.isQuotaExhausted()) {
-            const waitMinutes = this.quotaResetTime
-                ? Math.ceil((this.quotaResetTime - Date.now()) / 60000)
-                : '??';
-            console.log(`⏸️  Daily quota exhausted. Will retry in ~${waitMinutes} minutes.`);
-            return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false, skipped: true } }));
+    /**
+     * Count a call (failed calls too: the API counts them) and persist the counters
+     */
+    async recordUsage(provider, usage, estimatedTokens) {
+        const wasOverBudget = provider.isOverBudget();
+        provider.recordUsage(usage, estimatedTokens);
+        await this.persist(provider, store => store.recordAiUsage(provider.name, provider.usage.day, usage));
+
+        if (!wasOverBudget && provider.isOverBudget()) {
+            const budget = provider.getBudget();
+            console.log(`💰 ${provider.name}: daily budget used (${budget.requests.used} requests, ${budget.tokens.used} tokens). Resumes at ${budget.resetsAt.toISOString()}.`);
         }
+    }
 
+    /**
+     * Write to the store; a database hiccup must not fail the analysis
+     */
+    async persist(provider, write) {
+        if (!this.store) return;
         try {
-            await this.rateLimit();
+            await write(this.store);
+        } catch (error) {
+            console.warn(`⚠️  Could not save AI usage for ${provider.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask the model to fix its own answer
+     */
+    buildRepairPrompt(responseText, errors, missingIds) {
+        return `
+        Your previous answer could not be used. It was:
+        ${responseText.substring(0, 4000)}
+
+        PROBLEMS:
+        ${errors.slice(0, 20).map(e => `- ${e}`).join('\n        ')}
+
+        Return ONLY a corrected JSON array with exactly one object for each of these IDs: ${missingIds.map(id => JSON.stringify(id)).join(', ')}.
+        Each object must have:
+          "id": the ID as a string, copied exactly,
+          "is_issue": true or false,
+          "issue_types": an array of ${ISSUE_TYPES.map(t => `"${t}"`).join(', ')} (empty when is_issue is false),
+          "severity": an integer from 1 to 5, or null when is_issue is false,
+          "accessibility_impact": true or false,
+          "location": a string, or null,
+          "location_parts": an object with "street", "cross_road", "locality" and "landmark", each a string or null,
+          "confidence": a number from 0 to 1
+      `;
+    }
 
-            console.log(`🤖 Sending batch of ${tweets.length} tweets to Gemini...`);
+    /**
+     * Ask the model to fix its photo answer
+     */
+    buildImageRepairPrompt(responseText, errors) {
+        return `
+        Your previous answer could not be used. It was:
+        ${responseText.substring(0, 2000)}
 
-            const tweetList = tweets.map(t => `ID: ${t.id}\nTweet: "${t.text.replace(/"/g, "'")}"`).join('\n\n');
+        PROBLEMS:
+        ${errors.slice(0, 10).map(e => `- ${e}`).join('\n        ')}
 
-            const prompt = `
+        Return ONLY the corrected JSON array.
+      `;
+    }
+
+    buildImagePrompt(post) {
+        const entry = this.formatEntry(post);
+
+        return `
+        You are an AI assistant for the "Bangalore Footpath Map" project.
+        The attached photo(s) were posted with the text below. Judge the PHOTOS: do they show a pedestrian infrastructure problem in Bangalore?
+
+        ${entry}
+
+        INSTRUCTIONS:
+        1. visible_issue: true only if a footpath problem is actually visible in a photo. Do not rely on the text alone.
+        2. issue_types: every visible type, from: ${ISSUE_TYPES.join(', ')} ([] when visible_issue is false).
+        3. severity (null when visible_issue is false): 1 = cosmetic, 2 = minor inconvenience, 3 = forces people onto the road at times,
+           4 = footpath unusable for a stretch, 5 = immediate danger (open drain, exposed rebar, collapse).
+        4. accessibility_impact: true if what is visible blocks or endangers wheelchair users, people with prams, elderly or visually impaired pedestrians.
+        5. landmarks: readable shop signs, building names, bus stop or metro station names, road name boards visible in the photos ([] if none).
+           Signs and the text may be in Kannada or Hindi; write landmarks in English letters.
+        6. location: the most specific place you can infer from the text and the landmarks, in English letters, or null.
+        7. location_parts: the pieces of that location, each in English letters or null: street (road name), cross_road
+           ("5th Cross", "2nd Main"), locality (neighbourhood or layout) and landmark (nearby shop, school, metro station, junction).
+        8. confidence is between 0 and 1.
+
+        OUTPUT FORMAT (JSON ONLY - no other text, an array with one object):
+        [
+          {
+            "id": "${post.id}",
+            "visible_issue": boolean,
+            "issue_types": ["string"],
+            "severity": number | null,
+            "accessibility_impact": boolean,
+            "landmarks": ["string"],
+            "location": "string" | null,
+            "location_parts": { "street": "string" | null, "cross_road": "string" | null, "locality": "string" | null, "landmark": "string" | null },
+            "confidence": number
+          }
+        ]
+      `;
+    }
+
+    /**
+     * One post in a prompt; posts not in English say which language they are in
+     */
+    formatEntry(post) {
+        const language = post.language || detectLanguage(post.text);
+        const entry = `ID: ${post.id}\nTweet: "${(post.text || '').replace(/"/g, "'")}"`;
+        return language && language !== 'en' ? `${entry}\nLanguage: ${languageName(language)}` : entry;
+    }
+
+    buildPrompt(tweets) {
+        const tweetList = tweets.map(t => this.formatEntry(t)).join('\n\n');
+
+        return `
         You are an AI assistant for the "Bangalore Footpath Map" project. 
         Analyze the following tweets to determine if they report pedestrian infrastructure issues (bad footpath, pothole, encroachment, etc.) in Bangalore.
 
@@ -116,111 +497,101 @@ class AiAnalysisService {
         ${tweetList}
 
         INSTRUCTIONS:
-        1. For EACH tweet, determine if it is a valid issue.
-        2. Extract specific location if present.
-        3. Output a JSON ARRAY of objects.
+        1. For EACH tweet, determine if it is a valid issue. Entries with [1/N] markers are threads by one reporter; treat the whole thread as a single report (the location is often in a later part).
+           Tweets may be in Kannada or Hindi script, or Kannada/Hindi written in English letters ("Kanglish", "Hinglish"), often mixed with English.
+           Judge them in their own language; do not mark a tweet as a non-issue because it is not in English.
+        2. Extract specific location if present. Write it in English letters with the usual English spelling of the place
+           (ಕೋರಮಂಗಲ or Kormangala -> Koramangala, ಎಂ.ಜಿ. ರಸ್ತೆ -> MG Road). Keep name endings like -halli, -palya, -pura; do not translate place names.
+           Also split it into location_parts (each null when not mentioned): street (road name), cross_road ("5th Cross", "2nd Main"),
+           locality (neighbourhood or layout) and landmark (nearby shop, school, metro station, junction). Many roads share a name
+           ("100 Feet Road", "MG Road"), so the locality and landmark are needed to find the right one.
+        3. Output a JSON ARRAY with exactly one object per tweet. Copy each ID exactly, as a string.
+        4. issue_types: every type that applies, from: ${ISSUE_TYPES.join(', ')} ([] when is_issue is false).
+        5. severity (null when is_issue is false): 1 = cosmetic, 2 = minor inconvenience, 3 = forces people onto the road at times,
+           4 = footpath unusable for a stretch, 5 = immediate danger (open drain, exposed rebar, collapse).
+        6. accessibility_impact: true if it blocks or endangers wheelchair users, people with prams, elderly or visually impaired pedestrians.
+        7. confidence is between 0 and 1.
 
         OUTPUT FORMAT (JSON ONLY - no other text, just the JSON array):
         [
           {
             "id": "tweet_id",
             "is_issue": boolean,
-            "issue_type": "string" | null,
+            "issue_types": ["string"],
+            "severity": number | null,
+            "accessibility_impact": boolean,
             "location": "string" | null,
+            "location_parts": { "street": "string" | null, "cross_road": "string" | null, "locality": "string" | null, "landmark": "string" | null },
             "confidence": number
           },
           ...
         ]
       `;
+    }
 
-            const result = await this.model.generateContent({
-                contents: [{ role: 'user', parts: [{ text: prompt }] }]
-                // Note: Not using responseMimeType for compatibility with Gemma models
-            });
-
-            const responseText = result.response.text();
-            let analysisArray;
-
-            try {
-                // Try to extract JSON from the response (in case model adds extra text)
-                const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-                if (jsonMatch) {
-                    analysisArray = JSON.parse(jsonMatch[0]);
-                } else {
-                    throw new Error('No JSON array found in response');
-                }
-            } catch (e) {
-                console.error('Failed to parse AI response JSON:', responseText.substring(0, 100));
-                return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false } }));
-            }
-
-            console.log(`✅ AI analysis successful for ${analysisArray.length} tweets`);
-
-            // Map results back to tweets
-            return tweets.map(tweet => {
-                const analysis = analysisArray.find(a => a.id === tweet.id) || { is_issue: false, location: null, confidence: 0 };
-
-                // Sanitize location
-                let location = analysis.location;
-                if (location) {
-                    if (location.toLowerCase().includes('none') || (location.toLowerCase().includes('bangalore') && location.length < 12)) {
-                        if (location.trim().toLowerCase() === 'bangalore') location = null;
-                    } else {
-                        if (!location.toLowerCase().includes('bangalore') && !location.toLowerCase().includes('bengaluru')) {
-                            location += ', Bangalore';
-                        }
-                    }
-                }
+    /**
+     * Sanitized location and location parts of an answer
+     */
+    sanitizeLocations(analysis) {
+        return {
+            ...analysis,
+            location: this.sanitizeLocation(analysis.location),
+            locationParts: this.sanitizeLocationParts(analysis.locationParts)
+        };
+    }
 
-                return {
-                    ...tweet,
-                    aiAnalysis: {
-                        isIssue: analysis.is_issue,
-                        location: location,
-                        issueType: analysis.issue_type,
-                        confidence: analysis.confidence
-                    }
-                };
-            });
+    /**
+     * Location parts spelled like the location, without the city; null when none is left
+     */
+    sanitizeLocationParts(parts) {
+        if (!parts) return null;
 
-        } catch (error) {
-            const errorMsg = error.message;
-
-            // Check if this is a daily quota exhaustion
-            if (this.isDailyQuotaExhausted(errorMsg)) {
-                console.log('🚫 Daily API quota exhausted.');
-                this.quotaExhausted = true;
-                // Set reset time to next hour (quotas often reset on hour boundaries)
-                this.quotaResetTime = Date.now() + (60 * 60 * 1000); // 1 hour from now
-                return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false, skipped: true } }));
-            }
+        const result = {};
+        for (const [name, value] of Object.entries(parts)) {
+            const canonical = value ? canonicalizeLocation(value) : null;
+            result[name] = canonical && !PLACEHOLDER_LOCATION.test(canonical) ? canonical : null;
+        }
+        return Object.values(result).some(Boolean) ? result : null;
+    }
 
-            // Handle per-minute rate limiting with retry
-            if ((errorMsg.includes('429') || errorMsg.includes('quota')) && retryCount < this.maxRetries) {
-                const retryDelay = this.parseRetryDelay(errorMsg) || ((retryCount + 1) * 10000);
-                console.log(`⏳ Rate limited. Retrying in ${retryDelay}ms...`);
-                await new Promise(r => setTimeout(r, retryDelay));
-                return this.analyzeBatch(tweets, retryCount + 1);
-            }
+    /**
+     * Drop placeholder locations, spell known places as in the gazetteer
+     * (in Latin script) and anchor the rest to the city for geocoding
+     */
+    sanitizeLocation(location) {
+        if (!location) return location;
 
-            console.error(`AI Batch Analysis Error: ${errorMsg}`);
-            return tweets.map(t => ({ ...t, aiAnalysis: { isIssue: false } }));
-        }
+        // Dropping the city leaves nothing when the model only said "Bangalore"
+        const canonical = canonicalizeLocation(location);
+        if (!canonical || PLACEHOLDER_LOCATION.test(canonical)) return null;
+        return `${canonical}, Bangalore`;
     }
 
     /**
      * Get current status for API
      */
     getStatus() {
+        const exhausted = this.isQuotaExhausted();
+        // With every provider out, processing resumes when the first one resets
+        const quotaResetTime = exhausted
+            ? Math.min(...this.providers.map(p => p.availableAt() || Infinity))
+            : null;
+        const active = this.providers.find(p => !p.isQuotaExhausted());
+
         return {
             enabled: this.enabled,
-            quotaExhausted: this.quotaExhausted,
-            quotaResetTime: this.quotaResetTime,
-            minutesUntilReset: this.quotaResetTime
-                ? Math.max(0, Math.ceil((this.quotaResetTime - Date.now()) / 60000))
-                : null
+            promptVersions: PROMPT_VERSIONS,
+            activeProvider: active ? active.name : null,
+            quotaExhausted: exhausted,
+            quotaResetTime: Number.isFinite(quotaResetTime) ? quotaResetTime : null,
+            minutesUntilReset: Number.isFinite(quotaResetTime)
+                ? Math.max(0, Math.ceil((quotaResetTime - Date.now()) / 60000))
+                : null,
+            providers: this.providers.map(p => p.getStatus())
         };
     }
 }
 
+AiAnalysisService.PROMPT_VERSIONS = PROMPT_VERSIONS;
+
 module.exports = AiAnalysisService;
@@ -0,0 +1,207 @@
+const { ISSUE_TYPES } = require('./issueTypes');
+
+// Pieces of the location the geocoder uses to pick between candidates
+const LOCATION_PARTS = ['street', 'cross_road', 'locality', 'landmark'];
+
+/**
+ * Schema for one entry of an AI batch answer:
+ * { id: string, is_issue: boolean, issue_types: ISSUE_TYPES[],
+ *   severity: integer 1-5 | null, accessibility_impact: boolean,
+ *   location: string | null, confidence: number in [0, 1],
+ *   location_parts?: { street, cross_road, locality, landmark: string | null } }
+ * issue_types and severity are only required when is_issue is true.
+ * location_parts is optional (older prompts and recordings lack it).
+ *
+ * Photo answers use the same shape with `visible_issue` in place of
+ * `is_issue`, plus `landmarks`: string[] of signs, shops or buildings
+ * that help place the photo.
+ */
+
+/**
+ * Pull the JSON array out of a model response. Tolerates code fences,
+ * prose around the array and a wrapping object ({"results": [...]}).
+ * @param {string} text - Raw response
+ * @returns {{items: Array|null, error: string|null}}
+ */
+function parseAnalysisJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { items: null, error: 'Empty response' };
+    }
+
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    const candidates = [];
+    const start = cleaned.indexOf('[');
+    const end = cleaned.lastIndexOf(']');
+    if (start !== -1 && end > start) {
+        candidates.push(cleaned.slice(start, end + 1));
+    }
+    if (cleaned.startsWith('{')) {
+        candidates.push(cleaned);
+    }
+
+    let lastError = 'No JSON array found in response';
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (Array.isArray(parsed)) return { items: parsed, error: null };
+
+            const wrapped = parsed && Object.values(parsed).find(Array.isArray);
+            if (wrapped) return { items: wrapped, error: null };
+            lastError = 'JSON is not an array';
+        } catch (error) {
+            lastError = `Invalid JSON: ${error.message}`;
+        }
+    }
+
+    return { items: null, error: lastError };
+}
+
+/**
+ * Check one answer entry
+ * @param {Object} item
+ * @param {string} [verdictField] - 'is_issue' for text answers, 'visible_issue' for photo answers
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateItem(item, verdictField = 'is_issue') {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return ['entry is not an object'];
+    }
+
+    const problems = [];
+    if (typeof item.id !== 'string' || !item.id) {
+        problems.push('"id" must be the post ID as a string');
+    }
+    if (typeof item[verdictField] !== 'boolean') {
+        problems.push(`"${verdictField}" must be true or false`);
+    }
+    if (item[verdictField] === true) {
+        if (!Array.isArray(item.issue_types) || item.issue_types.length === 0) {
+            problems.push(`"issue_types" must be a non-empty array when "${verdictField}" is true`);
+        } else if (item.issue_types.some(type => !ISSUE_TYPES.includes(type))) {
+            problems.push(`"issue_types" values must be from: ${ISSUE_TYPES.join(', ')}`);
+        }
+        if (!Number.isInteger(item.severity) || item.severity < 1 || item.severity > 5) {
+            problems.push(`"severity" must be an integer from 1 to 5 when "${verdictField}" is true`);
+        }
+    }
+    if (typeof item.accessibility_impact !== 'boolean') {
+        problems.push('"accessibility_impact" must be true or false');
+    }
+    if (item.location !== null && (typeof item.location !== 'string' || !item.location.trim())) {
+        problems.push('"location" must be a non-empty string or null');
+    }
+    if (typeof item.confidence !== 'number' || !(item.confidence >= 0 && item.confidence <= 1)) {
+        problems.push('"confidence" must be a number between 0 and 1');
+    }
+    if (item.location_parts !== undefined && item.location_parts !== null) {
+        const parts = item.location_parts;
+        if (typeof parts !== 'object' || Array.isArray(parts) ||
+            LOCATION_PARTS.some(part => parts[part] !== undefined && parts[part] !== null && typeof parts[part] !== 'string')) {
+            problems.push(`"location_parts" must be an object with ${LOCATION_PARTS.map(p => `"${p}"`).join(', ')} as strings or null`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check one photo answer entry
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateImageItem(item) {
+    const problems = validateItem(item, 'visible_issue');
+    if (problems[0] === 'entry is not an object') return problems;
+
+    if (!Array.isArray(item.landmarks) || item.landmarks.some(l => typeof l !== 'string')) {
+        problems.push('"landmarks" must be an array of strings');
+    }
+    return problems;
+}
+
+/**
+ * Validate a batch answer against the posts that were asked about
+ * @param {Array} items - Parsed answer entries
+ * @param {string[]} expectedIds - IDs sent in the prompt
+ * @returns {{results: Map<string, Object>, errors: string[], missingIds: string[]}}
+ *   results: valid entries keyed by id, as { isIssue, issueTypes, issueType, severity, accessibilityImpact, location, locationParts, confidence }
+ */
+function validateAnalysisResponse(items, expectedIds) {
+    return validateResponse(items, expectedIds, validateItem, item => toAnalysis(item, item.is_issue));
+}
+
+/**
+ * Validate a photo answer. Results additionally carry `landmarks`.
+ */
+function validateImageAnalysisResponse(items, expectedIds) {
+    return validateResponse(items, expectedIds, validateImageItem, item => ({
+        ...toAnalysis(item, item.visible_issue),
+        landmarks: item.landmarks.map(l => l.trim()).filter(Boolean)
+    }));
+}
+
+function validateResponse(items, expectedIds, validate, toResult) {
+    const expected = new Set(expectedIds);
+    const results = new Map();
+    const errors = [];
+
+    items.forEach((item, index) => {
+        const label = item && item.id !== undefined ? `id ${JSON.stringify(item.id)}` : `entry ${index}`;
+        const problems = validate(item);
+
+        if (problems.length === 0 && !expected.has(item.id)) {
+            problems.push('id does not match any post in the request');
+        }
+        if (problems.length === 0 && results.has(item.id)) {
+            problems.push('duplicate answer for this id');
+        }
+        if (problems.length > 0) {
+            errors.push(`${label}: ${problems.join('; ')}`);
+            return;
+        }
+
+        results.set(item.id, toResult(item));
+    });
+
+    return {
+        results,
+        errors,
+        missingIds: expectedIds.filter(id => !results.has(id))
+    };
+}
+
+function toAnalysis(item, isIssue) {
+    // Classification fields of a non-issue are meaningless; normalize rather than reject
+    const issueTypes = isIssue ? [...new Set(item.issue_types)] : [];
+    return {
+        isIssue,
+        issueTypes,
+        issueType: issueTypes[0] || null,
+        severity: isIssue ? item.severity : null,
+        accessibilityImpact: isIssue && item.accessibility_impact,
+        location: item.location,
+        locationParts: toLocationParts(item.location_parts),
+        confidence: item.confidence
+    };
+}
+
+/**
+ * location_parts as { street, crossRoad, locality, landmark }, null when none is given
+ */
+function toLocationParts(parts) {
+    if (!parts) return null;
+
+    const result = {};
+    for (const part of LOCATION_PARTS) {
+        const value = typeof parts[part] === 'string' ? parts[part].trim() : '';
+        result[part === 'cross_road' ? 'crossRoad' : part] = value || null;
+    }
+    return Object.values(result).some(Boolean) ? result : null;
+}
+
+module.exports = {
+    LOCATION_PARTS,
+    parseAnalysisJson,
+    validateItem,
+    validateImageItem,
+    validateAnalysisResponse,
+    validateImageAnalysisResponse
+};
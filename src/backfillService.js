@@ -0,0 +1,188 @@
+const db = require('./db');
+const TwitterSource = require('./sources/twitterSource');
+const { locatePosts, archivePostMedia } = require('./ingestion');
+
+const RESUMABLE_STATUSES = ['running', 'rate_limited'];
+const DEFAULT_RATE_LIMIT_WAIT_MS = 15 * 60 * 1000; // X rate-limit windows are 15 minutes
+
+/**
+ * Historical backfill for account watches.
+ *
+ * Walks an account's timeline backwards page by page (until_id + pagination
+ * tokens), saving posts and checkpointing the cursor in `ingestion_cursors`
+ * after each page so a restart or a 429 picks up where it left off.
+ * Note: the X timeline endpoint only reaches the newest ~3200 tweets.
+ */
+class BackfillService {
+    constructor() {
+        this.source = new TwitterSource();
+        this.twitterService = this.source.twitterService;
+        this.active = new Set();
+    }
+
+    cursorKey(watchId) {
+        return `backfill:watch:${watchId}`;
+    }
+
+    /**
+     * Run (or resume) the backfill for one watch until it completes or fails
+     * @param {number} watchId
+     * @param {Object} [options]
+     * @param {boolean} [options.restart] - Discard saved progress and start from the newest stored tweet
+     */
+    async run(watchId, { restart = false } = {}) {
+        const watch = await db.getWatch(watchId);
+        if (!watch) {
+            throw new Error(`Watch ${watchId} not found`);
+        }
+        if (watch.kind !== 'account') {
+            throw new Error('Backfill is only supported for account watches');
+        }
+
+        const key = this.cursorKey(watch.id);
+        if (this.active.has(key)) {
+            console.log(`⚠️  Backfill for @${watch.value} already running. Skipping.`);
+            return db.getIngestionCursor(key);
+        }
+
+        let cursor = await db.getIngestionCursor(key);
+        if (cursor && cursor.status === 'completed' && !restart) {
+            console.log(`✅ Backfill for @${watch.value} already completed.`);
+            return cursor;
+        }
+
+        this.active.add(key);
+        try {
+            if (!cursor || restart) {
+                // Start just below the oldest tweet we already have
+                const untilId = await db.getOldestTweetId(watch.value);
+                cursor = await db.saveIngestionCursor(key, {
+                    watchId: watch.id,
+                    mode: 'backfill',
+                    status: 'running',
+                    untilId,
+                    paginationToken: null,
+                    oldestId: untilId,
+                    fetchedCount: 0,
+                    lastError: null,
+                    startedAt: new Date(),
+                    completedAt: null
+                });
+            } else {
+                cursor = await db.saveIngestionCursor(key, { status: 'running', lastError: null });
+            }
+
+            console.log(`⏪ Backfilling @${watch.value} (until_id: ${cursor.untilId || 'None'}, fetched so far: ${cursor.fetchedCount})`);
+            const userId = await this.twitterService.getUserId(watch.value);
+
+            while (true) {
+                let page;
+                try {
+                    page = await this.twitterService.fetchTimelinePage(userId, {
+                        untilId: cursor.untilId,
+                        paginationToken: cursor.paginationToken
+                    });
+                } catch (error) {
+                    if (error.code === 429) {
+                        cursor = await this.waitForRateLimit(key, error);
+                        continue;
+                    }
+                    if (error.code === 400 && cursor.paginationToken) {
+                        // Tokens can expire across restarts: restart the walk below the oldest tweet seen
+                        console.log('   ⚠️  Pagination token rejected. Resuming from oldest fetched tweet.');
+                        cursor = await db.saveIngestionCursor(key, { untilId: cursor.oldestId, paginationToken: null });
+                        continue;
+                    }
+                    throw error;
+                }
+
+                const posts = page.tweets.map(tweet => this.source.normalize(tweet, page.includes, watch));
+                if (posts.length > 0) {
+                    await locatePosts(posts);
+                    await db.savePosts(posts);
+                    await archivePostMedia(posts);
+                }
+
+                const progress = {
+                    oldestId: oldestId(page.tweets) || cursor.oldestId,
+                    fetchedCount: cursor.fetchedCount + posts.length
+                };
+
+                if (!page.nextToken || posts.length === 0) {
+                    cursor = await db.saveIngestionCursor(key, {
+                        ...progress,
+                        status: 'completed',
+                        paginationToken: null,
+                        completedAt: new Date()
+                    });
+                    console.log(`✅ Backfill for @${watch.value} complete: ${cursor.fetchedCount} tweets.`);
+                    return cursor;
+                }
+
+                // until_id stays fixed while following a token chain; the token encodes the position
+                cursor = await db.saveIngestionCursor(key, { ...progress, paginationToken: page.nextToken });
+                console.log(`   Backfilled ${cursor.fetchedCount} tweets (oldest: ${cursor.oldestId})`);
+            }
+        } catch (error) {
+            console.error(`❌ Backfill Error (@${watch.value}):`, error.message);
+            return db.saveIngestionCursor(key, { status: 'failed', lastError: error.message });
+        } finally {
+            this.active.delete(key);
+        }
+    }
+
+    /**
+     * Persist the rate-limit state and sleep until the window resets
+     */
+    async waitForRateLimit(key, error) {
+        const resetSeconds = (error.rateLimit && error.rateLimit.reset)
+            || parseInt(error.headers && error.headers['x-rate-limit-reset']);
+        const resetAt = resetSeconds
+            ? new Date(resetSeconds * 1000 + 1000) // 1s buffer
+            : new Date(Date.now() + DEFAULT_RATE_LIMIT_WAIT_MS);
+
+        await db.saveIngestionCursor(key, { status: 'rate_limited', rateLimitResetAt: resetAt });
+
+        const waitMs = Math.max(resetAt.getTime() - Date.now(), 0);
+        console.log(`⏳ Rate limited. Sleeping ${Math.ceil(waitMs / 1000)}s until ${resetAt.toISOString()}...`);
+        await new Promise(r => setTimeout(r, waitMs));
+
+        return db.saveIngestionCursor(key, { status: 'running', rateLimitResetAt: null });
+    }
+
+    /**
+     * Resume backfills interrupted by a restart (status running / rate_limited)
+     */
+    async resumeInterrupted() {
+        const cursors = await db.getIngestionCursors(RESUMABLE_STATUSES);
+        for (const cursor of cursors.filter(c => c.mode === 'backfill' && c.watchId)) {
+            console.log(`🔄 Resuming interrupted backfill: ${cursor.key}`);
+            await this.run(cursor.watchId);
+        }
+    }
+
+    /**
+     * Backfill state for every watch
+     */
+    async getStatus() {
+        const cursors = await db.getIngestionCursors();
+        return cursors
+            .filter(c => c.mode === 'backfill')
+            .map(c => ({ ...c, active: this.active.has(c.key) }));
+    }
+}
+
+/**
+ * Smallest tweet ID in a list (IDs are 64-bit snowflakes, compare as BigInt)
+ */
+function oldestId(tweets) {
+    let oldest = null;
+    for (const tweet of tweets) {
+        if (oldest === null || BigInt(tweet.id) < BigInt(oldest)) {
+            oldest = tweet.id;
+        }
+    }
+    return oldest;
+}
+
+module.exports = BackfillService;
@@ -0,0 +1,32 @@
+/**
+ * Approximate bounding box of Bangalore, shared by every coordinate source
+ * (text parsing, EXIF, geocoding) so they all accept the same area.
+ */
+const CITY_BOUNDS = {
+    minLat: 12.7,
+    maxLat: 13.3,
+    minLon: 77.3,
+    maxLon: 77.9
+};
+
+/**
+ * Check whether a coordinate pair falls inside the city bounding box
+ */
+function isWithinCity(lat, lon) {
+    return Number.isFinite(lat) && Number.isFinite(lon) &&
+        lat >= CITY_BOUNDS.minLat && lat <= CITY_BOUNDS.maxLat &&
+        lon >= CITY_BOUNDS.minLon && lon <= CITY_BOUNDS.maxLon;
+}
+
+/**
+ * Great-circle distance in meters
+ */
+function distanceMeters(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = { CITY_BOUNDS, isWithinCity, distanceMeters };
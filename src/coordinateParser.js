@@ -0,0 +1,317 @@
+const { isWithinCity } = require('./cityBounds');
+const { precisionForRadius } = require('./locationPrecision');
+
+// Reference point for recovering short Plus Codes ("WHM7+8R") - Bangalore city center
+const CITY_CENTER = { lat: 12.9716, lon: 77.5946 };
+
+const NUMBER = '(-?\\d{1,3}(?:\\.\\d+)?)';
+
+/**
+ * Open Location Code (Plus Code) decoding
+ * Spec: https://github.com/google/open-location-code/blob/main/docs/specification.md
+ */
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_SEPARATOR_POSITION = 8;
+const OLC_PAIR_LENGTH = 10;
+const OLC_GRID_COLUMNS = 4;
+const OLC_GRID_ROWS = 5;
+
+/**
+ * Decode a full Plus Code to the center of its area
+ * @param {string} code - e.g. "7J4VWHM7+8R"
+ * @returns {{lat: number, lon: number, codeLength: number}|null}
+ */
+function decodePlusCode(code) {
+    const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+    if (digits.length < 2 || [...digits].some(c => !OLC_ALPHABET.includes(c))) {
+        return null;
+    }
+
+    let lat = -90;
+    let lon = -180;
+    let latResolution = 400;
+    let lonResolution = 400;
+
+    for (let i = 0; i < Math.min(digits.length, OLC_PAIR_LENGTH); i += 2) {
+        latResolution /= 20;
+        lonResolution /= 20;
+        lat += OLC_ALPHABET.indexOf(digits[i]) * latResolution;
+        if (i + 1 < digits.length) {
+            lon += OLC_ALPHABET.indexOf(digits[i + 1]) * lonResolution;
+        }
+    }
+
+    // Digits after the first 10 refine a 4x5 grid
+    for (let i = OLC_PAIR_LENGTH; i < digits.length; i++) {
+        latResolution /= OLC_GRID_ROWS;
+        lonResolution /= OLC_GRID_COLUMNS;
+        const value = OLC_ALPHABET.indexOf(digits[i]);
+        lat += Math.floor(value / OLC_GRID_COLUMNS) * latResolution;
+        lon += (value % OLC_GRID_COLUMNS) * lonResolution;
+    }
+
+    return {
+        lat: Math.min(lat + latResolution / 2, 90),
+        lon: lon + lonResolution / 2,
+        codeLength: digits.length
+    };
+}
+
+/**
+ * First `length` digits of the Plus Code for a point (used to complete short codes)
+ */
+function encodePlusCodePrefix(lat, lon, length) {
+    let latValue = Math.min(Math.max(lat, -90), 90) + 90;
+    let lonValue = (((lon + 180) % 360) + 360) % 360;
+    let resolution = 20;
+    let prefix = '';
+
+    while (prefix.length < length) {
+        const latDigit = Math.floor(latValue / resolution);
+        const lonDigit = Math.floor(lonValue / resolution);
+        latValue -= latDigit * resolution;
+        lonValue -= lonDigit * resolution;
+        prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+        resolution /= 20;
+    }
+
+    return prefix.slice(0, length);
+}
+
+/**
+ * Recover a short Plus Code ("WHM7+8R") to the nearest matching full code around a reference point
+ */
+function recoverShortPlusCode(shortCode, reference = CITY_CENTER) {
+    const paddingLength = OLC_SEPARATOR_POSITION - shortCode.indexOf('+');
+    const resolution = Math.pow(20, 2 - paddingLength / 2);
+    const halfResolution = resolution / 2;
+
+    const decoded = decodePlusCode(encodePlusCodePrefix(reference.lat, reference.lon, paddingLength) + shortCode);
+    if (!decoded) return null;
+
+    // The prefix may put the code one cell away from the reference; move it to the closest candidate
+    if (reference.lat + halfResolution < decoded.lat && decoded.lat - resolution >= -90) {
+        decoded.lat -= resolution;
+    } else if (reference.lat - halfResolution > decoded.lat && decoded.lat + resolution <= 90) {
+        decoded.lat += resolution;
+    }
+    if (reference.lon + halfResolution < decoded.lon) {
+        decoded.lon -= resolution;
+    } else if (reference.lon - halfResolution > decoded.lon) {
+        decoded.lon += resolution;
+    }
+
+    return decoded;
+}
+
+/**
+ * Apply a hemisphere letter to a parsed value (S and W are negative)
+ */
+function withHemisphere(value, hemisphere) {
+    const number = parseFloat(value);
+    if (hemisphere && /[SW]/i.test(hemisphere)) {
+        return -Math.abs(number);
+    }
+    return number;
+}
+
+/**
+ * Degrees, minutes and optional seconds to decimal degrees
+ */
+function dmsToDecimal(degrees, minutes, seconds, hemisphere) {
+    const value = parseFloat(degrees) + parseFloat(minutes || 0) / 60 + parseFloat(seconds || 0) / 3600;
+    return withHemisphere(value, hemisphere);
+}
+
+const PLUS_CODE_CHARS = '[23456789CFGHJMPQRVWX]';
+const DMS_PART = '(\\d{1,3})\\s*[°º]\\s*(\\d{1,2}(?:\\.\\d+)?)\\s*[\'′’]\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:["″”]|\'\'))?\\s*';
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Radius of a Plus Code cell (half its diagonal) in meters
+ */
+function plusCodeRadius(point) {
+    const pairs = Math.min(point.codeLength, OLC_PAIR_LENGTH) / 2;
+    const gridDigits = Math.max(0, point.codeLength - OLC_PAIR_LENGTH);
+    const latResolution = 400 / 20 ** pairs / OLC_GRID_ROWS ** gridDigits;
+    const lonResolution = 400 / 20 ** pairs / OLC_GRID_COLUMNS ** gridDigits;
+    const height = latResolution * METERS_PER_DEGREE;
+    const width = lonResolution * METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180);
+    return Math.hypot(height, width) / 2;
+}
+
+/**
+ * Distance from a map viewport's center to its edge (about 200 px) at a zoom level
+ */
+function viewportRadius(zoom, lat) {
+    const metersPerPixel = 156543.03 * Math.cos(lat * Math.PI / 180) / 2 ** zoom;
+    return 200 * metersPerPixel;
+}
+
+/**
+ * Supported formats, most specific first. Each returns {lat, lon} from a regex match.
+ * Confidence reflects how precisely the format pins the reporter's location
+ * (e.g. a dropped pin beats a map viewport center); uncertaintyM is how far
+ * off the point may be, in meters.
+ */
+const PATTERNS = [
+    {
+        name: 'geo_uri',
+        // geo:12.9716,77.5946 (RFC 5870)
+        regex: new RegExp(`\\bgeo:${NUMBER},${NUMBER}`, 'i'),
+        confidence: 0.95,
+        uncertaintyM: 10,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'google_maps_pin',
+        // Place URLs carry the pin as !3d<lat>!4d<lon>
+        regex: new RegExp(`!3d${NUMBER}!4d${NUMBER}`),
+        confidence: 0.95,
+        uncertaintyM: 10,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'osm_marker',
+        // openstreetmap.org/?mlat=12.9716&mlon=77.5946
+        regex: new RegExp(`openstreetmap\\.org\\/\\S*?[?&]mlat=${NUMBER}&mlon=${NUMBER}`, 'i'),
+        confidence: 0.95,
+        uncertaintyM: 10,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'apple_maps',
+        // maps.apple.com/?ll=12.9716,77.5946, ?q=...&sll=..., /place?coordinate=...
+        regex: new RegExp(`maps\\.apple\\.com\\/\\S*?[?&](?:ll|sll|coordinate|center)=${NUMBER}(?:,|%2C)${NUMBER}`, 'i'),
+        confidence: 0.9,
+        uncertaintyM: 25,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'google_maps',
+        // maps.google.com/?q=12.9716,77.5946 or google.com/maps/@12.9716,77.5946,17z (viewport center).
+        // A bare "@12.97,77.59" outside a Maps URL is not a location (handles, emails).
+        regex: new RegExp(`(?:maps\\.google\\.com\\/\\S*?[?&](?:q|ll|query|destination)=|google\\.com\\/maps\\/\\S*?@)${NUMBER}\\s*(?:,|%2C)\\s*${NUMBER}`, 'i'),
+        confidence: 0.8,
+        uncertaintyM: 100,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'osm_map',
+        // openstreetmap.org/#map=17/12.9716/77.5946 (viewport center, precision depends on zoom)
+        regex: new RegExp(`openstreetmap\\.org\\/\\S*?#map=(\\d{1,2})\\/${NUMBER}\\/${NUMBER}`, 'i'),
+        confidence: m => (parseInt(m[1]) >= 16 ? 0.8 : 0.5),
+        uncertaintyM: (m, point) => viewportRadius(parseInt(m[1]), point.lat),
+        parse: m => ({ lat: parseFloat(m[2]), lon: parseFloat(m[3]) })
+    },
+    {
+        name: 'coords_prefix',
+        // "Coords: 12.944583, 77.620572"
+        regex: new RegExp(`Coords?:\\s*${NUMBER}\\s*([NS])?\\s*,\\s*${NUMBER}\\s*([EW])?`, 'i'),
+        confidence: 0.9,
+        uncertaintyM: 25,
+        parse: m => ({ lat: withHemisphere(m[1], m[2]), lon: withHemisphere(m[3], m[4]) })
+    },
+    {
+        name: 'dms',
+        // 12°58'17.8"N 77°35'40.6"E, or degrees + decimal minutes: 12°58.296'N 77°35.676'E
+        regex: new RegExp(`${DMS_PART}([NS])[\\s,]+${DMS_PART}([EW])`, 'i'),
+        confidence: 0.9,
+        uncertaintyM: 30,
+        parse: m => ({ lat: dmsToDecimal(m[1], m[2], m[3], m[4]), lon: dmsToDecimal(m[5], m[6], m[7], m[8]) })
+    },
+    {
+        name: 'plus_code',
+        // Full Open Location Code: 7J4VWHM7+8R
+        regex: new RegExp(`\\b(${PLUS_CODE_CHARS}{8}\\+${PLUS_CODE_CHARS}{2,})`),
+        confidence: m => (m[1].length >= 11 ? 0.9 : 0.6),
+        uncertaintyM: (m, point) => plusCodeRadius(point),
+        parse: m => decodePlusCode(m[1])
+    },
+    {
+        name: 'plus_code_short',
+        // Short code relative to the city: WHM7+8R (optionally followed by a locality)
+        regex: new RegExp(`(?:^|[^0-9A-Z+])((?:${PLUS_CODE_CHARS}{2}){2,3}\\+${PLUS_CODE_CHARS}{2,})`),
+        confidence: 0.85,
+        uncertaintyM: (m, point) => plusCodeRadius(point),
+        parse: m => recoverShortPlusCode(m[1])
+    },
+    {
+        name: 'degrees',
+        // 12.944583°N, 77.620572°E or 12.944583°, 77.620572°
+        regex: new RegExp(`${NUMBER}\\s*°\\s*([NS])?\\s*,?\\s*${NUMBER}\\s*°\\s*([EW])?`, 'i'),
+        confidence: 0.85,
+        uncertaintyM: 25,
+        parse: m => ({ lat: withHemisphere(m[1], m[2]), lon: withHemisphere(m[3], m[4]) })
+    },
+    {
+        name: 'hemisphere_decimal',
+        // 12.944583 N, 77.620572 E
+        regex: /\b(\d{1,2}\.\d{3,})\s*([NS])\b[\s,]+(\d{1,3}\.\d{3,})\s*([EW])\b/i,
+        confidence: 0.85,
+        uncertaintyM: 25,
+        parse: m => ({ lat: withHemisphere(m[1], m[2]), lon: withHemisphere(m[3], m[4]) })
+    },
+    {
+        name: 'pin_emoji',
+        // 📍 12.944583, 77.620572
+        regex: new RegExp(`📍\\s*${NUMBER}\\s*,\\s*${NUMBER}`),
+        confidence: 0.85,
+        uncertaintyM: 25,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    },
+    {
+        name: 'plain_decimal',
+        // Two bare decimals; be strict to avoid false positives - must have reasonable precision
+        regex: /(?:^|[^\d.-])(-?1[2-3]\.\d{4,})\s*,\s*(-?7[6-7]\.\d{4,})\b/,
+        confidence: 0.7,
+        uncertaintyM: 25,
+        parse: m => ({ lat: parseFloat(m[1]), lon: parseFloat(m[2]) })
+    }
+];
+
+/**
+ * Parse coordinates from free text (tweets, URLs in tweets).
+ * Formats are tried most specific first; the first one that yields a point
+ * inside Bangalore wins.
+ * @param {string} text
+ * @returns {{lat: number, lon: number, pattern: string, confidence: number, precision: string, uncertaintyM: number}|null}
+ */
+function parseCoordinates(text) {
+    if (!text) return null;
+
+    for (const pattern of PATTERNS) {
+        const match = text.match(pattern.regex);
+        if (!match) continue;
+
+        const point = pattern.parse(match);
+        if (!point || !isWithinCity(point.lat, point.lon)) continue;
+
+        const confidence = typeof pattern.confidence === 'function'
+            ? pattern.confidence(match)
+            : pattern.confidence;
+        const uncertaintyM = Math.round(typeof pattern.uncertaintyM === 'function'
+            ? pattern.uncertaintyM(match, point)
+            : pattern.uncertaintyM);
+
+        return {
+            lat: point.lat,
+            lon: point.lon,
+            pattern: pattern.name,
+            confidence,
+            precision: precisionForRadius(uncertaintyM),
+            uncertaintyM
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    PATTERNS,
+    CITY_CENTER,
+    parseCoordinates,
+    decodePlusCode,
+    recoverShortPlusCode
+};
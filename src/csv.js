@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF).
+ * Returns an array of objects keyed by the header row.
+ * @param {string} text - Raw CSV content
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without trailing newline
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim().length > 0));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return record;
+    });
+}
+
+module.exports = { parseCsv };
@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const { detectLanguage } = require('./language');
+const { describePrecision } = require('./locationPrecision');
 require('dotenv').config();
 
 // Create a new pool
@@ -46,6 +48,41 @@ async function initDB() {
             `);
         }
 
+        // Source tracking (migration for existing db): which adapter a post came from
+        await client.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS source VARCHAR(50) DEFAULT 'twitter',
+        ADD COLUMN IF NOT EXISTS source_url TEXT,
+        ADD COLUMN IF NOT EXISTS author_handle VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS conversation_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS in_reply_to_id VARCHAR(255);
+    `);
+
+        // Analysis failures (migration for existing db): posts the AI never answered validly
+        await client.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS analysis_attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_analysis_error TEXT;
+    `);
+
+        // Photo analysis (migration for existing db): text-only and photo verdicts kept apart for comparison
+        await client.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS text_analysis JSONB,
+        ADD COLUMN IF NOT EXISTS image_analysis JSONB;
+    `);
+
+        // Language (migration for existing db): detected language of the post text, e.g. 'kn' or 'hi-Latn'
+        await client.query(`ALTER TABLE posts ADD COLUMN IF NOT EXISTS language VARCHAR(10);`);
+
+        // Citizen reports (migration for existing db): pin and issue type chosen by the reporter
+        await client.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS reported_coordinates JSONB,
+        ADD COLUMN IF NOT EXISTS reported_issue_type VARCHAR(50);
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS posts_conversation_id_idx ON posts (conversation_id);`);
+
         // 2. Create locations table (Processed Data)
         await client.query(`
       CREATE TABLE IF NOT EXISTS locations (
@@ -59,6 +96,32 @@ async function initDB() {
       );
     `);
 
+        // Issue classification (migration for existing db): taxonomy labels, 1-5 severity, accessibility impact
+        await client.query(`
+        ALTER TABLE locations
+        ADD COLUMN IF NOT EXISTS issue_types TEXT[],
+        ADD COLUMN IF NOT EXISTS severity SMALLINT,
+        ADD COLUMN IF NOT EXISTS accessibility_impact BOOLEAN;
+    `);
+
+        // Location precision (migration for existing db): exact | street | locality | ward, and how far off the point may be
+        await client.query(`
+        ALTER TABLE locations
+        ADD COLUMN IF NOT EXISTS precision VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS uncertainty_m INTEGER;
+    `);
+
+        // Address enrichment (migration for existing db): reverse-geocoded road, locality, pincode and BBMP ward
+        await client.query(`
+        ALTER TABLE locations
+        ADD COLUMN IF NOT EXISTS road VARCHAR(200),
+        ADD COLUMN IF NOT EXISTS locality VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS ward VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS ward_number VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS pincode VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS address_updated_at TIMESTAMP;
+    `);
+
         // 3. Migration: Move existing coordinates from posts to locations
         const checkColumn = await client.query(`
         SELECT column_name 
@@ -83,6 +146,205 @@ async function initDB() {
             console.log('✅ Migration complete: Legacy columns dropped.');
         }
 
+        // 4. Create watches table (accounts, hashtags and search queries to ingest)
+        const checkWatches = await client.query(`
+        SELECT table_name
+        FROM information_schema.tables
+        WHERE table_name='watches';
+    `);
+
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS watches (
+        id SERIAL PRIMARY KEY,
+        kind VARCHAR(20) NOT NULL,
+        value TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        since_id VARCHAR(255),
+        last_fetched_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (kind, value)
+      );
+    `);
+
+        if (checkWatches.rows.length === 0) {
+            // Seed with the account the project originally tracked, resuming from its newest tweet
+            console.log('🔄 Seeding watch list with @caleb_friesen...');
+            await client.query(`
+        INSERT INTO watches (kind, value, since_id)
+        SELECT 'account', 'caleb_friesen', (
+            SELECT id FROM posts WHERE source = 'twitter' ORDER BY id::NUMERIC DESC LIMIT 1
+        )
+        ON CONFLICT (kind, value) DO NOTHING;
+      `);
+
+            // Every pre-watch-list tweet came from the single hard-coded account. Only done once, here:
+            // later tweets get their author from the API, and hashtag or query matches are not this account's.
+            await client.query(`
+        UPDATE posts SET author_handle = 'caleb_friesen'
+        WHERE source = 'twitter' AND author_handle IS NULL;
+      `);
+        }
+
+        // 5. Create ingestion_cursors table (resumable backfill state per watch)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS ingestion_cursors (
+        key VARCHAR(255) PRIMARY KEY,
+        watch_id INTEGER REFERENCES watches(id) ON DELETE CASCADE,
+        mode VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'idle',
+        until_id VARCHAR(255),
+        pagination_token TEXT,
+        oldest_id VARCHAR(255),
+        fetched_count INTEGER DEFAULT 0,
+        rate_limit_reset_at TIMESTAMP,
+        last_error TEXT,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+        // 6. Create ingestion_runs table (history of every ingestion job)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS ingestion_runs (
+        id SERIAL PRIMARY KEY,
+        trigger VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'running',
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP,
+        fetched INTEGER DEFAULT 0,
+        inserted INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        error_message TEXT,
+        details JSONB
+      );
+    `);
+
+        // 7. Create media table (archived copies of post attachments)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS media (
+        id SERIAL PRIMARY KEY,
+        post_id VARCHAR(255) REFERENCES posts(id) ON DELETE CASCADE,
+        source_url TEXT NOT NULL,
+        position INTEGER DEFAULT 0,
+        content_hash VARCHAR(64),
+        mime_type VARCHAR(100),
+        width INTEGER,
+        height INTEGER,
+        bytes INTEGER,
+        storage VARCHAR(20),
+        status VARCHAR(20) DEFAULT 'pending',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (post_id, source_url)
+      );
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS media_content_hash_idx ON media (content_hash);`);
+
+        // GPS position embedded in the original file (EXIF / XMP), read once per file
+        await client.query(`
+        ALTER TABLE media
+        ADD COLUMN IF NOT EXISTS gps_lat DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS gps_lon DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS gps_checked BOOLEAN DEFAULT FALSE;
+    `);
+
+        // 8. Create link_resolutions table (cache of expanded short links)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS link_resolutions (
+        short_url TEXT PRIMARY KEY,
+        expanded_url TEXT,
+        status VARCHAR(20) NOT NULL,
+        hops INTEGER DEFAULT 0,
+        error TEXT,
+        resolved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+        // 9. Create imports table (provenance of bulk imports)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS imports (
+        id SERIAL PRIMARY KEY,
+        format VARCHAR(20) NOT NULL,
+        filename TEXT,
+        source VARCHAR(50) NOT NULL,
+        options JSONB,
+        status VARCHAR(20) NOT NULL,
+        total_rows INTEGER DEFAULT 0,
+        invalid_rows INTEGER DEFAULT 0,
+        inserted INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        errors JSONB,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+    `);
+
+        // Which import last wrote a post (NULL for API-ingested posts)
+        await client.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS import_id INTEGER REFERENCES imports(id) ON DELETE SET NULL;
+    `);
+
+        // 10. Create analyses table (every verdict with its provider, model and prompt version)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS analyses (
+        id SERIAL PRIMARY KEY,
+        post_id VARCHAR(255) NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100),
+        prompt_version VARCHAR(50) NOT NULL,
+        raw_response TEXT,
+        result JSONB,
+        error TEXT,
+        latency_ms INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        batch_size INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS analyses_post_id_idx ON analyses (post_id, created_at);`);
+
+        // 11. Create ai_usage table (requests and tokens per provider per quota day)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        provider VARCHAR(50) NOT NULL,
+        day DATE NOT NULL,
+        requests INTEGER DEFAULT 0,
+        input_tokens BIGINT DEFAULT 0,
+        output_tokens BIGINT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (provider, day)
+      );
+    `);
+
+        // 12. Create ai_quota table (daily quota exhaustion, so restarts don't hit an exhausted API)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_quota (
+        provider VARCHAR(50) PRIMARY KEY,
+        reset_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+        // 13. Create geocode_cache table (geocoder answers by normalized query; result NULL = nothing found)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS geocode_cache (
+        query_key TEXT PRIMARY KEY,
+        query TEXT NOT NULL,
+        result JSONB,
+        lookups INTEGER DEFAULT 0,
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
         console.log('✅ Database schema initialized');
     } catch (error) {
         console.error('❌ Error initializing database:', error);
@@ -95,12 +357,14 @@ async function initDB() {
 /**
  * Save raw posts to database (upsert)
  * @param {Array} posts - Array of post objects
+ * @returns {Promise<{inserted: number, updated: number}>}
  */
-async function savePosts(posts) {
-    if (!posts || posts.length === 0) return 0;
+async function upsertPosts(posts) {
+    if (!posts || posts.length === 0) return { inserted: 0, updated: 0 };
 
     const client = await pool.connect();
     let insertedCount = 0;
+    let updatedCount = 0;
 
     try {
         await client.query('BEGIN');
@@ -109,22 +373,44 @@ async function savePosts(posts) {
             // Save Raw Post - Insert or Update
             // We do NOT overwrite processing_status on conflict unless implementation requires it
             const query = `
-        INSERT INTO posts (id, text, created_at, media_urls, processing_status, updated_at)
-        VALUES ($1, $2, $3, $4, 'pending', NOW())
+        INSERT INTO posts (id, text, created_at, media_urls, source, source_url, author_handle,
+                           conversation_id, in_reply_to_id, reported_coordinates, reported_issue_type,
+                           import_id, language, processing_status, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'pending', NOW())
         ON CONFLICT (id) DO UPDATE SET
           media_urls = EXCLUDED.media_urls,
-          updated_at = NOW();
+          source_url = COALESCE(EXCLUDED.source_url, posts.source_url),
+          author_handle = COALESCE(EXCLUDED.author_handle, posts.author_handle),
+          conversation_id = COALESCE(EXCLUDED.conversation_id, posts.conversation_id),
+          in_reply_to_id = COALESCE(EXCLUDED.in_reply_to_id, posts.in_reply_to_id),
+          import_id = COALESCE(EXCLUDED.import_id, posts.import_id),
+          updated_at = NOW()
+        RETURNING (xmax = 0) AS inserted;
       `;
 
             const values = [
                 post.id,
                 post.text,
                 post.createdAt || post.created_at,
-                JSON.stringify(post.mediaUrls || [])
+                JSON.stringify(post.mediaUrls || []),
+                post.source || 'twitter',
+                post.sourceUrl || null,
+                post.authorHandle || null,
+                post.conversationId || null,
+                post.inReplyToId || null,
+                post.reportedCoordinates ? JSON.stringify(post.reportedCoordinates) : null,
+                post.reportedIssueType || null,
+                post.importId || null,
+                post.language || detectLanguage(post.text)
             ];
 
-            await client.query(query, values);
-            insertedCount++;
+            const res = await client.query(query, values);
+            // xmax is 0 for freshly inserted rows, non-zero when ON CONFLICT updated an existing one
+            if (res.rows[0].inserted) {
+                insertedCount++;
+            } else {
+                updatedCount++;
+            }
 
             // Legacy support: If post object has explicit coordinates (e.g. from manual entry or legacy code)
             // we save them, but ideally IssueProcessor handles this now.
@@ -134,7 +420,7 @@ async function savePosts(posts) {
         }
 
         await client.query('COMMIT');
-        return insertedCount;
+        return { inserted: insertedCount, updated: updatedCount };
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('Error saving posts:', error);
@@ -144,19 +430,72 @@ async function savePosts(posts) {
     }
 }
 
+/**
+ * Save raw posts to database (upsert)
+ * @param {Array} posts - Array of post objects
+ * @returns {Promise<number>} Number of posts inserted or updated
+ */
+async function savePosts(posts) {
+    const { inserted, updated } = await upsertPosts(posts);
+    return inserted + updated;
+}
+
+/**
+ * Remove a post; its media records, locations and analyses go with it
+ * @returns {boolean} Whether a row was deleted
+ */
+async function deletePost(id) {
+    const res = await pool.query('DELETE FROM posts WHERE id = $1', [id]);
+    return res.rowCount > 0;
+}
+
 /**
  * Internal helper to save location
  */
-async function saveLocationInternal(client, postId, coordinates, extractedLocation) {
+async function saveLocationInternal(client, postId, coordinates, extractedLocation, classification = {}) {
+    // Classification is only known after AI analysis; saves without it keep what is stored
+    const { precision = null, uncertaintyM = null } = describePrecision(coordinates) || {};
     const query = `
-    INSERT INTO locations (post_id, coordinates, extracted_location, updated_at)
-    VALUES ($1, $2, $3, NOW())
+    INSERT INTO locations (post_id, coordinates, extracted_location, issue_types, severity, accessibility_impact, precision, uncertainty_m, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
     ON CONFLICT (post_id) DO UPDATE SET
       coordinates = EXCLUDED.coordinates,
       extracted_location = EXCLUDED.extracted_location,
+      precision = EXCLUDED.precision,
+      uncertainty_m = EXCLUDED.uncertainty_m,
+      address_updated_at = CASE
+        WHEN (locations.coordinates->>'lat', locations.coordinates->>'lon') IS DISTINCT FROM (EXCLUDED.coordinates->>'lat', EXCLUDED.coordinates->>'lon')
+        THEN NULL ELSE locations.address_updated_at END,
+      issue_types = COALESCE(EXCLUDED.issue_types, locations.issue_types),
+      severity = COALESCE(EXCLUDED.severity, locations.severity),
+      accessibility_impact = COALESCE(EXCLUDED.accessibility_impact, locations.accessibility_impact),
       updated_at = NOW();
   `;
-    await client.query(query, [postId, JSON.stringify(coordinates), extractedLocation || null]);
+    await client.query(query, [
+        postId,
+        JSON.stringify(coordinates),
+        extractedLocation || null,
+        classification.issueTypes || null,
+        classification.severity || null,
+        classification.accessibilityImpact ?? null,
+        precision,
+        uncertaintyM
+    ]);
+}
+
+/**
+ * Remove a location placed by analysis (geocoded, photo GPS) when the post
+ * turns out not to be an issue
+ * @param {string} postId
+ * @param {string[]} keepSources - coordinates.source values the reporter supplied, which stay
+ * @returns {Promise<boolean>} Whether a location was removed
+ */
+async function deleteDerivedLocation(postId, keepSources) {
+    const res = await pool.query(`
+        DELETE FROM locations
+        WHERE post_id = $1 AND NOT (COALESCE(coordinates->>'source', '') = ANY($2))
+    `, [postId, keepSources]);
+    return res.rowCount > 0;
 }
 
 /**
@@ -167,7 +506,7 @@ async function saveLocations(locationItems) {
     try {
         await client.query('BEGIN');
         for (const item of locationItems) {
-            await saveLocationInternal(client, item.id, item.coordinates, item.extractedLocation);
+            await saveLocationInternal(client, item.id, item.coordinates, item.extractedLocation, item.classification);
         }
         await client.query('COMMIT');
         return locationItems.length;
@@ -180,13 +519,50 @@ async function saveLocations(locationItems) {
 }
 
 /**
- * Get posts that need processing (pending status)
+ * Store the issue classification on a post's existing location (no-op when it has none)
+ * @param {string} postId
+ * @param {Object} classification - { issueTypes, severity, accessibilityImpact }
+ */
+async function updateLocationClassification(postId, { issueTypes, severity, accessibilityImpact }) {
+    await pool.query(`
+        UPDATE locations SET issue_types = $2, severity = $3, accessibility_impact = $4, updated_at = NOW()
+        WHERE post_id = $1
+    `, [postId, issueTypes, severity, accessibilityImpact]);
+}
+
+/**
+ * Mapped locations whose address has not been looked up (or all of them with `refresh`), newest first
+ * @returns {Promise<Array<{postId: string, coordinates: Object}>>}
+ */
+async function getLocationsToEnrich({ limit = null, refresh = false } = {}) {
+    const res = await pool.query(`
+        SELECT post_id, coordinates FROM locations
+        WHERE ($1::boolean OR address_updated_at IS NULL)
+        ORDER BY updated_at DESC
+        LIMIT $2
+    `, [refresh, limit]);
+    return res.rows.map(row => ({ postId: row.post_id, coordinates: row.coordinates }));
+}
+
+/**
+ * Store the reverse-geocoded address of a location
+ */
+async function saveAddress(postId, { road, locality, ward, wardNumber, pincode }) {
+    await pool.query(`
+        UPDATE locations SET road = $2, locality = $3, ward = $4, ward_number = $5, pincode = $6, address_updated_at = NOW()
+        WHERE post_id = $1
+    `, [postId, road, locality, ward, wardNumber, pincode]);
+}
+
+/**
+ * Get posts that need processing (pending status), with any location saved at ingestion
  */
 async function getPendingPosts(limit = 10) {
     const res = await pool.query(`
-        SELECT * FROM posts 
-        WHERE processing_status = 'pending'
-        ORDER BY created_at ASC
+        SELECT p.*, l.coordinates FROM posts p
+        LEFT JOIN locations l ON l.post_id = p.id
+        WHERE p.processing_status = 'pending'
+        ORDER BY p.created_at ASC
         LIMIT $1
     `, [limit]);
     return res.rows.map(formatPost);
@@ -203,30 +579,394 @@ async function markPostAsProcessed(postId, status = 'processed') {
     `, [status, postId]);
 }
 
+/**
+ * Store the text-only verdict and the photo verdict (null when photos weren't analyzed).
+ * The language fills in posts saved before languages were detected.
+ */
+async function saveVerdicts(postId, textAnalysis, imageAnalysis, language = null) {
+    await pool.query(`
+        UPDATE posts
+        SET text_analysis = $2, image_analysis = $3, language = COALESCE(language, $4), updated_at = NOW()
+        WHERE id = $1
+    `, [postId, textAnalysis ? JSON.stringify(textAnalysis) : null, imageAnalysis ? JSON.stringify(imageAnalysis) : null, language]);
+}
+
+/**
+ * Record a failed analysis attempt. Posts stay pending for another try
+ * until maxAttempts, then move to 'analysis_failed' instead of silently
+ * becoming non-issues.
+ * @param {string[]} postIds
+ * @param {string|null} error
+ * @param {number} [maxAttempts]
+ * @returns {Promise<number>} Posts given up on
+ */
+async function recordAnalysisFailure(postIds, error, maxAttempts = 3) {
+    const res = await pool.query(`
+        UPDATE posts SET
+            analysis_attempts = COALESCE(analysis_attempts, 0) + 1,
+            last_analysis_error = $2,
+            processing_status = CASE
+                WHEN COALESCE(analysis_attempts, 0) + 1 >= $3 THEN 'analysis_failed'
+                ELSE processing_status
+            END,
+            updated_at = NOW()
+        WHERE id = ANY($1) AND processing_status = 'pending'
+        RETURNING processing_status
+    `, [postIds, error, maxAttempts]);
+    return res.rows.filter(r => r.processing_status === 'analysis_failed').length;
+}
+
+/**
+ * Append one verdict to the analysis history
+ * @param {string} postId
+ * @param {Object} record - { kind: 'text'|'image', provider, model, promptVersion, rawResponse, latencyMs, inputTokens, outputTokens, batchSize, error }
+ * @param {Object|null} result - Parsed verdict (null when there was no valid answer)
+ */
+async function saveAnalysis(postId, record, result) {
+    await pool.query(`
+        INSERT INTO analyses (post_id, kind, provider, model, prompt_version, raw_response, result, error,
+            latency_ms, input_tokens, output_tokens, batch_size)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+        postId,
+        record.kind,
+        record.provider,
+        record.model || null,
+        record.promptVersion,
+        record.rawResponse ?? null,
+        result ? JSON.stringify(result) : null,
+        record.error || null,
+        record.latencyMs ?? null,
+        record.inputTokens ?? null,
+        record.outputTokens ?? null,
+        record.batchSize ?? null
+    ]);
+}
+
+/**
+ * Analysis history for one post, newest first
+ */
+async function getAnalyses(postId) {
+    const res = await pool.query(`
+        SELECT * FROM analyses
+        WHERE post_id = $1
+        ORDER BY created_at DESC, id DESC
+    `, [postId]);
+    return res.rows.map(formatAnalysis);
+}
+
+/**
+ * Helper to format an analyses row
+ */
+function formatAnalysis(row) {
+    return {
+        id: row.id,
+        postId: row.post_id,
+        kind: row.kind,
+        provider: row.provider,
+        model: row.model,
+        promptVersion: row.prompt_version,
+        rawResponse: row.raw_response,
+        result: row.result,
+        error: row.error,
+        latencyMs: row.latency_ms,
+        inputTokens: row.input_tokens,
+        outputTokens: row.output_tokens,
+        batchSize: row.batch_size,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Analyzed posts whose latest text verdict came from an older prompt
+ * @param {Object} options
+ * @param {string} options.currentVersion - Posts analyzed under any other version are outdated
+ * @param {string} [options.version] - Only posts analyzed under exactly this version
+ * @param {boolean} [options.includeRules] - Also posts last classified by the rule classifier
+ * @param {boolean} [options.includeUnversioned] - Also posts analyzed before the history existed
+ * @returns {Promise<string[]>}
+ */
+async function getOutdatedAnalysisPostIds({ currentVersion, version = null, includeRules = false, includeUnversioned = false }) {
+    const res = await pool.query(`
+        WITH latest AS (
+            SELECT DISTINCT ON (post_id) post_id, provider, prompt_version
+            FROM analyses
+            WHERE kind = 'text'
+            ORDER BY post_id, created_at DESC, id DESC
+        )
+        SELECT p.id
+        FROM posts p
+        LEFT JOIN latest a ON a.post_id = p.id
+        WHERE p.processing_status NOT IN ('pending', 'processed_merged')
+          AND (
+            (a.post_id IS NOT NULL
+                AND ($3 OR a.provider <> 'rules')
+                AND CASE WHEN $2::text IS NULL THEN a.prompt_version <> $1 ELSE a.prompt_version = $2 END)
+            OR ($4 AND a.post_id IS NULL)
+          )
+        ORDER BY p.created_at ASC
+    `, [currentVersion, version, includeRules, includeUnversioned]);
+    return res.rows.map(r => r.id);
+}
+
+/**
+ * Send posts back to the processing queue. Locations are kept; a new
+ * verdict that locates the post replaces them, and one that finds no
+ * issue removes those the analysis placed (see deleteDerivedLocation).
+ * @returns {Promise<number>} Posts requeued
+ */
+async function requeuePosts(postIds) {
+    const res = await pool.query(`
+        UPDATE posts
+        SET processing_status = 'pending', analysis_attempts = 0, last_analysis_error = NULL, updated_at = NOW()
+        WHERE id = ANY($1)
+    `, [postIds]);
+    return res.rowCount;
+}
+
+/**
+ * Add one call to a provider's counters for a quota day
+ * @param {string} provider
+ * @param {string} day - YYYY-MM-DD in the provider's quota time zone
+ * @param {{inputTokens: number|null, outputTokens: number|null}|null} usage
+ */
+async function recordAiUsage(provider, day, usage) {
+    await pool.query(`
+        INSERT INTO ai_usage (provider, day, requests, input_tokens, output_tokens)
+        VALUES ($1, $2, 1, $3, $4)
+        ON CONFLICT (provider, day) DO UPDATE SET
+            requests = ai_usage.requests + 1,
+            input_tokens = ai_usage.input_tokens + EXCLUDED.input_tokens,
+            output_tokens = ai_usage.output_tokens + EXCLUDED.output_tokens,
+            updated_at = NOW()
+    `, [provider, day, (usage && usage.inputTokens) || 0, (usage && usage.outputTokens) || 0]);
+}
+
+/**
+ * A provider's counters for one quota day (null when it made no calls)
+ */
+async function getAiUsage(provider, day) {
+    const res = await pool.query(`
+        SELECT day::text AS day, requests, input_tokens, output_tokens
+        FROM ai_usage
+        WHERE provider = $1 AND day = $2
+    `, [provider, day]);
+    if (res.rows.length === 0) return null;
+
+    const row = res.rows[0];
+    return {
+        day: row.day,
+        requests: row.requests,
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens)
+    };
+}
+
+/**
+ * When a provider's exhausted daily quota resets (null when it isn't exhausted)
+ */
+async function getAiQuotaReset(provider) {
+    const res = await pool.query('SELECT reset_at FROM ai_quota WHERE provider = $1', [provider]);
+    return res.rows.length > 0 ? res.rows[0].reset_at : null;
+}
+
+/**
+ * Store (or clear, with null) a provider's quota reset time
+ */
+async function saveAiQuotaReset(provider, resetAt) {
+    await pool.query(`
+        INSERT INTO ai_quota (provider, reset_at, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (provider) DO UPDATE SET reset_at = EXCLUDED.reset_at, updated_at = NOW()
+    `, [provider, resetAt ? new Date(resetAt) : null]);
+}
+
+/**
+ * Helper to format a geocode_cache row
+ */
+function formatGeocodeCacheEntry(row) {
+    return {
+        key: row.query_key,
+        query: row.query,
+        result: row.result || null,
+        status: row.result ? 'hit' : 'miss',
+        lookups: row.lookups || 0,
+        fetchedAt: row.fetched_at,
+        lastUsedAt: row.last_used_at,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Look up a cached geocoding answer and count the lookup
+ * @param {string} queryKey - Normalized query
+ * @returns {Promise<Object|null>} null when the query was never geocoded
+ */
+async function getGeocodeCacheEntry(queryKey) {
+    const res = await pool.query(`
+        UPDATE geocode_cache
+        SET lookups = lookups + 1, last_used_at = NOW()
+        WHERE query_key = $1
+        RETURNING *
+    `, [queryKey]);
+    return res.rows.length > 0 ? formatGeocodeCacheEntry(res.rows[0]) : null;
+}
+
+/**
+ * Store a geocoding answer (null result = nothing found), replacing an older one
+ */
+async function saveGeocodeCacheEntry(queryKey, query, result) {
+    await pool.query(`
+        INSERT INTO geocode_cache (query_key, query, result, fetched_at, last_used_at)
+        VALUES ($1, $2, $3, NOW(), NOW())
+        ON CONFLICT (query_key) DO UPDATE SET
+            query = EXCLUDED.query,
+            result = EXCLUDED.result,
+            fetched_at = NOW(),
+            last_used_at = NOW()
+    `, [queryKey, query, result ? JSON.stringify(result) : null]);
+}
+
+// Shared WHERE clause for listing and invalidating cache entries ($1-$5, see geocodeCacheFilterValues)
+const GEOCODE_CACHE_FILTER = `
+    WHERE ($1::text IS NULL OR query_key = $1)
+      AND ($2::text IS NULL OR ($2 = 'hit') = (result IS NOT NULL))
+      AND ($3::text IS NULL OR query_key LIKE $3)
+      AND ($4::int IS NULL OR fetched_at < NOW() - make_interval(secs => CASE WHEN result IS NULL THEN $5::int ELSE $4::int END))
+`;
+
+/**
+ * @param {Object} filters
+ * @param {string} [filters.key] - One normalized query
+ * @param {string} [filters.status] - 'hit' or 'miss'
+ * @param {string} [filters.search] - Part of the normalized query
+ * @param {{hitTtlSeconds: number, missTtlSeconds: number}} [filters.expired] - Only entries older than their TTL
+ */
+function geocodeCacheFilterValues({ key, status, search, expired } = {}) {
+    return [
+        key || null,
+        status || null,
+        search ? `%${search}%` : null,
+        expired ? expired.hitTtlSeconds : null,
+        expired ? expired.missTtlSeconds : null
+    ];
+}
+
+/**
+ * List cached geocoding answers, most used first
+ * @param {Object} [filters] - See geocodeCacheFilterValues, plus limit and offset
+ */
+async function getGeocodeCacheEntries({ limit = 50, offset = 0, ...filters } = {}) {
+    const values = geocodeCacheFilterValues(filters);
+    const [entries, total] = await Promise.all([
+        pool.query(`
+            SELECT * FROM geocode_cache
+            ${GEOCODE_CACHE_FILTER}
+            ORDER BY lookups DESC, query_key
+            LIMIT $6 OFFSET $7
+        `, [...values, limit, offset]),
+        pool.query(`SELECT COUNT(*) AS count FROM geocode_cache ${GEOCODE_CACHE_FILTER}`, values)
+    ]);
+    return {
+        total: parseInt(total.rows[0].count),
+        entries: entries.rows.map(formatGeocodeCacheEntry)
+    };
+}
+
+/**
+ * Delete cached geocoding answers so they are fetched again
+ * @param {Object} [filters] - See geocodeCacheFilterValues; no filters deletes everything
+ * @returns {Promise<number>} Entries deleted
+ */
+async function deleteGeocodeCacheEntries(filters = {}) {
+    const res = await pool.query(`DELETE FROM geocode_cache ${GEOCODE_CACHE_FILTER}`, geocodeCacheFilterValues(filters));
+    return res.rowCount;
+}
+
+/**
+ * Cache size, hit/miss split and lookups served
+ * @param {{hitTtlSeconds: number, missTtlSeconds: number}} ttl - To count expired entries
+ */
+async function getGeocodeCacheStats({ hitTtlSeconds, missTtlSeconds }) {
+    const res = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE result IS NOT NULL) AS hits,
+            COUNT(*) FILTER (WHERE result IS NULL) AS misses,
+            COUNT(*) FILTER (WHERE fetched_at < NOW() - make_interval(secs => CASE WHEN result IS NULL THEN $2::int ELSE $1::int END)) AS expired,
+            COALESCE(SUM(lookups), 0) AS lookups,
+            MIN(fetched_at) AS oldest
+        FROM geocode_cache
+    `, [hitTtlSeconds, missTtlSeconds]);
+    const row = res.rows[0];
+    return {
+        hits: parseInt(row.hits),
+        misses: parseInt(row.misses),
+        expired: parseInt(row.expired),
+        lookups: parseInt(row.lookups),
+        oldest: row.oldest
+    };
+}
+
+/**
+ * Get every post in a self-thread: same conversation, same author, oldest first.
+ * Replies from other accounts are not part of the report.
+ * @param {string} conversationId
+ * @param {string|null} authorHandle
+ */
+async function getThreadPosts(conversationId, authorHandle) {
+    const res = await pool.query(`
+        SELECT p.*, l.coordinates FROM posts p
+        LEFT JOIN locations l ON l.post_id = p.id
+        WHERE p.conversation_id = $1 AND p.author_handle IS NOT DISTINCT FROM $2
+        ORDER BY p.created_at ASC, p.id ASC
+    `, [conversationId, authorHandle]);
+    return res.rows.map(formatPost);
+}
+
 /**
  * Get all processed locations (joined with posts)
+ * @param {Object} [filters]
+ * @param {string} [filters.author] - Only posts by this author handle
+ * @param {string[]} [filters.types] - Only locations with any of these issue types
+ * @param {number} [filters.minSeverity] - Only locations at least this severe
+ * @param {boolean} [filters.accessibility] - Only locations with (true) or without (false) accessibility impact
  */
-async function getLocations() {
+async function getLocations({ author, types, minSeverity, accessibility } = {}) {
     const res = await pool.query(`
-    SELECT p.*, l.coordinates, l.extracted_location, l.status
+    SELECT p.*, l.coordinates, l.extracted_location, l.status, l.precision, l.uncertainty_m,
+        l.road, l.locality, l.ward, l.ward_number, l.pincode,
+        l.issue_types, l.severity, l.accessibility_impact,
+        (SELECT json_agg(json_build_object('id', m.id, 'sourceUrl', m.source_url) ORDER BY m.position)
+         FROM media m WHERE m.post_id = p.id AND m.status = 'archived') AS archived_media
     FROM locations l
     JOIN posts p ON l.post_id = p.id
+    WHERE ($1::text IS NULL OR LOWER(p.author_handle) = LOWER($1))
+      AND ($2::text[] IS NULL OR l.issue_types && $2::text[])
+      AND ($3::int IS NULL OR l.severity >= $3)
+      AND ($4::boolean IS NULL OR COALESCE(l.accessibility_impact, FALSE) = $4)
     ORDER BY p.created_at DESC
-  `);
+  `, [author || null, types && types.length > 0 ? types : null, minSeverity || null, accessibility ?? null]);
     return res.rows.map(formatPost);
 }
 
 /**
  * Get all posts (raw + location info if available)
+ * @param {Object} [filters]
+ * @param {string} [filters.author] - Only posts by this author handle
  */
-async function getAllPosts() {
+async function getAllPosts({ author } = {}) {
     // Left join to get all posts, even those without locations
     const res = await pool.query(`
-        SELECT p.*, l.coordinates, l.extracted_location, l.status
+        SELECT p.*, l.coordinates, l.extracted_location, l.status, l.precision, l.uncertainty_m,
+        l.road, l.locality, l.ward, l.ward_number, l.pincode,
+        l.issue_types, l.severity, l.accessibility_impact,
+        (SELECT json_agg(json_build_object('id', m.id, 'sourceUrl', m.source_url) ORDER BY m.position)
+         FROM media m WHERE m.post_id = p.id AND m.status = 'archived') AS archived_media
         FROM posts p
         LEFT JOIN locations l ON p.id = l.post_id
+        WHERE ($1::text IS NULL OR LOWER(p.author_handle) = LOWER($1))
         ORDER BY p.created_at DESC
-    `);
+    `, [author || null]);
 
     const posts = res.rows.map(formatPost);
     const withCoords = posts.filter(p => p.coordinates);
@@ -244,13 +984,92 @@ async function getAllPosts() {
 }
 
 /**
- * Get the ID of the most recent tweet
+ * Get reporters (post authors) with post and mapped counts
+ */
+async function getReporters() {
+    const res = await pool.query(`
+        SELECT p.author_handle,
+               COUNT(*) AS post_count,
+               COUNT(l.post_id) AS mapped_count
+        FROM posts p
+        LEFT JOIN locations l ON p.id = l.post_id
+        WHERE p.author_handle IS NOT NULL
+        GROUP BY p.author_handle
+        ORDER BY post_count DESC
+    `);
+    return res.rows.map(row => ({
+        handle: row.author_handle,
+        postCount: parseInt(row.post_count),
+        mappedCount: parseInt(row.mapped_count)
+    }));
+}
+
+/**
+ * Get the ID of the most recent tweet.
+ * Tweet IDs are numeric strings, so compare them as numbers ('9' > '10' as text).
  */
 async function getLatestTweetId() {
-    const res = await pool.query('SELECT id FROM posts ORDER BY id DESC LIMIT 1');
+    const res = await pool.query(`SELECT id FROM posts WHERE source = 'twitter' ORDER BY id::NUMERIC DESC LIMIT 1`);
+    return res.rows.length > 0 ? res.rows[0].id : null;
+}
+
+/**
+ * Get the ID of the oldest stored tweet by an author (backfill starting point)
+ * @param {string} authorHandle - Account handle
+ */
+async function getOldestTweetId(authorHandle) {
+    const res = await pool.query(`
+        SELECT id FROM posts
+        WHERE source = 'twitter' AND LOWER(author_handle) = LOWER($1)
+        ORDER BY id::NUMERIC ASC
+        LIMIT 1
+    `, [authorHandle]);
     return res.rows.length > 0 ? res.rows[0].id : null;
 }
 
+/**
+ * Get the creation time of the newest post from a source
+ * @param {string} source - Source adapter name
+ */
+async function getLatestPostTime(source) {
+    const res = await pool.query('SELECT MAX(created_at) AS latest FROM posts WHERE source = $1', [source]);
+    return res.rows[0].latest;
+}
+
+/**
+ * Build the public permalink for a post based on its source
+ */
+function buildPermalink(row) {
+    if (row.source_url) return row.source_url;
+    if (!row.source || row.source === 'twitter') {
+        return `https://twitter.com/${row.author_handle || 'i/web'}/status/${row.id}`;
+    }
+    return null;
+}
+
+/**
+ * Precision of a post's location; rows saved before it was stored get the default for their source
+ */
+function formatPrecision(row) {
+    if (!row.coordinates) return { precision: null, uncertaintyM: null };
+    if (row.precision) return { precision: row.precision, uncertaintyM: row.uncertainty_m };
+    return describePrecision(row.coordinates);
+}
+
+/**
+ * Reverse-geocoded address of a post's location, null until it is looked up
+ */
+function formatAddress(row) {
+    const address = {
+        road: row.road || null,
+        locality: row.locality || null,
+        ward: row.ward || null,
+        wardNumber: row.ward_number || null,
+        pincode: row.pincode || null
+    };
+    return Object.values(address).some(Boolean) ? address : null;
+}
+
 /**
  * Helper to format DB row to application object
  */
@@ -260,12 +1079,502 @@ function formatPost(row) {
         text: row.text,
         createdAt: row.created_at,
         mediaUrls: row.media_urls,
+        media: (row.archived_media || []).map(m => ({
+            id: m.id,
+            sourceUrl: m.sourceUrl,
+            thumb: `/media/${m.id}/thumb`,
+            medium: `/media/${m.id}/medium`,
+            original: `/media/${m.id}/original`
+        })),
+        source: row.source || 'twitter',
+        author: row.author_handle || null,
+        conversationId: row.conversation_id || null,
+        inReplyToId: row.in_reply_to_id || null,
+        reportedCoordinates: row.reported_coordinates || null,
+        reportedIssueType: row.reported_issue_type || null,
+        importId: row.import_id || null,
+        language: row.language || null,
+        processingStatus: row.processing_status,
         coordinates: row.coordinates,
+        ...formatPrecision(row),
         extractedLocation: row.extracted_location,
-        url: `https://twitter.com/caleb_friesen/status/${row.id}`
+        address: formatAddress(row),
+        issueTypes: row.issue_types || [],
+        severity: row.severity ?? null,
+        accessibilityImpact: Boolean(row.accessibility_impact),
+        textAnalysis: row.text_analysis || null,
+        imageAnalysis: row.image_analysis || null,
+        url: buildPermalink(row)
+    };
+}
+
+/**
+ * Helper to format a watches row
+ */
+function formatWatch(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        value: row.value,
+        enabled: row.enabled,
+        sinceId: row.since_id,
+        lastFetchedAt: row.last_fetched_at,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Get the watch list
+ * @param {Object} [options]
+ * @param {boolean} [options.enabledOnly] - Skip disabled watches
+ */
+async function getWatches({ enabledOnly = false } = {}) {
+    const res = await pool.query(`
+        SELECT * FROM watches
+        WHERE ($1 = FALSE OR enabled = TRUE)
+        ORDER BY id ASC
+    `, [enabledOnly]);
+    return res.rows.map(formatWatch);
+}
+
+/**
+ * Get a single watch by ID
+ */
+async function getWatch(id) {
+    const res = await pool.query('SELECT * FROM watches WHERE id = $1', [id]);
+    return res.rows.length > 0 ? formatWatch(res.rows[0]) : null;
+}
+
+/**
+ * Add an account, hashtag or search query to the watch list
+ */
+async function createWatch(kind, value, enabled = true) {
+    const res = await pool.query(`
+        INSERT INTO watches (kind, value, enabled)
+        VALUES ($1, $2, $3)
+        RETURNING *
+    `, [kind, value, enabled]);
+    return formatWatch(res.rows[0]);
+}
+
+/**
+ * Update a watch's value or enabled flag. Changing the value resets its cursor.
+ * @returns {Object|null} Updated watch, or null if not found
+ */
+async function updateWatch(id, { value, enabled }) {
+    const res = await pool.query(`
+        UPDATE watches SET
+            value = COALESCE($2, value),
+            since_id = CASE WHEN $2::text IS NOT NULL AND $2 <> value THEN NULL ELSE since_id END,
+            enabled = COALESCE($3, enabled),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `, [id, value ?? null, enabled ?? null]);
+    return res.rows.length > 0 ? formatWatch(res.rows[0]) : null;
+}
+
+/**
+ * Remove a watch
+ * @returns {boolean} Whether a row was deleted
+ */
+async function deleteWatch(id) {
+    const res = await pool.query('DELETE FROM watches WHERE id = $1', [id]);
+    return res.rowCount > 0;
+}
+
+/**
+ * Advance a watch's since_id cursor after a successful fetch
+ */
+async function updateWatchCursor(id, sinceId) {
+    await pool.query(`
+        UPDATE watches
+        SET since_id = COALESCE($2, since_id), last_fetched_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+    `, [id, sinceId]);
+}
+
+/**
+ * Helper to format an ingestion_cursors row
+ */
+function formatIngestionCursor(row) {
+    return {
+        key: row.key,
+        watchId: row.watch_id,
+        mode: row.mode,
+        status: row.status,
+        untilId: row.until_id,
+        paginationToken: row.pagination_token,
+        oldestId: row.oldest_id,
+        fetchedCount: row.fetched_count,
+        rateLimitResetAt: row.rate_limit_reset_at,
+        lastError: row.last_error,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        updatedAt: row.updated_at
     };
 }
 
+const INGESTION_CURSOR_COLUMNS = {
+    watchId: 'watch_id',
+    mode: 'mode',
+    status: 'status',
+    untilId: 'until_id',
+    paginationToken: 'pagination_token',
+    oldestId: 'oldest_id',
+    fetchedCount: 'fetched_count',
+    rateLimitResetAt: 'rate_limit_reset_at',
+    lastError: 'last_error',
+    startedAt: 'started_at',
+    completedAt: 'completed_at'
+};
+
+/**
+ * Get a persisted ingestion cursor by key
+ */
+async function getIngestionCursor(key) {
+    const res = await pool.query('SELECT * FROM ingestion_cursors WHERE key = $1', [key]);
+    return res.rows.length > 0 ? formatIngestionCursor(res.rows[0]) : null;
+}
+
+/**
+ * List ingestion cursors, optionally only those in the given statuses
+ * @param {Array<string>} [statuses]
+ */
+async function getIngestionCursors(statuses = null) {
+    const res = await pool.query(`
+        SELECT * FROM ingestion_cursors
+        WHERE ($1::text[] IS NULL OR status = ANY($1))
+        ORDER BY key ASC
+    `, [statuses]);
+    return res.rows.map(formatIngestionCursor);
+}
+
+/**
+ * Create or update an ingestion cursor. Only the given fields are written.
+ * @param {string} key - Cursor key (e.g. 'backfill:watch:1')
+ * @param {Object} fields - Camel-cased column values (see INGESTION_CURSOR_COLUMNS)
+ */
+async function saveIngestionCursor(key, fields) {
+    const columns = Object.keys(fields).filter(f => INGESTION_CURSOR_COLUMNS[f]);
+    const names = columns.map(f => INGESTION_CURSOR_COLUMNS[f]);
+    const values = columns.map(f => fields[f]);
+
+    const res = await pool.query(`
+        INSERT INTO ingestion_cursors (key, ${names.join(', ')}, updated_at)
+        VALUES ($1, ${names.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+        ON CONFLICT (key) DO UPDATE SET
+            ${names.map(n => `${n} = EXCLUDED.${n}`).join(', ')},
+            updated_at = NOW()
+        RETURNING *
+    `, [key, ...values]);
+    return formatIngestionCursor(res.rows[0]);
+}
+
+/**
+ * Helper to format an ingestion_runs row
+ */
+function formatIngestionRun(row) {
+    return {
+        id: row.id,
+        trigger: row.trigger,
+        status: row.status,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        fetched: row.fetched,
+        inserted: row.inserted,
+        updated: row.updated,
+        errorMessage: row.error_message,
+        details: row.details
+    };
+}
+
+/**
+ * Record the start of an ingestion run
+ * @param {string} trigger - 'cron' | 'manual' | 'api'
+ */
+async function createIngestionRun(trigger) {
+    const res = await pool.query(`
+        INSERT INTO ingestion_runs (trigger, status, started_at)
+        VALUES ($1, 'running', NOW())
+        RETURNING *
+    `, [trigger]);
+    return formatIngestionRun(res.rows[0]);
+}
+
+/**
+ * Record the outcome of an ingestion run
+ */
+async function finishIngestionRun(id, { status, fetched = 0, inserted = 0, updated = 0, errorMessage = null, details = null }) {
+    const res = await pool.query(`
+        UPDATE ingestion_runs SET
+            status = $2,
+            finished_at = NOW(),
+            fetched = $3,
+            inserted = $4,
+            updated = $5,
+            error_message = $6,
+            details = $7
+        WHERE id = $1
+        RETURNING *
+    `, [id, status, fetched, inserted, updated, errorMessage, details ? JSON.stringify(details) : null]);
+    return res.rows.length > 0 ? formatIngestionRun(res.rows[0]) : null;
+}
+
+/**
+ * Get ingestion runs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ */
+async function getIngestionRuns({ limit = 20, offset = 0 } = {}) {
+    const [runs, total] = await Promise.all([
+        pool.query('SELECT * FROM ingestion_runs ORDER BY started_at DESC, id DESC LIMIT $1 OFFSET $2', [limit, offset]),
+        pool.query('SELECT COUNT(*) AS count FROM ingestion_runs')
+    ]);
+    return {
+        total: parseInt(total.rows[0].count),
+        runs: runs.rows.map(formatIngestionRun)
+    };
+}
+
+/**
+ * Get the most recent ingestion run (any status)
+ */
+async function getLastIngestionRun() {
+    const { runs } = await getIngestionRuns({ limit: 1 });
+    return runs[0] || null;
+}
+
+/**
+ * IDs from the given list that already exist in posts
+ * @param {string[]} ids
+ * @returns {Promise<Set<string>>}
+ */
+async function getExistingPostIds(ids) {
+    if (!ids || ids.length === 0) return new Set();
+    const res = await pool.query('SELECT id FROM posts WHERE id = ANY($1)', [ids]);
+    return new Set(res.rows.map(r => r.id));
+}
+
+/**
+ * Helper to format an imports row
+ */
+function formatImport(row) {
+    return {
+        id: row.id,
+        format: row.format,
+        filename: row.filename,
+        source: row.source,
+        options: row.options,
+        status: row.status,
+        totalRows: row.total_rows,
+        invalidRows: row.invalid_rows,
+        inserted: row.inserted,
+        updated: row.updated,
+        errors: row.errors,
+        errorMessage: row.error_message,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * Record the start of a bulk import
+ */
+async function createImport({ format, filename = null, source, options = null }) {
+    const res = await pool.query(`
+        INSERT INTO imports (format, filename, source, options, status, started_at)
+        VALUES ($1, $2, $3, $4, 'running', NOW())
+        RETURNING *
+    `, [format, filename, source, options ? JSON.stringify(options) : null]);
+    return formatImport(res.rows[0]);
+}
+
+/**
+ * Record the outcome of a bulk import
+ */
+async function finishImport(id, { status, totalRows = 0, invalidRows = 0, inserted = 0, updated = 0, errors = null, errorMessage = null }) {
+    const res = await pool.query(`
+        UPDATE imports SET
+            status = $2,
+            finished_at = NOW(),
+            total_rows = $3,
+            invalid_rows = $4,
+            inserted = $5,
+            updated = $6,
+            errors = $7,
+            error_message = $8
+        WHERE id = $1
+        RETURNING *
+    `, [id, status, totalRows, invalidRows, inserted, updated, errors ? JSON.stringify(errors) : null, errorMessage]);
+    return res.rows.length > 0 ? formatImport(res.rows[0]) : null;
+}
+
+/**
+ * Get bulk imports, newest first
+ */
+async function getImports({ limit = 20, offset = 0 } = {}) {
+    const [imports, total] = await Promise.all([
+        pool.query('SELECT * FROM imports ORDER BY started_at DESC, id DESC LIMIT $1 OFFSET $2', [limit, offset]),
+        pool.query('SELECT COUNT(*) AS count FROM imports')
+    ]);
+    return {
+        total: parseInt(total.rows[0].count),
+        imports: imports.rows.map(formatImport)
+    };
+}
+
+/**
+ * Helper to format a media row
+ */
+function formatMedia(row) {
+    return {
+        id: row.id,
+        postId: row.post_id,
+        sourceUrl: row.source_url,
+        position: row.position,
+        contentHash: row.content_hash,
+        mimeType: row.mime_type,
+        width: row.width,
+        height: row.height,
+        bytes: row.bytes,
+        storage: row.storage,
+        status: row.status,
+        error: row.error,
+        gps: row.gps_lat !== null && row.gps_lat !== undefined ? { lat: row.gps_lat, lon: row.gps_lon } : null,
+        gpsChecked: row.gps_checked
+    };
+}
+
+/**
+ * Get a media record by ID
+ */
+async function getMedia(id) {
+    const res = await pool.query('SELECT * FROM media WHERE id = $1', [id]);
+    return res.rows.length > 0 ? formatMedia(res.rows[0]) : null;
+}
+
+/**
+ * Get the media record for one attachment of a post
+ */
+async function getMediaBySource(postId, sourceUrl) {
+    const res = await pool.query('SELECT * FROM media WHERE post_id = $1 AND source_url = $2', [postId, sourceUrl]);
+    return res.rows.length > 0 ? formatMedia(res.rows[0]) : null;
+}
+
+/**
+ * Get the archived media of one or more posts, in attachment order
+ * @param {Array<string>} postIds
+ */
+async function getArchivedMediaForPosts(postIds) {
+    const res = await pool.query(`
+        SELECT * FROM media
+        WHERE post_id = ANY($1) AND status = 'archived'
+        ORDER BY post_id ASC, position ASC
+    `, [postIds]);
+    return res.rows.map(formatMedia);
+}
+
+/**
+ * Record the GPS position read from a media file (null when it has none)
+ */
+async function saveMediaGps(id, gps) {
+    await pool.query(`
+        UPDATE media SET gps_lat = $2, gps_lon = $3, gps_checked = TRUE, updated_at = NOW()
+        WHERE id = $1
+    `, [id, gps ? gps.lat : null, gps ? gps.lon : null]);
+}
+
+/**
+ * Find an already archived file with the same content (dedupe)
+ */
+async function getArchivedMediaByHash(contentHash) {
+    const res = await pool.query(`
+        SELECT * FROM media
+        WHERE content_hash = $1 AND status = 'archived'
+        ORDER BY id ASC
+        LIMIT 1
+    `, [contentHash]);
+    return res.rows.length > 0 ? formatMedia(res.rows[0]) : null;
+}
+
+/**
+ * Create or update the media record for one attachment of a post
+ */
+async function saveMedia(media) {
+    const res = await pool.query(`
+        INSERT INTO media (post_id, source_url, position, content_hash, mime_type, width, height, bytes, storage, status, error,
+                           gps_lat, gps_lon, gps_checked, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+        ON CONFLICT (post_id, source_url) DO UPDATE SET
+            position = EXCLUDED.position,
+            content_hash = COALESCE(EXCLUDED.content_hash, media.content_hash),
+            mime_type = COALESCE(EXCLUDED.mime_type, media.mime_type),
+            width = COALESCE(EXCLUDED.width, media.width),
+            height = COALESCE(EXCLUDED.height, media.height),
+            bytes = COALESCE(EXCLUDED.bytes, media.bytes),
+            storage = COALESCE(EXCLUDED.storage, media.storage),
+            status = EXCLUDED.status,
+            error = EXCLUDED.error,
+            gps_lat = COALESCE(EXCLUDED.gps_lat, media.gps_lat),
+            gps_lon = COALESCE(EXCLUDED.gps_lon, media.gps_lon),
+            gps_checked = media.gps_checked OR EXCLUDED.gps_checked,
+            updated_at = NOW()
+        RETURNING *
+    `, [
+        media.postId,
+        media.sourceUrl,
+        media.position || 0,
+        media.contentHash || null,
+        media.mimeType || null,
+        media.width || null,
+        media.height || null,
+        media.bytes || null,
+        media.storage || null,
+        media.status,
+        media.error || null,
+        media.gps ? media.gps.lat : null,
+        media.gps ? media.gps.lon : null,
+        Boolean(media.gpsChecked)
+    ]);
+    return formatMedia(res.rows[0]);
+}
+
+/**
+ * Get a cached short link resolution
+ */
+async function getLinkResolution(shortUrl) {
+    const res = await pool.query('SELECT * FROM link_resolutions WHERE short_url = $1', [shortUrl]);
+    if (res.rows.length === 0) return null;
+
+    const row = res.rows[0];
+    return {
+        shortUrl: row.short_url,
+        expandedUrl: row.expanded_url,
+        status: row.status,
+        hops: row.hops,
+        error: row.error,
+        resolvedAt: row.resolved_at
+    };
+}
+
+/**
+ * Cache a short link resolution (successful or failed)
+ */
+async function saveLinkResolution({ shortUrl, expandedUrl, status, hops = 0, error = null }) {
+    await pool.query(`
+        INSERT INTO link_resolutions (short_url, expanded_url, status, hops, error, resolved_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (short_url) DO UPDATE SET
+            expanded_url = EXCLUDED.expanded_url,
+            status = EXCLUDED.status,
+            hops = EXCLUDED.hops,
+            error = EXCLUDED.error,
+            resolved_at = NOW()
+    `, [shortUrl, expandedUrl, status, hops, error]);
+}
+
 /**
  * Get processing statistics for status API
  */
@@ -282,6 +1591,8 @@ async function getProcessingStats() {
         pending: 0,
         processed_no_issue: 0,
         processed_mapped: 0,
+        processed_merged: 0,
+        analysis_failed: 0,
         total: 0
     };
 
@@ -293,7 +1604,7 @@ async function getProcessingStats() {
     }
 
     // Calculate progress percentage
-    const processed = stats.processed_no_issue + stats.processed_mapped;
+    const processed = stats.processed_no_issue + stats.processed_mapped + stats.processed_merged + stats.analysis_failed;
     stats.progressPercent = stats.total > 0
         ? Math.round((processed / stats.total) * 100)
         : 100;
@@ -305,11 +1616,61 @@ module.exports = {
     pool,
     initDB,
     savePosts,
+    upsertPosts,
+    deletePost,
     saveLocations,
+    deleteDerivedLocation,
+    updateLocationClassification,
+    getLocationsToEnrich,
+    saveAddress,
     getLocations,
     getAllPosts,
     getLatestTweetId,
+    getLatestPostTime,
+    getOldestTweetId,
+    getIngestionCursor,
+    getIngestionCursors,
+    saveIngestionCursor,
+    createIngestionRun,
+    finishIngestionRun,
+    getIngestionRuns,
+    getLastIngestionRun,
+    getReporters,
+    getExistingPostIds,
+    createImport,
+    finishImport,
+    getImports,
+    getWatches,
+    getWatch,
+    createWatch,
+    updateWatch,
+    deleteWatch,
+    updateWatchCursor,
     getPendingPosts,
+    getThreadPosts,
     markPostAsProcessed,
-    getProcessingStats
+    saveVerdicts,
+    recordAnalysisFailure,
+    saveAnalysis,
+    getAnalyses,
+    getOutdatedAnalysisPostIds,
+    requeuePosts,
+    recordAiUsage,
+    getAiUsage,
+    getAiQuotaReset,
+    saveAiQuotaReset,
+    getGeocodeCacheEntry,
+    saveGeocodeCacheEntry,
+    getGeocodeCacheEntries,
+    deleteGeocodeCacheEntries,
+    getGeocodeCacheStats,
+    getProcessingStats,
+    getMedia,
+    getMediaBySource,
+    getArchivedMediaByHash,
+    getArchivedMediaForPosts,
+    saveMedia,
+    saveMediaGps,
+    getLinkResolution,
+    saveLinkResolution
 };
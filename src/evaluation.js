@@ -0,0 +1,237 @@
+const fs = require('fs');
+const { ISSUE_TYPES } = require('./issueTypes');
+const { distanceMeters } = require('./cityBounds');
+
+// Words that don't distinguish one place from another
+const LOCATION_STOPWORDS = new Set(['near', 'opposite', 'opp', 'at', 'the', 'in', 'on', 'of', 'and', 'bangalore', 'bengaluru', 'india', 'karnataka']);
+const FUZZY_THRESHOLD = 0.5;
+
+/**
+ * Scoring for the issue pipeline against a hand-labeled golden set
+ * (eval/golden.json): issue detection, issue types, extracted location
+ * text and geocoding distance.
+ */
+
+/**
+ * Read and check a golden set file
+ * @returns {Array<{id, text, isIssue, issueTypes, location, coordinates}>}
+ */
+function loadGoldenSet(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const cases = Array.isArray(data) ? data : data.cases;
+    if (!Array.isArray(cases)) {
+        throw new Error(`${file}: expected an array of cases or { "cases": [...] }`);
+    }
+
+    const seen = new Set();
+    for (const c of cases) {
+        if (!c.id || typeof c.text !== 'string' || typeof c.isIssue !== 'boolean') {
+            throw new Error(`${file}: case ${c.id || '(no id)'} needs id, text and isIssue`);
+        }
+        if (seen.has(c.id)) {
+            throw new Error(`${file}: duplicate case id ${c.id}`);
+        }
+        seen.add(c.id);
+        const unknown = (c.issueTypes || []).filter(t => !ISSUE_TYPES.includes(t));
+        if (unknown.length > 0) {
+            throw new Error(`${file}: case ${c.id} has unknown issue types ${unknown.join(', ')}`);
+        }
+    }
+    return cases;
+}
+
+/**
+ * Lowercase, drop the city suffix and punctuation
+ */
+function normalizeLocation(location) {
+    return (location || '')
+        .toLowerCase()
+        .replace(/[.,;:()'"!?-]+/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !LOCATION_STOPWORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Compare an extracted location with the expected one.
+ * Fuzzy: one contains the other, or the word sets overlap (Jaccard) by at least half.
+ * @returns {{exact: boolean, fuzzy: boolean, similarity: number}}
+ */
+function matchLocation(expected, predicted) {
+    const a = normalizeLocation(expected);
+    const b = normalizeLocation(predicted);
+    if (!a || !b) return { exact: false, fuzzy: false, similarity: 0 };
+
+    const wordsA = new Set(a.split(' '));
+    const wordsB = new Set(b.split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const similarity = shared / new Set([...wordsA, ...wordsB]).size;
+
+    const exact = a === b;
+    return {
+        exact,
+        fuzzy: exact || a.includes(b) || b.includes(a) || similarity >= FUZZY_THRESHOLD,
+        similarity: round(similarity)
+    };
+}
+
+/**
+ * Score predictions against the golden set
+ * @param {Array} cases - From loadGoldenSet
+ * @param {Map<string, Object>} predictions - Case id -> aiAnalysis ({isIssue, issueTypes, location});
+ *   missing, unanswered or skipped cases are reported as unanswered and left out of the rates
+ * @param {Map<string, Object|null>} [geocodes] - Case id -> geocoded coordinates of the predicted location
+ */
+function scoreCases(cases, predictions, geocodes = new Map()) {
+    const detection = { tp: 0, fp: 0, fn: 0, tn: 0, unanswered: 0 };
+    const types = { evaluated: 0, primaryMatch: 0, anyOverlap: 0 };
+    const location = { evaluated: 0, exact: 0, fuzzy: 0, missing: 0 };
+    const errors = [];
+    let geocodeFailed = 0;
+    // Answers per geocoder (recordings made before the geocoder chain have none)
+    const providers = {};
+    const mistakes = [];
+
+    for (const c of cases) {
+        const predicted = predictions.get(c.id);
+        // No verdict is neither right nor wrong: counted apart, outside every rate
+        if (!predicted || predicted.unanswered || predicted.skipped) {
+            detection.unanswered++;
+            mistakes.push({ id: c.id, kind: 'unanswered', error: predicted && predicted.error });
+            continue;
+        }
+
+        if (c.isIssue && predicted.isIssue) detection.tp++;
+        else if (!c.isIssue && predicted.isIssue) detection.fp++;
+        else if (c.isIssue && !predicted.isIssue) detection.fn++;
+        else detection.tn++;
+
+        if (c.isIssue !== predicted.isIssue) {
+            mistakes.push({ id: c.id, kind: predicted.isIssue ? 'false_positive' : 'false_negative', text: c.text });
+        }
+        if (!c.isIssue || !predicted.isIssue) continue;
+
+        // Types and location are only comparable when both agree it is an issue
+        if ((c.issueTypes || []).length > 0) {
+            const predictedTypes = predicted.issueTypes || [];
+            types.evaluated++;
+            if (c.issueTypes.includes(predictedTypes[0])) types.primaryMatch++;
+            if (predictedTypes.some(t => c.issueTypes.includes(t))) types.anyOverlap++;
+        }
+
+        if (c.location) {
+            location.evaluated++;
+            const match = matchLocation(c.location, predicted.location);
+            if (!predicted.location) location.missing++;
+            if (match.exact) location.exact++;
+            if (match.fuzzy) location.fuzzy++;
+            else mistakes.push({ id: c.id, kind: 'location', expected: c.location, predicted: predicted.location || null });
+        }
+
+        if (c.coordinates && geocodes.has(c.id)) {
+            const coords = geocodes.get(c.id);
+            if (coords) {
+                errors.push(distanceMeters(c.coordinates, coords));
+                const provider = coords.provider || 'unknown';
+                providers[provider] = (providers[provider] || 0) + 1;
+            } else {
+                geocodeFailed++;
+            }
+        }
+    }
+
+    const precision = ratio(detection.tp, detection.tp + detection.fp);
+    const recall = ratio(detection.tp, detection.tp + detection.fn);
+    const sorted = [...errors].sort((a, b) => a - b);
+
+    return {
+        cases: cases.length,
+        detection: {
+            ...detection,
+            precision,
+            recall,
+            f1: precision !== null && recall !== null && precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : null,
+            accuracy: ratio(detection.tp + detection.tn, cases.length - detection.unanswered)
+        },
+        types: {
+            ...types,
+            primaryMatchRate: ratio(types.primaryMatch, types.evaluated),
+            anyOverlapRate: ratio(types.anyOverlap, types.evaluated)
+        },
+        location: {
+            ...location,
+            exactRate: ratio(location.exact, location.evaluated),
+            fuzzyRate: ratio(location.fuzzy, location.evaluated)
+        },
+        geocoding: {
+            evaluated: errors.length + geocodeFailed,
+            failed: geocodeFailed,
+            medianErrorM: sorted.length > 0 ? Math.round(percentile(sorted, 0.5)) : null,
+            meanErrorM: sorted.length > 0 ? Math.round(sorted.reduce((sum, e) => sum + e, 0) / sorted.length) : null,
+            p90ErrorM: sorted.length > 0 ? Math.round(percentile(sorted, 0.9)) : null,
+            within250m: sorted.filter(e => e <= 250).length,
+            within1km: sorted.filter(e => e <= 1000).length,
+            providers
+        },
+        mistakes
+    };
+}
+
+/**
+ * Human-readable report lines
+ */
+function formatReport(report) {
+    const pct = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    const { detection, types, location, geocoding } = report;
+
+    const lines = [
+        `Cases: ${report.cases}`,
+        '',
+        'Issue detection',
+        `   Precision ${pct(detection.precision)}   Recall ${pct(detection.recall)}   F1 ${pct(detection.f1)}   Accuracy ${pct(detection.accuracy)}`,
+        `   TP ${detection.tp}  FP ${detection.fp}  FN ${detection.fn}  TN ${detection.tn}  (unanswered ${detection.unanswered}, not scored)`,
+        '',
+        `Issue types (${types.evaluated} true positives with labels)`,
+        `   Primary type correct ${pct(types.primaryMatchRate)}   Any type overlaps ${pct(types.anyOverlapRate)}`,
+        '',
+        `Location extraction (${location.evaluated} true positives with a location)`,
+        `   Exact ${pct(location.exactRate)}   Fuzzy ${pct(location.fuzzyRate)}   No location given ${location.missing}`
+    ];
+
+    if (geocoding.evaluated > 0) {
+        lines.push(
+            '',
+            `Geocoding (${geocoding.evaluated} locations, ${geocoding.failed} not found)`,
+            `   Median error ${geocoding.medianErrorM ?? 'n/a'} m   Mean ${geocoding.meanErrorM ?? 'n/a'} m   P90 ${geocoding.p90ErrorM ?? 'n/a'} m`,
+            `   Within 250 m: ${geocoding.within250m}   Within 1 km: ${geocoding.within1km}`
+        );
+        const answered = Object.entries(geocoding.providers).map(([name, count]) => `${name} ${count}`);
+        if (answered.length > 0) lines.push(`   Answered by: ${answered.join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function percentile(sorted, p) {
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    loadGoldenSet,
+    normalizeLocation,
+    matchLocation,
+    distanceMeters,
+    scoreCases,
+    formatReport
+};
@@ -0,0 +1,43 @@
+const exifr = require('exifr');
+
+/**
+ * Extract GPS coordinates embedded in an image (EXIF GPS IFD, or XMP exif:GPS* tags).
+ * @param {Buffer} buffer - Original image bytes (derived sizes have metadata stripped)
+ * @returns {Promise<{lat: number, lon: number}|null>}
+ */
+async function extractGps(buffer) {
+    try {
+        const gps = await exifr.gps(buffer);
+        if (gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude)) {
+            return { lat: gps.latitude, lon: gps.longitude };
+        }
+
+        // Editors often only write XMP, where values look like "12,58.2960N"
+        const xmp = await exifr.parse(buffer, { xmp: true, gps: true });
+        if (xmp && typeof xmp.GPSLatitude === 'string' && typeof xmp.GPSLongitude === 'string') {
+            const lat = parseXmpCoordinate(xmp.GPSLatitude);
+            const lon = parseXmpCoordinate(xmp.GPSLongitude);
+            if (lat !== null && lon !== null) {
+                return { lat, lon };
+            }
+        }
+    } catch (error) {
+        // Corrupt or unsupported metadata is simply "no location"
+        console.log(`   ⚠️  Could not read image metadata: ${error.message}`);
+    }
+
+    return null;
+}
+
+/**
+ * Parse an XMP GPS coordinate: "DDD,MM,SSk" or "DDD,MM.mmk" (k = N/S/E/W)
+ */
+function parseXmpCoordinate(value) {
+    const match = value.trim().match(/^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i);
+    if (!match) return null;
+
+    const degrees = parseFloat(match[1]) + parseFloat(match[2]) / 60 + (match[3] ? parseFloat(match[3]) / 3600 : 0);
+    return /[SW]/i.test(match[4]) ? -degrees : degrees;
+}
+
+module.exports = { extractGps, parseXmpCoordinate };
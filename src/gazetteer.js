@@ -0,0 +1,237 @@
+const fs = require('fs');
+const PLACES = require('./data/gazetteer.json');
+const { parseCsv } = require('./csv');
+const { transliterate, spellingKey } = require('./language');
+
+/**
+ * Offline list of Bangalore localities, roads and landmarks with approximate
+ * center points (src/data/gazetteer.json). Roads and large areas are a single
+ * representative point, so matches are locality-level, not exact positions.
+ *
+ * Names are matched after transliteration, so aliases and post text may be
+ * in Kannada or Devanagari script, and spelling variants ("Kormangala",
+ * "Bommanhalli") are matched by spelling key.
+ */
+
+// Kannada and Hindi words for parts of a name, so "ಎಂ.ಜಿ. ರಸ್ತೆ" reads as "emji road"
+const NAME_WORDS = {
+    raste: 'road',
+    rasthe: 'road',
+    sadak: 'road',
+    marg: 'road',
+    marga: 'road',
+    rod: 'road',
+    vrutta: 'circle',
+    vritta: 'circle',
+    badavane: 'layout',
+    nildana: 'station'
+};
+// Kannada case endings ("ಕೋರಮಂಗಲದಲ್ಲಿ" = in Koramangala), tried when a word doesn't match as is
+const CASE_ENDINGS = /(dalli|nalli|yalli|alli|dinda|ninda|inda|kke|ge|da)$/;
+// Shorter spelling keys match too many ordinary words
+const MIN_KEY_LENGTH = 5;
+const MAX_NAME_WORDS = 4;
+// Parts of a location string that only name the city or beyond
+const CITY_KEYS = new Set(['Bangalore', 'Bengaluru', 'BLR', 'Bangalore Urban', 'Karnataka', 'India'].map(spellingKey));
+
+/**
+ * Lowercase, drop dots/apostrophes and collapse whitespace ("M.G. Road" -> "mg road")
+ */
+function normalizeName(text) {
+    return String(text).toLowerCase().replace(/[.'’]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalized Latin-script form used for all matching
+ */
+function matchForm(text) {
+    return normalizeName(transliterate(String(text))).replace(/[a-z]+/g, word => NAME_WORDS[word] || word);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Name patterns and lookup tables for a list of places. The bundled list is
+ * indexed once below; the offline geocoder indexes it with extra places.
+ * @param {Array<{name: string, aliases: string[], kind: string, lat: number, lon: number}>} places
+ */
+function indexPlaces(places) {
+    // One pattern per place, longest names first so "Old Airport Road" wins over "Airport Road"
+    const matchers = places.map(place => {
+        const names = [...new Set([place.name, ...place.aliases].map(matchForm))].sort((a, b) => b.length - a.length);
+        return {
+            place,
+            names,
+            pattern: new RegExp(`(?:^|[^a-z0-9])(${names.map(escapeRegExp).join('|')})(?![a-z0-9])`)
+        };
+    });
+
+    const names = new Map();
+    // Spelling key -> place; null when two places share a key
+    const keys = new Map();
+    for (const { place, names: placeNames } of matchers) {
+        for (const name of placeNames) {
+            names.set(name, place);
+            const key = spellingKey(name);
+            if (key.length < MIN_KEY_LENGTH) continue;
+            const existing = keys.get(key);
+            keys.set(key, existing === undefined || existing === place ? place : null);
+        }
+    }
+
+    return { places, matchers, names, keys };
+}
+
+const BUNDLED_INDEX = indexPlaces(PLACES);
+
+/**
+ * Place named by a run of words (in match form): by exact name, without a
+ * Kannada final vowel ("hebbala"), or by spelling key, also with a case ending removed
+ */
+function matchWords(words, placeIndex = BUNDLED_INDEX) {
+    const candidates = [words.join(' ')];
+    const last = words[words.length - 1];
+    const stem = last.replace(CASE_ENDINGS, '');
+    if (stem !== last && stem.length >= 3) {
+        // A final "ಂ" before an ending is written n ("ಮಲ್ಲೇಶ್ವರಂನಲ್ಲಿ" -> "malleshvarannalli")
+        for (const form of stem.endsWith('n') ? [stem, stem.replace(/n$/, 'm')] : [stem]) {
+            candidates.push([...words.slice(0, -1), NAME_WORDS[form] || form].join(' '));
+        }
+    }
+
+    for (const candidate of candidates) {
+        const exact = placeIndex.names.get(candidate) || placeIndex.names.get(candidate.replace(/a$/, ''));
+        if (exact) return exact;
+        const key = spellingKey(candidate);
+        if (key.length >= MIN_KEY_LENGTH && placeIndex.keys.get(key)) return placeIndex.keys.get(key);
+    }
+    return null;
+}
+
+/**
+ * Places mentioned in a text, in order of appearance
+ * @param {string} text
+ * @param {Object} [placeIndex] - From indexPlaces; the bundled places by default
+ * @returns {Array<{name: string, kind: string, lat: number, lon: number, matched: string, index: number}>}
+ */
+function findPlaces(text, placeIndex = BUNDLED_INDEX) {
+    if (!text) return [];
+    const normalized = matchForm(text);
+    const found = [];
+    const overlaps = (index, length) => found.some(f => index < f.index + f.matched.length && f.index < index + length);
+
+    for (const { place, pattern } of placeIndex.matchers) {
+        const match = normalized.match(pattern);
+        if (!match) continue;
+
+        const index = match.index + match[0].indexOf(match[1]);
+        // Skip a name that sits inside a longer match ("airport road" in "old airport road")
+        const overlapped = found.some(f => index >= f.index && index + match[1].length <= f.index + f.matched.length);
+        if (!overlapped) {
+            found.push({ ...place, matched: match[1], index });
+        }
+    }
+
+    // Spelling variants and inflected forms the exact names missed
+    const words = [...normalized.matchAll(/[a-z0-9]+/g)];
+    for (let i = 0; i < words.length; i++) {
+        for (let n = Math.min(MAX_NAME_WORDS, words.length - i); n >= 1; n--) {
+            const span = words.slice(i, i + n);
+            const place = matchWords(span.map(w => w[0]), placeIndex);
+            if (!place) continue;
+
+            const index = span[0].index;
+            const end = span[n - 1].index + span[n - 1][0].length;
+            if (!overlaps(index, end - index) && !found.some(f => f.name === place.name)) {
+                found.push({ ...place, matched: normalized.slice(index, end), index });
+            }
+            i += n - 1;
+            break;
+        }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Exact lookup by name or alias (any script, spelling variants included)
+ * @param {string} name
+ * @param {Object} [placeIndex] - From indexPlaces; the bundled places by default
+ */
+function lookupPlace(name, placeIndex = BUNDLED_INDEX) {
+    const key = matchForm(name).replace(/,?\s*(bangalore|bengaluru)$/, '');
+    const words = key.match(/[a-z0-9]+/g);
+    return placeIndex.names.get(key) || (words && words.length <= MAX_NAME_WORDS ? matchWords(words, placeIndex) : null);
+}
+
+/**
+ * Rewrite a location in Latin script with known places spelled as in the
+ * gazetteer, dropping city/state/country parts:
+ * "ಕೋರಮಂಗಲ 5th Block, ಬೆಂಗಳೂರು" -> "Koramangala 5th Block"
+ * @param {string} location
+ * @param {Object} [placeIndex] - From indexPlaces; the bundled places by default
+ * @returns {string|null}
+ */
+function canonicalizeLocation(location, placeIndex = BUNDLED_INDEX) {
+    if (!location) return null;
+
+    const parts = transliterate(String(location))
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part && !CITY_KEYS.has(spellingKey(matchForm(part))));
+
+    const canonical = parts.map(part => {
+        const words = part.split(/\s+/);
+        const out = [];
+        for (let i = 0; i < words.length; i++) {
+            let matched = false;
+            for (let n = Math.min(MAX_NAME_WORDS, words.length - i); n >= 1; n--) {
+                const form = (matchForm(words.slice(i, i + n).join(' ')).match(/[a-z0-9]+/g) || []);
+                const place = form.length > 0 ? matchWords(form, placeIndex) : null;
+                if (!place) continue;
+                out.push(place.name);
+                i += n - 1;
+                matched = true;
+                break;
+            }
+            if (!matched) out.push(words[i]);
+        }
+        return out.join(' ');
+    });
+
+    return canonical.length > 0 ? canonical.join(', ') : null;
+}
+
+/**
+ * Read extra places from a CSV file with the columns name, aliases
+ * (separated by ";"), kind, lat and lon, e.g. an OSM extract
+ * @param {string} file
+ */
+function loadPlaces(file) {
+    return parseCsv(fs.readFileSync(file, 'utf8')).map((row, i) => {
+        const lat = parseFloat(row.lat);
+        const lon = parseFloat(row.lon);
+        if (!row.name || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+            throw new Error(`${file}: row ${i + 2} needs a name, lat and lon`);
+        }
+        return {
+            name: row.name.trim(),
+            aliases: (row.aliases || '').split(';').map(alias => alias.trim()).filter(Boolean),
+            kind: (row.kind || 'landmark').trim(),
+            lat,
+            lon
+        };
+    });
+}
+
+module.exports = {
+    PLACES,
+    normalizeName,
+    indexPlaces,
+    loadPlaces,
+    findPlaces,
+    lookupPlace,
+    canonicalizeLocation
+};
@@ -0,0 +1,92 @@
+const db = require('./db');
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Places rarely move; misses are retried sooner since map data and our queries improve
+const HIT_TTL_DAYS = 90;
+const MISS_TTL_DAYS = 7;
+
+// Words nearly every query ends with; they don't change the answer
+const CITY_WORDS = new Set(['bangalore', 'bengaluru', 'karnataka', 'india']);
+
+/**
+ * Cache key for a geocoding query: lowercase, punctuation and city/state/country
+ * words removed, so "Koramangala 5th Block, Bangalore" and
+ * "koramangala 5th block bengaluru" share one entry
+ * @param {string} query
+ * @returns {string} Empty when nothing but the city is left
+ */
+function normalizeQuery(query) {
+    return String(query || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .split(' ')
+        .filter(word => word && !CITY_WORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Persistent geocoding answers (the geocode_cache table), hits and misses
+ * alike, so a query the AI extracts again and again costs one request.
+ * Entries older than their TTL are refreshed; when the refresh fails the
+ * stale answer is still used. A database problem only disables caching.
+ */
+class GeocodeCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - db functions
+     * @param {number} [options.hitTtlDays] - GEOCODE_CACHE_TTL_DAYS
+     * @param {number} [options.missTtlDays] - GEOCODE_CACHE_MISS_TTL_DAYS
+     */
+    constructor({
+        store = db,
+        hitTtlDays = Number(process.env.GEOCODE_CACHE_TTL_DAYS) || HIT_TTL_DAYS,
+        missTtlDays = Number(process.env.GEOCODE_CACHE_MISS_TTL_DAYS) || MISS_TTL_DAYS
+    } = {}) {
+        this.store = store;
+        this.ttl = {
+            hitTtlSeconds: Math.round(hitTtlDays * DAY_SECONDS),
+            missTtlSeconds: Math.round(missTtlDays * DAY_SECONDS)
+        };
+    }
+
+    /**
+     * @returns {Promise<{key: string, result: Object|null, status: string, fetchedAt: Date, fresh: boolean}|null>}
+     *   null when the query is not cached (or the cache is unavailable)
+     */
+    async get(query) {
+        const key = normalizeQuery(query);
+        if (!key) return null;
+
+        try {
+            const entry = await this.store.getGeocodeCacheEntry(key);
+            return entry ? { ...entry, fresh: this.isFresh(entry) } : null;
+        } catch (error) {
+            console.warn(`⚠️  Geocode cache unavailable: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store an answer; null means the geocoder found nothing usable
+     */
+    async set(query, result) {
+        const key = normalizeQuery(query);
+        if (!key) return;
+
+        try {
+            await this.store.saveGeocodeCacheEntry(key, query, result);
+        } catch (error) {
+            console.warn(`⚠️  Could not cache geocoding result for "${query}": ${error.message}`);
+        }
+    }
+
+    isFresh(entry, now = Date.now()) {
+        const ttlSeconds = entry.result ? this.ttl.hitTtlSeconds : this.ttl.missTtlSeconds;
+        return now - new Date(entry.fetchedAt).getTime() < ttlSeconds * 1000;
+    }
+}
+
+GeocodeCache.normalizeQuery = normalizeQuery;
+
+module.exports = GeocodeCache;
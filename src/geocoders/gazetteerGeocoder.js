@@ -0,0 +1,56 @@
+const path = require('path');
+const Geocoder = require('./geocoder');
+const { PLACES, indexPlaces, loadPlaces, findPlaces, lookupPlace, canonicalizeLocation } = require('../gazetteer');
+const { placePrecision } = require('../locationPrecision');
+
+// Bundled with the gazetteer, but only used for geocoding: station names would shadow their localities in posts
+const METRO_STATIONS = path.join(__dirname, '../data/metro-stations.csv');
+
+// For an approximate answer, the most specific kind of place named in the query wins
+const KIND_ORDER = ['station', 'landmark', 'locality', 'road'];
+// A road is kilometres long, so its one point is never the answer by itself
+const EXACT_KINDS = new Set(['station', 'landmark', 'locality']);
+
+/**
+ * Offline geocoder over the bundled Bangalore gazetteer (localities, roads,
+ * landmarks), the metro stations and any extra CSV files. Answers a query
+ * that names one known place other than a road; anything else ("5th Cross,
+ * Indiranagar", "Hosur Road") is left to the online geocoders, with the
+ * place it mentions as the approximate answer if they find nothing.
+ * Places marked `ambiguous` (names shared by several roads, like
+ * "100 Feet Road") are never an answer.
+ */
+class GazetteerGeocoder extends Geocoder {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.files] - Extra place CSVs (see gazetteer.loadPlaces)
+     */
+    constructor({ files = [] } = {}) {
+        super('gazetteer', { offline: true });
+        const places = [PLACES, METRO_STATIONS, ...files].flatMap(source => (typeof source === 'string' ? loadPlaces(source) : source));
+        this.index = indexPlaces(places);
+    }
+
+    async geocode(query) {
+        const canonical = canonicalizeLocation(query, this.index);
+        if (!canonical || canonical.includes(',')) return null;
+
+        const place = lookupPlace(canonical, this.index);
+        return place && EXACT_KINDS.has(place.kind) && !place.ambiguous ? this.placeResult(place) : null;
+    }
+
+    async approximate(query) {
+        const places = findPlaces(query, this.index).filter(place => !place.ambiguous);
+        for (const kind of KIND_ORDER) {
+            const place = places.find(p => p.kind === kind);
+            if (place) return this.placeResult(place);
+        }
+        return places.length > 0 ? this.placeResult(places[0]) : null;
+    }
+
+    placeResult(place) {
+        return this.toResult({ lat: place.lat, lon: place.lon, displayName: `${place.name}, Bangalore`, ...placePrecision(place.kind) });
+    }
+}
+
+module.exports = GazetteerGeocoder;
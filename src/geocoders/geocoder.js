@@ -0,0 +1,131 @@
+const { isWithinCity } = require('../cityBounds');
+const { pickCandidate } = require('./ranking');
+
+const USER_AGENT = 'BangaloreFootpathMap/1.0'; // Required by Nominatim
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Base class for the geocoders GeocodingService asks in turn.
+ *
+ * `geocode(query, parts, anchors)` resolves to a location inside Bangalore,
+ * or null when the provider knows no such place. It throws when the
+ * provider could not be asked (network error, error response), so an
+ * outage is never taken for "not found". Online geocoders implement
+ * `search`, returning several candidates that are ranked against the
+ * location parts (see ranking.js); a close second somewhere else marks the
+ * result `ambiguous`. Offline geocoders answer from local data; they may
+ * also offer an `approximate` answer used only when no provider found the place.
+ * Geocoders that can name the address at a point implement `reverse`.
+ */
+class Geocoder {
+    /**
+     * @param {string} name - Provider identifier recorded on every result (e.g. 'nominatim')
+     * @param {Object} [options]
+     * @param {number} [options.minIntervalMs] - Minimum time between requests
+     * @param {boolean} [options.offline] - Answers without the network
+     */
+    constructor(name, { minIntervalMs = 0, offline = false } = {}) {
+        this.name = name;
+        this.minIntervalMs = minIntervalMs;
+        this.offline = offline;
+        this.lastCallTime = 0;
+    }
+
+    /**
+     * @param {string} query
+     * @param {Object|null} [parts] - { street, crossRoad, locality, landmark } from the analysis
+     * @param {Array<{lat: number, lon: number}>} [anchors] - Known places the post mentions
+     * @returns {Promise<{lat: number, lon: number, displayName: string, source: string, provider: string,
+     *   precision: string, uncertaintyM: number, ambiguous?: boolean, alternatives?: Array}|null>}
+     */
+    async geocode(query, parts = null, anchors = []) {
+        const candidates = await this.search(query, parts);
+        const inCity = candidates.filter(c => isWithinCity(c.lat, c.lon));
+        if (inCity.length < candidates.length) {
+            console.log(`   ⚠️  ${candidates.length - inCity.length} ${this.name} candidate(s) outside Bangalore bounds: ${query}`);
+        }
+
+        const pick = pickCandidate(inCity, parts, anchors);
+        if (!pick) return null;
+
+        const result = this.toResult(pick.best);
+        if (pick.ambiguous) {
+            result.ambiguous = true;
+            result.alternatives = pick.rivals.map(({ lat, lon, displayName }) => ({ lat, lon, displayName }));
+        }
+        return result;
+    }
+
+    /**
+     * Candidate places for a query, best first by the provider's own ranking
+     * @param {string} query
+     * @param {Object|null} parts
+     * @returns {Promise<Array<{lat: number, lon: number, displayName: string, importance?: number,
+     *   precision: string, uncertaintyM: number}>>}
+     */
+    async search(query) {
+        throw new Error(`${this.name}: search("${query}") not implemented`);
+    }
+
+    /**
+     * Best guess when no provider found the query as a whole (offline geocoders only)
+     * @param {string} query
+     * @returns {Promise<Object|null>} Same shape as geocode
+     */
+    async approximate() {
+        return null;
+    }
+
+    /**
+     * Address at a point, for providers with reverse lookups
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Promise<{road: string|null, locality: string|null, pincode: string|null, displayName: string}|null>}
+     *   null when the provider has no reverse lookup or no address there
+     */
+    async reverse() {
+        return null;
+    }
+
+    /**
+     * Wait out the minimum interval since the previous request
+     */
+    async rateLimit() {
+        const wait = this.lastCallTime + this.minIntervalMs - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastCallTime = Date.now();
+    }
+
+    /**
+     * Rate-limited GET returning parsed JSON
+     */
+    async fetchJson(url) {
+        await this.rateLimit();
+
+        const response = await fetch(url, {
+            headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        // An error page must not be read as "nothing found" (and cached as a miss)
+        if (!response.ok) {
+            throw new Error(`${this.name} responded with ${response.status}`);
+        }
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Failed to parse ${this.name} response`);
+        }
+    }
+
+    /**
+     * Result in the shape stored in locations.coordinates
+     * @param {Object} place - lat, lon, displayName, precision and uncertaintyM (see locationPrecision)
+     */
+    toResult({ lat, lon, displayName, precision, uncertaintyM }) {
+        return { lat, lon, displayName, source: 'geocoded', provider: this.name, precision, uncertaintyM };
+    }
+}
+
+module.exports = Geocoder;
@@ -0,0 +1,74 @@
+const GazetteerGeocoder = require('./gazetteerGeocoder');
+const NominatimGeocoder = require('./nominatimGeocoder');
+const PhotonGeocoder = require('./photonGeocoder');
+require('dotenv').config();
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Factories for every known geocoder, keyed by the name used in GEOCODERS.
+ * The public servers get their usage policy's pace; self-hosted ones none.
+ */
+const GEOCODER_FACTORIES = {
+    gazetteer: () => new GazetteerGeocoder({
+        files: (process.env.GAZETTEER_FILES || '').split(',').map(s => s.trim()).filter(Boolean)
+    }),
+    nominatim: () => {
+        const baseUrl = process.env.NOMINATIM_URL || NominatimGeocoder.PUBLIC_URL;
+        return new NominatimGeocoder({
+            baseUrl,
+            minIntervalMs: intEnv('NOMINATIM_MIN_INTERVAL_MS', baseUrl === NominatimGeocoder.PUBLIC_URL ? 1100 : 0)
+        });
+    },
+    // A second Nominatim, typically self-hosted, for a chain like "gazetteer,nominatim,nominatim-local"
+    'nominatim-local': () => {
+        if (!process.env.NOMINATIM_LOCAL_URL) {
+            throw new Error('NOMINATIM_LOCAL_URL is not set');
+        }
+        return new NominatimGeocoder({
+            name: 'nominatim-local',
+            baseUrl: process.env.NOMINATIM_LOCAL_URL,
+            minIntervalMs: intEnv('NOMINATIM_LOCAL_MIN_INTERVAL_MS', 0)
+        });
+    },
+    photon: () => {
+        const baseUrl = process.env.PHOTON_URL || PhotonGeocoder.PUBLIC_URL;
+        return new PhotonGeocoder({
+            baseUrl,
+            minIntervalMs: intEnv('PHOTON_MIN_INTERVAL_MS', baseUrl === PhotonGeocoder.PUBLIC_URL ? 1000 : 0)
+        });
+    }
+};
+
+/**
+ * Build the geocoders listed in GEOCODERS (comma separated, in the order
+ * they are asked, default "gazetteer,nominatim").
+ * Misconfigured geocoders are skipped with a warning so the others still run.
+ */
+function createGeocoders(spec = process.env.GEOCODERS || 'gazetteer,nominatim') {
+    const names = spec.split(',').map(s => s.trim()).filter(Boolean);
+    const geocoders = [];
+
+    for (const name of names) {
+        const factory = GEOCODER_FACTORIES[name];
+        if (!factory) {
+            console.warn(`⚠️  Unknown geocoder "${name}". Skipping.`);
+            continue;
+        }
+        try {
+            geocoders.push(factory());
+        } catch (error) {
+            console.warn(`⚠️  Geocoder "${name}" disabled: ${error.message}`);
+        }
+    }
+
+    return geocoders;
+}
+
+module.exports = {
+    GEOCODER_FACTORIES,
+    createGeocoders
+};
@@ -0,0 +1,90 @@
+const Geocoder = require('./geocoder');
+const { CITY_BOUNDS } = require('../cityBounds');
+const { boundingBoxRadius, featurePrecision } = require('../locationPrecision');
+
+const PUBLIC_URL = 'https://nominatim.openstreetmap.org';
+const CANDIDATES = 5;
+
+// Address keys in the order they name the road or the locality of a point
+const ROAD_KEYS = ['road', 'pedestrian', 'footway', 'path', 'service'];
+const LOCALITY_KEYS = ['suburb', 'neighbourhood', 'quarter', 'residential', 'city_district'];
+
+/**
+ * Nominatim search API: the public OSM server (at most one request per
+ * second by its usage policy) or a self-hosted instance. Searches are
+ * limited to the city box; reverse lookups name the road, locality and
+ * pincode at a point.
+ */
+class NominatimGeocoder extends Geocoder {
+    /**
+     * @param {Object} [options] - Geocoder options plus baseUrl, name and the number of candidates to rank
+     */
+    constructor({ baseUrl = PUBLIC_URL, name = 'nominatim', candidates = CANDIDATES, ...options } = {}) {
+        super(name, options);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.candidates = candidates;
+    }
+
+    async search(query, parts) {
+        // A street with its locality is looked up as an address: every street of that name in the city,
+        // ranked by the locality afterwards. The free-text query is the fallback.
+        if (parts && parts.street && parts.locality) {
+            const candidates = await this.request({ street: parts.street, city: 'Bengaluru' });
+            if (candidates.length > 0) return candidates;
+        }
+        return this.request({ q: query });
+    }
+
+    async request(params) {
+        const search = new URLSearchParams({
+            ...params,
+            format: 'json',
+            limit: String(this.candidates),
+            countrycodes: 'in',
+            viewbox: [CITY_BOUNDS.minLon, CITY_BOUNDS.maxLat, CITY_BOUNDS.maxLon, CITY_BOUNDS.minLat].join(','),
+            bounded: '1'
+        });
+        const results = await this.fetchJson(`${this.baseUrl}/search?${search}`);
+        if (!Array.isArray(results)) return [];
+
+        return results.map(r => {
+            // boundingbox is [south, north, west, east] as strings
+            const [south, north, west, east] = (r.boundingbox || []).map(parseFloat);
+            return {
+                lat: parseFloat(r.lat),
+                lon: parseFloat(r.lon),
+                displayName: r.display_name,
+                importance: parseFloat(r.importance) || 0,
+                ...featurePrecision({ category: r.class, type: r.type, extentM: boundingBoxRadius(south, north, west, east) })
+            };
+        });
+    }
+
+    async reverse(lat, lon) {
+        const search = new URLSearchParams({
+            lat: String(lat),
+            lon: String(lon),
+            format: 'json',
+            zoom: '18',
+            addressdetails: '1'
+        });
+        const result = await this.fetchJson(`${this.baseUrl}/reverse?${search}`);
+        // { error: "Unable to geocode" } when there is nothing at the point
+        if (!result || result.error || !result.address) return null;
+
+        const address = result.address;
+        const pick = keys => address[keys.find(key => address[key])] || null;
+        // Sometimes written "560 038"
+        const pincode = (address.postcode || '').replace(/\s+/g, '');
+        return {
+            road: pick(ROAD_KEYS),
+            locality: pick(LOCALITY_KEYS),
+            pincode: /^\d{6}$/.test(pincode) ? pincode : null,
+            displayName: result.display_name
+        };
+    }
+}
+
+NominatimGeocoder.PUBLIC_URL = PUBLIC_URL;
+
+module.exports = NominatimGeocoder;
@@ -0,0 +1,65 @@
+const Geocoder = require('./geocoder');
+const { CITY_BOUNDS } = require('../cityBounds');
+const { boundingBoxRadius, featurePrecision } = require('../locationPrecision');
+
+const PUBLIC_URL = 'https://photon.komoot.io';
+const CANDIDATES = 5;
+
+// Results are biased toward the city center and limited to the city box
+const CENTER = { lat: 12.9716, lon: 77.5946 };
+
+/**
+ * Photon (komoot's OSM geocoder): the public server or a self-hosted one
+ */
+class PhotonGeocoder extends Geocoder {
+    /**
+     * @param {Object} [options] - Geocoder options plus baseUrl and the number of candidates to rank
+     */
+    constructor({ baseUrl = PUBLIC_URL, candidates = CANDIDATES, ...options } = {}) {
+        super('photon', options);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.candidates = candidates;
+    }
+
+    async search(query) {
+        const params = new URLSearchParams({
+            q: query,
+            limit: String(this.candidates),
+            lang: 'en',
+            lat: String(CENTER.lat),
+            lon: String(CENTER.lon),
+            bbox: [CITY_BOUNDS.minLon, CITY_BOUNDS.minLat, CITY_BOUNDS.maxLon, CITY_BOUNDS.maxLat].join(',')
+        });
+        const data = await this.fetchJson(`${this.baseUrl}/api?${params}`);
+        const features = data && Array.isArray(data.features) ? data.features : [];
+
+        return features
+            .filter(feature => feature.geometry && Array.isArray(feature.geometry.coordinates))
+            .map(feature => {
+                const properties = feature.properties || {};
+                // extent is [west, north, east, south]; points (houses, shops) have none
+                const [west, north, east, south] = properties.extent || [];
+                return {
+                    lat: feature.geometry.coordinates[1],
+                    lon: feature.geometry.coordinates[0],
+                    displayName: displayName(properties),
+                    ...featurePrecision({ category: properties.osm_key, type: properties.type, extentM: boundingBoxRadius(south, north, west, east) })
+                };
+            });
+    }
+}
+
+/**
+ * Nominatim-style "name, street, locality, city" label from Photon properties
+ */
+function displayName(properties) {
+    const street = properties.street && properties.housenumber
+        ? `${properties.housenumber} ${properties.street}`
+        : properties.street;
+    const parts = [properties.name, street, properties.locality, properties.district, properties.city, properties.state, properties.country];
+    return [...new Set(parts.filter(Boolean))].join(', ');
+}
+
+PhotonGeocoder.PUBLIC_URL = PUBLIC_URL;
+
+module.exports = PhotonGeocoder;
@@ -0,0 +1,80 @@
+const { distanceMeters } = require('../cityBounds');
+const { spellingKey } = require('../language');
+
+/**
+ * Choosing between a geocoder's candidates for one location. "MG Road" or
+ * "100 Feet Road" exist in several neighbourhoods, so besides the
+ * geocoder's own order and importance a candidate scores for naming the
+ * locality, street and cross road the post gave, and for lying near known
+ * places the post mentions (anchors: its locality and landmark, placed by
+ * the gazetteer).
+ */
+
+const WEIGHTS = {
+    rank: 0.2,
+    importance: 0.2,
+    locality: 0.3,
+    street: 0.2,
+    crossRoad: 0.1,
+    anchor: 0.4
+};
+// Anchor points count fully at the spot and not at all beyond this distance
+const ANCHOR_RADIUS_M = 2500;
+// A runner-up this close in score, somewhere else, makes the answer ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+// Candidates nearer than this are the same place (a road split into OSM segments)
+const SAME_PLACE_M = 500;
+
+/**
+ * Whether a candidate's name or address names the given place, spelling variants included
+ */
+function mentions(candidate, name) {
+    const key = spellingKey(name);
+    if (!key) return false;
+    return String(candidate.displayName || '')
+        .split(',')
+        .some(part => spellingKey(part).includes(key));
+}
+
+/**
+ * Candidates with a `score`, best first
+ * @param {Array<{lat: number, lon: number, displayName: string, importance?: number}>} candidates - In the geocoder's order
+ * @param {Object|null} parts - { street, crossRoad, locality, landmark }
+ * @param {Array<{lat: number, lon: number}>} anchors
+ */
+function rankCandidates(candidates, parts, anchors = []) {
+    parts = parts || {};
+
+    return candidates
+        .map((candidate, i) => {
+            let score = WEIGHTS.rank * (1 - i / candidates.length);
+            score += WEIGHTS.importance * Math.min(1, Math.max(0, candidate.importance || 0));
+            if (parts.locality && mentions(candidate, parts.locality)) score += WEIGHTS.locality;
+            if (parts.street && mentions(candidate, parts.street)) score += WEIGHTS.street;
+            if (parts.crossRoad && mentions(candidate, parts.crossRoad)) score += WEIGHTS.crossRoad;
+            if (anchors.length > 0) {
+                const nearest = Math.min(...anchors.map(anchor => distanceMeters(anchor, candidate)));
+                score += WEIGHTS.anchor * Math.max(0, 1 - nearest / ANCHOR_RADIUS_M);
+            }
+            return { ...candidate, score: Math.round(score * 1000) / 1000 };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Best candidate, and the rivals that score almost as well somewhere else
+ * @returns {{best: Object, rivals: Object[], ambiguous: boolean}|null} null without candidates
+ */
+function pickCandidate(candidates, parts, anchors = []) {
+    if (candidates.length === 0) return null;
+
+    const [best, ...rest] = rankCandidates(candidates, parts, anchors);
+    const rivals = rest.filter(c => best.score - c.score < AMBIGUITY_MARGIN && distanceMeters(best, c) > SAME_PLACE_M);
+    return { best, rivals, ambiguous: rivals.length > 0 };
+}
+
+module.exports = {
+    AMBIGUITY_MARGIN,
+    rankCandidates,
+    pickCandidate
+};
@@ -1,120 +1,157 @@
-const https = require('https');
-
+const GeocodeCache = require('./geocodeCache');
+const { createGeocoders } = require('./geocoders');
+
+/**
+ * Geocodes extracted locations through a chain of geocoders (GEOCODERS):
+ * offline ones first, then the online ones in turn until one finds the
+ * place. Every result records the provider that answered. Online
+ * candidates are ranked against the location parts of the analysis, with
+ * the places the offline geocoders know as anchors; a close call is
+ * returned with `ambiguous: true` and its `alternatives`.
+ */
 class GeocodingService {
-  constructor() {
-    this.baseUrl = 'nominatim.openstreetmap.org';
-    this.userAgent = 'BangaloreFootpathMap/1.0'; // Required by Nominatim
-    
-    // Rate limiting: Max 1 request per second (Nominatim policy)
-    this.lastCallTime = 0;
-    this.minInterval = 1100; // 1.1 seconds to be safe
+  /**
+   * @param {Object} [options]
+   * @param {GeocodeCache|null} [options.cache] - Defaults to the geocode_cache table; null always asks the online geocoders
+   * @param {Geocoder[]} [options.geocoders] - Defaults to the GEOCODERS chain
+   */
+  constructor({ cache, geocoders } = {}) {
+    this.geocoders = geocoders || createGeocoders();
+    // Offline answers cost nothing and follow gazetteer updates, so only online answers are cached
+    this.offline = this.geocoders.filter(g => g.offline);
+    this.online = this.geocoders.filter(g => !g.offline);
+
+    this.cache = cache === undefined ? new GeocodeCache() : cache;
   }
 
   /**
-   * Rate limit API calls (Nominatim requires max 1 req/sec)
+   * Geocode a location name/address to coordinates.
+   * Cached answers (found or not) are returned without touching the rate limits.
+   * When nothing finds the place as a whole, an offline geocoder may still
+   * place it approximately by a known place it mentions (`approximate: true`).
+   * @param {string} locationName
+   * @param {Object|null} [parts] - { street, crossRoad, locality, landmark } from the analysis
    */
-  async rateLimit() {
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastCallTime;
-    
-    if (timeSinceLastCall < this.minInterval) {
-      await new Promise(resolve => setTimeout(resolve, this.minInterval - timeSinceLastCall));
+  async geocode(locationName, parts = null) {
+    if (!locationName || locationName.trim().length === 0) {
+      return null;
+    }
+
+    for (const geocoder of this.offline) {
+      const result = await geocoder.geocode(locationName);
+      if (result) return result;
     }
-    
-    this.lastCallTime = Date.now();
+
+    const result = await this.geocodeOnline(locationName, parts);
+    return result || this.approximate(locationName);
   }
 
   /**
-   * Geocode a location name/address to coordinates
+   * Cached answer of the online geocoders, asking them when there is none or it expired
    */
-  async geocode(locationName) {
-    if (!locationName || locationName.trim().length === 0) {
+  async geocodeOnline(locationName, parts) {
+    if (this.online.length === 0) {
       return null;
     }
 
-    try {
-      await this.rateLimit();
-
-      const query = encodeURIComponent(locationName);
-      const path = `/search?q=${query}&format=json&limit=1&countrycodes=in`;
-
-      const result = await this.makeRequest(path);
-
-      if (result && result.length > 0) {
-        const lat = parseFloat(result[0].lat);
-        const lon = parseFloat(result[0].lon);
-
-        // Validate coordinates are within Bangalore bounds
-        // Bangalore: lat 12.7-13.3, lon 77.3-77.9
-        if (lat >= 12.7 && lat <= 13.3 && lon >= 77.3 && lon <= 77.9) {
-          return { 
-            lat, 
-            lon,
-            displayName: result[0].display_name,
-            source: 'geocoded'
-          };
-        } else {
-          console.log(`   ⚠️  Coordinates outside Bangalore bounds: ${locationName}`);
-          return null;
-        }
-      }
+    const cacheQuery = this.cacheQuery(locationName, parts);
+    const cached = this.cache ? await this.cache.get(cacheQuery) : null;
+    if (cached && cached.fresh) {
+      return cached.result;
+    }
 
-      return null;
+    let result;
+    try {
+      result = await this.fetchLocation(locationName, parts);
     } catch (error) {
-      console.error(`Error geocoding "${locationName}":`, error.message);
-      return null;
+      // No geocoder could say the place doesn't exist: keep any stale answer, cache nothing
+      return cached ? cached.result : null;
     }
+
+    if (this.cache) {
+      await this.cache.set(cacheQuery, result);
+    }
+    return result;
   }
 
   /**
-   * Make HTTPS request to Nominatim
+   * Cache query: the location plus the parts it doesn't already spell out,
+   * since those change how candidates are ranked
    */
-  makeRequest(path) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: this.baseUrl,
-        path: path,
-        method: 'GET',
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
+  cacheQuery(locationName, parts) {
+    const key = GeocodeCache.normalizeQuery(locationName);
+    const extra = Object.values(parts || {})
+      .filter(part => part && !key.includes(GeocodeCache.normalizeQuery(part)));
+    return [locationName, ...extra].join(', ');
+  }
 
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
+  /**
+   * Known positions of the locality and landmark, to rank candidates by
+   */
+  async findAnchors(parts) {
+    const anchors = [];
+    for (const name of [parts && parts.locality, parts && parts.landmark]) {
+      if (!name) continue;
+      for (const geocoder of this.offline) {
+        const place = await geocoder.geocode(name);
+        if (place) {
+          anchors.push(place);
+          break;
+        }
+      }
+    }
+    return anchors;
+  }
 
-        res.on('end', () => {
-          try {
-            const parsed = JSON.parse(data);
-            resolve(parsed);
-          } catch (err) {
-            reject(new Error('Failed to parse Nominatim response'));
+  /**
+   * Ask the online geocoders in turn
+   * @returns {Promise<Object|null>} null when every geocoder answered that it found nothing inside Bangalore
+   * @throws When none found the place and at least one could not be asked
+   */
+  async fetchLocation(locationName, parts = null) {
+    const failures = [];
+    const anchors = await this.findAnchors(parts);
+
+    for (const geocoder of this.online) {
+      try {
+        const result = await geocoder.geocode(locationName, parts, anchors);
+        if (result) {
+          if (result.ambiguous) {
+            console.log(`   ⚠️  "${locationName}" is ambiguous (${geocoder.name}): ${[result, ...result.alternatives].map(r => r.displayName).join(' | ')}`);
           }
-        });
-      });
-
-      req.on('error', (err) => {
-        reject(err);
-      });
+          return result;
+        }
+      } catch (error) {
+        console.error(`   ⚠️  ${geocoder.name} failed for "${locationName}": ${error.message}`);
+        failures.push(`${geocoder.name}: ${error.message}`);
+      }
+    }
 
-      req.setTimeout(5000, () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
+    if (failures.length > 0) {
+      throw new Error(failures.join('; '));
+    }
+    return null;
+  }
 
-      req.end();
-    });
+  /**
+   * Best offline guess for a location nothing found exactly
+   */
+  async approximate(locationName) {
+    for (const geocoder of this.offline) {
+      const result = await geocoder.approximate(locationName);
+      if (result) {
+        console.log(`   ≈ Approximated "${locationName}" as ${result.displayName} (${geocoder.name})`);
+        return { ...result, approximate: true };
+      }
+    }
+    return null;
   }
 
   /**
    * Batch geocode multiple locations
    */
   async geocodeBatch(locations) {
-    console.log(`🌍 Geocoding ${locations.filter(l => l).length} locations with Nominatim...`);
+    console.log(`🌍 Geocoding ${locations.filter(l => l).length} locations with ${this.geocoders.map(g => g.name).join(', ')}...`);
     const results = [];
 
     for (let i = 0; i < locations.length; i++) {
@@ -0,0 +1,113 @@
+const sharp = require('sharp');
+const db = require('./db');
+const MediaArchiver = require('./mediaArchiver');
+
+// Images per post sent to a vision model
+const MAX_IMAGES = 4;
+// Longest side of the copy sent to the model; enough to read signboards
+const MAX_DIMENSION = 1024;
+
+/**
+ * Collects a post's photos for multimodal analysis as base64 JPEGs.
+ *
+ * Sources are tried in order until enough images are found. By default
+ * archived copies are read from media storage first and the remaining
+ * attachment URLs are downloaded. A source is any
+ * `async (post, limit, skipUrls) => [{ buffer, sourceUrl }]`, so other
+ * backends (a CDN cache, a test fixture directory) can be plugged in.
+ */
+class ImageFetcher {
+    /**
+     * @param {Object} [options]
+     * @param {MediaArchiver|null} [options.mediaArchiver] - Archive to read stored copies from
+     * @param {Array<Function>} [options.sources] - Replaces the default archive + download sources
+     * @param {number} [options.maxImages]
+     */
+    constructor({ mediaArchiver = null, sources, maxImages = MAX_IMAGES } = {}) {
+        // A storage-less archiver still knows how to download safely
+        this.mediaArchiver = mediaArchiver || new MediaArchiver(null);
+        this.sources = sources || [
+            (post, limit) => this.fromArchive(post, limit),
+            (post, limit, skipUrls) => this.fromUrls(post, limit, skipUrls)
+        ];
+        this.maxImages = maxImages;
+    }
+
+    /**
+     * @returns {Promise<Array<{mimeType: string, data: string, sourceUrl: string}>>}
+     */
+    async fetch(post) {
+        const images = [];
+        const seenUrls = new Set();
+
+        for (const source of this.sources) {
+            if (images.length >= this.maxImages) break;
+
+            let found = [];
+            try {
+                found = await source(post, this.maxImages - images.length, seenUrls);
+            } catch (error) {
+                console.warn(`     ⚠️  Image source failed for ${post.id}: ${error.message}`);
+            }
+
+            for (const { buffer, sourceUrl } of found) {
+                if (images.length >= this.maxImages || seenUrls.has(sourceUrl)) continue;
+                seenUrls.add(sourceUrl);
+
+                try {
+                    images.push({ mimeType: 'image/jpeg', data: await this.prepare(buffer), sourceUrl });
+                } catch (error) {
+                    console.warn(`     ⚠️  Unreadable image ${sourceUrl}: ${error.message}`);
+                }
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Downscale and re-encode so every provider accepts the image
+     * @returns {Promise<string>} Base64 JPEG
+     */
+    async prepare(buffer) {
+        const jpeg = await sharp(buffer)
+            .rotate()
+            .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        return jpeg.toString('base64');
+    }
+
+    /**
+     * Archived copies (the 800px variant) of the post's or thread's attachments
+     */
+    async fromArchive(post, limit) {
+        if (!this.mediaArchiver.enabled) return [];
+
+        const mediaList = await db.getArchivedMediaForPosts(post.threadPostIds || [post.id]);
+        const found = [];
+        for (const media of mediaList.slice(0, limit)) {
+            const file = await this.mediaArchiver.read(media, 'medium');
+            if (file) found.push({ buffer: file.buffer, sourceUrl: media.sourceUrl });
+        }
+        return found;
+    }
+
+    /**
+     * Download attachments that are not archived
+     */
+    async fromUrls(post, limit, skipUrls) {
+        const found = [];
+        for (const url of (post.mediaUrls || []).filter(u => !skipUrls.has(u))) {
+            if (found.length >= limit) break;
+            try {
+                found.push({ buffer: await this.mediaArchiver.download(url), sourceUrl: url });
+            } catch (error) {
+                console.warn(`     ⚠️  Could not download ${url}: ${error.message}`);
+            }
+        }
+        return found;
+    }
+}
+
+module.exports = ImageFetcher;
@@ -0,0 +1,158 @@
+const db = require('./db');
+const { IMPORT_FORMATS, detectFormat } = require('./importers');
+const { resolveMapping, toPost } = require('./importers/record');
+const { locatePosts, archivePostMedia } = require('./ingestion');
+const { SOURCE_FACTORIES } = require('./sources');
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 100;
+
+// posts.source values written by live sources and web reports; imports would share their ids and cursors
+const RESERVED_SOURCES = new Set(['twitter', 'web', 'report', ...Object.keys(SOURCE_FACTORIES)]);
+
+/**
+ * Bulk import of posts from files (CSV, GeoJSON, X archive tweets.js).
+ *
+ * Rows are validated and normalized up front; a dry run stops there and
+ * reports what would be inserted or updated. A real import upserts into
+ * posts/locations and records itself in `imports`, whose id is stored on
+ * every post it wrote.
+ */
+class ImportService {
+    /**
+     * @param {string} content - File contents
+     * @param {Object} [options]
+     * @param {string} [options.format] - 'csv' | 'geojson' | 'x-archive' (detected from filename/content if omitted)
+     * @param {string} [options.filename]
+     * @param {Object|string} [options.mapping] - Column mapping, e.g. { text: 'Notes' } or "text=Notes,lat=Lat"
+     * @param {string} [options.source] - posts.source for CSV/GeoJSON rows (default: 'csv-import' / 'geojson')
+     * @param {string} [options.author] - Author handle for rows without one (X archives)
+     * @param {boolean} [options.dryRun]
+     */
+    async run(content, { format, filename = null, mapping, source, author, dryRun = false } = {}) {
+        const resolvedFormat = format || detectFormat(filename || '', content);
+        const handler = IMPORT_FORMATS[resolvedFormat];
+        if (!handler) {
+            throw new Error(`Unknown import format "${resolvedFormat || 'undetected'}". Use one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+        }
+
+        const postSource = handler.prefixId ? (source || handler.defaultSource) : handler.defaultSource;
+        if (!/^[a-z0-9_-]{1,50}$/.test(postSource)) {
+            throw new Error('source must be 1-50 lowercase letters, digits, "-" or "_"');
+        }
+        if (handler.prefixId && RESERVED_SOURCES.has(postSource)) {
+            throw new Error(`source "${postSource}" is reserved. Choose a name for this import, e.g. "walkabout"`);
+        }
+
+        const { posts, errors, skipped, totalRows } = this.validate(
+            handler.parse(content, resolveMapping(mapping), { author }),
+            postSource,
+            handler.prefixId,
+            author
+        );
+
+        const summary = {
+            format: resolvedFormat,
+            source: postSource,
+            dryRun,
+            totalRows,
+            validRows: posts.length,
+            invalidRows: errors.length,
+            skippedRows: skipped,
+            withCoordinates: posts.filter(p => p.coordinates).length,
+            errors: errors.slice(0, MAX_REPORTED_ERRORS)
+        };
+
+        if (dryRun) {
+            const existing = await db.getExistingPostIds(posts.map(p => p.id));
+            return {
+                ...summary,
+                inserted: posts.filter(p => !existing.has(p.id)).length,
+                updated: posts.filter(p => existing.has(p.id)).length,
+                sample: posts.slice(0, 5)
+            };
+        }
+
+        const record = await db.createImport({
+            format: resolvedFormat,
+            filename,
+            source: postSource,
+            options: { mapping: mapping || null, author: author || null }
+        });
+        console.log(`📥 Import #${record.id}: ${posts.length} valid rows from ${filename || resolvedFormat} (${errors.length} invalid)`);
+
+        let inserted = 0;
+        let updated = 0;
+
+        try {
+            for (let i = 0; i < posts.length; i += BATCH_SIZE) {
+                const batch = posts.slice(i, i + BATCH_SIZE).map(p => ({ ...p, importId: record.id }));
+                await locatePosts(batch);
+                const result = await db.upsertPosts(batch);
+                inserted += result.inserted;
+                updated += result.updated;
+                await archivePostMedia(batch);
+            }
+        } catch (error) {
+            console.error(`❌ Import #${record.id} failed: ${error.message}`);
+            await db.finishImport(record.id, {
+                status: 'failed',
+                totalRows,
+                invalidRows: errors.length,
+                inserted,
+                updated,
+                errors: summary.errors,
+                errorMessage: error.message
+            });
+            throw error;
+        }
+
+        const finished = await db.finishImport(record.id, {
+            status: 'completed',
+            totalRows,
+            invalidRows: errors.length,
+            inserted,
+            updated,
+            errors: summary.errors
+        });
+        console.log(`✅ Import #${record.id}: ${inserted} inserted, ${updated} updated`);
+
+        return { ...summary, importId: finished.id, inserted, updated };
+    }
+
+    /**
+     * Turn parsed rows into posts, collecting per-row errors and duplicate ids
+     */
+    validate(rows, source, prefixId, author) {
+        const posts = [];
+        const errors = [];
+        const seen = new Set();
+        let skipped = 0;
+
+        for (const { row, record, error, skipped: isSkipped } of rows) {
+            if (isSkipped) {
+                skipped++;
+                continue;
+            }
+            if (error) {
+                errors.push({ row, error });
+                continue;
+            }
+
+            try {
+                const post = toPost({ author, ...record }, source, { prefixId });
+                if (seen.has(post.id)) {
+                    throw new Error(`Duplicate id ${post.id}`);
+                }
+                seen.add(post.id);
+                posts.push(post);
+            } catch (validationError) {
+                errors.push({ row, error: validationError.message });
+            }
+        }
+
+        return { posts, errors, skipped, totalRows: rows.length };
+    }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,23 @@
+const { parseCsv } = require('../csv');
+const { applyMapping } = require('./record');
+
+/**
+ * CSV import: one post per row, columns chosen by the mapping
+ * (e.g. { text: 'Notes', lat: 'Latitude', lon: 'Longitude' }).
+ * @returns {Array<{row: number, record: Object}>}
+ */
+function parseCsvImport(content, mapping) {
+    const rows = parseCsv(content);
+    if (rows.length === 0) return [];
+
+    // A mapped column missing from the header is a configuration error, not a bad row
+    const header = Object.keys(rows[0]);
+    if (!header.includes(mapping.text)) {
+        throw new Error(`Text column "${mapping.text}" not found. Columns: ${header.join(', ')}`);
+    }
+
+    // +2: header row and 1-based line numbers
+    return rows.map((row, index) => ({ row: index + 2, record: applyMapping(row, mapping) }));
+}
+
+module.exports = { parseCsvImport };
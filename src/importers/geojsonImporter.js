@@ -0,0 +1,40 @@
+const { applyMapping } = require('./record');
+
+// Property names tried for the post text when the mapping's column is absent
+const TEXT_FALLBACKS = ['description', 'name', 'notes'];
+
+/**
+ * GeoJSON import: each Point feature of a FeatureCollection is a post,
+ * with its properties read through the mapping.
+ * @returns {Array<{row: number, record: Object, error?: string}>}
+ */
+function parseGeoJsonImport(content, mapping) {
+    const data = JSON.parse(content);
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+
+    return data.features.map((feature, index) => {
+        const row = index + 1;
+        const geometry = feature && feature.geometry;
+        if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return { row, record: null, error: `Unsupported geometry "${geometry ? geometry.type : 'none'}" (Point only)` };
+        }
+
+        const properties = feature.properties || {};
+        const record = applyMapping(properties, mapping);
+        if (record.text === undefined) {
+            const fallback = TEXT_FALLBACKS.find(key => properties[key]);
+            if (fallback) record.text = properties[fallback];
+        }
+        if (record.id === undefined && feature.id !== undefined) {
+            record.id = feature.id;
+        }
+
+        // GeoJSON positions are [lon, lat]
+        const [lon, lat] = geometry.coordinates;
+        return { row, record: { ...record, lat, lon } };
+    });
+}
+
+module.exports = { parseGeoJsonImport };
@@ -0,0 +1,34 @@
+const { parseCsvImport } = require('./csvImporter');
+const { parseGeoJsonImport } = require('./geojsonImporter');
+const { parseXArchiveImport } = require('./xArchiveImporter');
+
+/**
+ * Supported import formats: parser and the posts.source value used by default.
+ * Tweet archives keep source 'twitter' so they merge with API-ingested tweets.
+ * CSV imports use 'csv-import' so they stay apart from the 'csv' ingestion source.
+ */
+const IMPORT_FORMATS = {
+    csv: { parse: parseCsvImport, defaultSource: 'csv-import', prefixId: true },
+    geojson: { parse: parseGeoJsonImport, defaultSource: 'geojson', prefixId: true },
+    'x-archive': { parse: (content, mapping, options) => parseXArchiveImport(content, options), defaultSource: 'twitter', prefixId: false }
+};
+
+/**
+ * Guess the format from a file name, then from the content
+ */
+function detectFormat(filename = '', content = '') {
+    const name = filename.toLowerCase();
+    if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.geojson')) return 'geojson';
+    if (name.endsWith('tweets.js')) return 'x-archive';
+
+    const head = content.trimStart().slice(0, 200);
+    if (head.startsWith('window.YTD.')) return 'x-archive';
+    if (head.startsWith('{') && head.includes('FeatureCollection')) return 'geojson';
+    return null;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { isWithinCity } = require('../cityBounds');
+
+// Fields an import row can provide, with the column/property names read by default
+const DEFAULT_MAPPING = {
+    id: 'id',
+    text: 'text',
+    created_at: 'created_at',
+    media_urls: 'media_urls',
+    url: 'url',
+    lat: 'lat',
+    lon: 'lon',
+    author: 'author',
+    location: 'location'
+};
+
+/**
+ * Merge a user mapping ({ field: column }) over the defaults
+ * @param {Object|string} [mapping] - Object, or "text=Notes,lat=Latitude"
+ */
+function resolveMapping(mapping = {}) {
+    const overrides = typeof mapping === 'string' ? parseMappingSpec(mapping) : mapping;
+
+    for (const field of Object.keys(overrides)) {
+        if (!(field in DEFAULT_MAPPING)) {
+            throw new Error(`Unknown mapping field "${field}". Expected one of: ${Object.keys(DEFAULT_MAPPING).join(', ')}`);
+        }
+    }
+    return { ...DEFAULT_MAPPING, ...overrides };
+}
+
+function parseMappingSpec(spec) {
+    const mapping = {};
+    for (const pair of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+        const [field, ...column] = pair.split('=');
+        if (column.length === 0) {
+            throw new Error(`Invalid mapping "${pair}". Use field=column`);
+        }
+        mapping[field.trim()] = column.join('=').trim();
+    }
+    return mapping;
+}
+
+/**
+ * Read mapped fields from a flat row (CSV record or GeoJSON properties)
+ */
+function applyMapping(row, mapping) {
+    const record = {};
+    for (const [field, column] of Object.entries(mapping)) {
+        const value = row[column];
+        if (value !== undefined && value !== null && value !== '') {
+            record[field] = value;
+        }
+    }
+    return record;
+}
+
+/**
+ * Validate a mapped record and turn it into a post for db.upsertPosts
+ * @param {Object} record - { id, text, created_at, media_urls, url, lat, lon, author, location, in_reply_to_id }
+ * @param {string} source - Value stored in posts.source
+ * @param {Object} [options]
+ * @param {boolean} [options.prefixId] - Namespace ids as "<source>:<id>" (false for tweet ids, which must be numeric)
+ * @throws {Error} When the record is invalid
+ */
+function toPost(record, source, { prefixId = true } = {}) {
+    const text = record.text !== undefined ? String(record.text).trim() : '';
+    if (!text) {
+        throw new Error('Missing text');
+    }
+
+    let createdAt = null;
+    if (record.created_at) {
+        const date = new Date(record.created_at);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid date "${record.created_at}"`);
+        }
+        createdAt = date.toISOString();
+    }
+
+    const hasLat = record.lat !== undefined;
+    const hasLon = record.lon !== undefined;
+    let coordinates = null;
+    if (hasLat || hasLon) {
+        const lat = parseFloat(record.lat);
+        const lon = parseFloat(record.lon);
+        if (!hasLat || !hasLon || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+            throw new Error('lat and lon must both be numbers');
+        }
+        if (!isWithinCity(lat, lon)) {
+            throw new Error(`Coordinates ${lat}, ${lon} are outside Bangalore`);
+        }
+        coordinates = { lat, lon, source: 'import' };
+    }
+
+    const mediaUrls = Array.isArray(record.media_urls)
+        ? record.media_urls
+        : String(record.media_urls || '').split(/[|\s]+/).filter(Boolean);
+    const badUrl = mediaUrls.find(u => !/^https?:\/\//i.test(u));
+    if (badUrl) {
+        throw new Error(`Invalid media URL "${badUrl}"`);
+    }
+
+    // Rows without an id get a stable one so re-importing the same file updates instead of duplicating
+    const rawId = record.id !== undefined
+        ? String(record.id).trim()
+        : crypto.createHash('sha1').update(`${text}|${createdAt}|${record.lat}|${record.lon}`).digest('hex').slice(0, 16);
+    // Bare ids are tweet ids, which the tweet cursors compare as numbers
+    if (!prefixId && !/^\d+$/.test(rawId)) {
+        throw new Error(`Tweet id "${rawId}" is not numeric`);
+    }
+
+    return {
+        id: prefixId ? `${source}:${rawId}` : rawId,
+        text,
+        createdAt,
+        mediaUrls,
+        source,
+        sourceUrl: record.url || null,
+        authorHandle: record.author ? String(record.author).replace(/^@/, '') : null,
+        inReplyToId: record.in_reply_to_id || null,
+        coordinates,
+        extractedLocation: record.location || null
+    };
+}
+
+module.exports = {
+    DEFAULT_MAPPING,
+    resolveMapping,
+    applyMapping,
+    toPost
+};
@@ -0,0 +1,50 @@
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Official X/Twitter archive import (data/tweets.js from "Download an archive").
+ * The file is a script assigning an array: window.YTD.tweets.part0 = [{ tweet: {...} }]
+ * Retweets are skipped; ids are kept as tweet ids so they merge with API-ingested posts.
+ * @param {string} content - tweets.js (or the bare JSON array)
+ * @param {Object} [options]
+ * @param {string} [options.author] - Handle of the archive owner (the archive itself does not carry it)
+ * @returns {Array<{row: number, record: Object, skipped?: boolean}>}
+ */
+function parseXArchiveImport(content, { author } = {}) {
+    const json = content.trim().replace(/^window\.YTD\.[\w.]+\s*=\s*/, '').replace(/;\s*$/, '');
+    const items = JSON.parse(json);
+    if (!Array.isArray(items)) {
+        throw new Error('Expected the tweets array of an X archive (tweets.js)');
+    }
+
+    return items.map((item, index) => {
+        const tweet = item.tweet || item;
+        const text = decodeEntities(tweet.full_text || tweet.text || '');
+
+        if (text.startsWith('RT @')) {
+            return { row: index + 1, record: null, skipped: true };
+        }
+
+        const media = (tweet.extended_entities || tweet.entities || {}).media || [];
+        const record = {
+            id: tweet.id_str || tweet.id,
+            text,
+            created_at: tweet.created_at,
+            media_urls: media.filter(m => m.type === 'photo').map(m => m.media_url_https),
+            author,
+            in_reply_to_id: tweet.in_reply_to_status_id_str || null
+        };
+
+        // Geotagged tweets carry a GeoJSON point ([lon, lat])
+        if (tweet.coordinates && Array.isArray(tweet.coordinates.coordinates)) {
+            [record.lon, record.lat] = tweet.coordinates.coordinates.map(Number);
+        }
+
+        return { row: index + 1, record };
+    });
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+module.exports = { parseXArchiveImport };
@@ -0,0 +1,121 @@
+const db = require('./db');
+const MediaArchiver = require('./mediaArchiver');
+const LinkResolver = require('./linkResolver');
+const { createEnabledSources } = require('./sources');
+
+let mediaArchiver = null;
+const linkResolver = new LinkResolver();
+
+/**
+ * Attach explicit coordinates found in post text, expanding short links
+ * (t.co, maps.app.goo.gl, ...) when the text itself has none.
+ */
+async function locatePosts(posts) {
+    for (const post of posts) {
+        if (post.coordinates) continue;
+        try {
+            const coords = await linkResolver.locate(post.text);
+            if (coords) {
+                post.coordinates = { ...coords, source: 'explicit' };
+            }
+        } catch (error) {
+            console.error(`   ⚠️  Coordinate extraction failed for ${post.id}: ${error.message}`);
+        }
+    }
+    return posts;
+}
+
+/**
+ * Archive attachments of freshly saved posts. Never fails the ingestion:
+ * the original URLs stay on the post and can be archived later.
+ */
+async function archivePostMedia(posts) {
+    try {
+        if (!mediaArchiver) mediaArchiver = new MediaArchiver();
+        return await mediaArchiver.archivePosts(posts);
+    } catch (error) {
+        console.error('❌ Media Archival Error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Run every enabled source adapter and save what it returns.
+ * A failing source is logged and reported without stopping the others;
+ * `errors` lists what failed within a source that still returned posts
+ * (e.g. one watch of several).
+ * @param {Array} [sources] - Adapters to run (defaults to INGESTION_SOURCES)
+ */
+async function ingestAll(sources = createEnabledSources()) {
+    const results = [];
+
+    for (const source of sources) {
+        try {
+            const cursor = await source.getCursor();
+            const { posts, cursor: nextCursor, errors = [] } = await source.fetchPosts(cursor);
+
+            if (posts.length === 0) {
+                console.log(`   [${source.name}] No new posts found.`);
+                await source.saveCursor(nextCursor);
+                results.push({ source: source.name, fetched: 0, inserted: 0, updated: 0, errors });
+                continue;
+            }
+
+            await locatePosts(posts);
+            const { inserted, updated } = await db.upsertPosts(posts);
+            await source.saveCursor(nextCursor);
+            await archivePostMedia(posts);
+            console.log(`   [${source.name}] Saved ${inserted} new, ${updated} updated posts.`);
+            results.push({ source: source.name, fetched: posts.length, inserted, updated, errors });
+        } catch (error) {
+            console.error(`❌ [${source.name}] Ingestion Error:`, error.message);
+            results.push({ source: source.name, fetched: 0, inserted: 0, updated: 0, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Run ingestion and record it in the ingestion_runs history
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'cron' | 'manual' | 'api'
+ * @param {Array} [options.sources] - Adapters to run (defaults to INGESTION_SOURCES)
+ * @returns {Promise<Object>} The finished run record
+ */
+async function runIngestion({ trigger = 'manual', sources } = {}) {
+    const run = await db.createIngestionRun(trigger);
+
+    try {
+        const results = await ingestAll(sources);
+        const failed = results.filter(r => r.error);
+        const messages = results.flatMap(r => (r.error ? [r.error] : r.errors || []).map(message => `${r.source}: ${message}`));
+
+        let status = 'success';
+        if (results.length === 0 || failed.length === results.length) {
+            status = 'failed';
+        } else if (messages.length > 0) {
+            status = 'partial';
+        }
+
+        return await db.finishIngestionRun(run.id, {
+            status,
+            fetched: sum(results, 'fetched'),
+            inserted: sum(results, 'inserted'),
+            updated: sum(results, 'updated'),
+            errorMessage: results.length === 0
+                ? 'No ingestion sources enabled'
+                : messages.join('; ') || null,
+            details: results
+        });
+    } catch (error) {
+        await db.finishIngestionRun(run.id, { status: 'failed', errorMessage: error.message });
+        throw error;
+    }
+}
+
+function sum(results, field) {
+    return results.reduce((total, r) => total + (r[field] || 0), 0);
+}
+
+module.exports = { ingestAll, runIngestion, locatePosts, archivePostMedia };
@@ -1,11 +1,49 @@
 const db = require('./db');
 const AiAnalysisService = require('./aiAnalysisService');
+const RuleClassifier = require('./ruleClassifier');
 const GeocodingService = require('./geocodingService');
+const AddressEnricher = require('./addressEnricher');
+const MediaArchiver = require('./mediaArchiver');
+const ImageFetcher = require('./imageFetcher');
+const { extractGps } = require('./exifLocation');
+const { isWithinCity } = require('./cityBounds');
+const { normalizeIssueTypes } = require('./issueTypes');
+const { detectLanguage } = require('./language');
+
+// Rule verdicts at least this sure that a post is NOT an issue skip the LLM
+const PREFILTER_CONFIDENCE = 0.9;
+// Posts per cycle when only the rule classifier is running
+const RULES_BATCH_SIZE = 50;
+// Cycles a post may get no valid answer from the AI before it is set aside as 'analysis_failed'
+// (provider errors leave it pending without counting)
+const MAX_ANALYSIS_ATTEMPTS = 3;
+// A photo verdict at least this sure turns a vague post ("look at this") into an issue
+const IMAGE_CONFIDENCE = 0.6;
+// Coordinates saved at ingestion that the reporter wrote or exported on purpose
+const EXPLICIT_SOURCES = new Set(['explicit', 'regex', 'import']);
+// Locations a verdict doesn't take away: the above plus a web reporter's pin
+const KEPT_LOCATION_SOURCES = [...EXPLICIT_SOURCES, 'reported'];
+// Addresses looked up per cycle (one Nominatim request each)
+const ADDRESS_BATCH_SIZE = 20;
 
 class IssueProcessor {
     constructor() {
         this.aiService = new AiAnalysisService();
+        this.ruleClassifier = new RuleClassifier();
+        // RULE_CLASSIFIER: 'fallback' (no LLM available), 'prefilter' (screen out non-issues), both, or 'off'
+        this.ruleModes = new Set((process.env.RULE_CLASSIFIER || 'fallback').split(',').map(s => s.trim()));
         this.geocoder = new GeocodingService();
+        // Shares the geocoders, and so their rate limits
+        this.addressEnricher = new AddressEnricher({ geocoders: this.geocoder.geocoders });
+        try {
+            this.mediaArchiver = new MediaArchiver();
+        } catch (error) {
+            console.warn(`⚠️  Media storage unavailable, EXIF locations disabled: ${error.message}`);
+            this.mediaArchiver = null;
+        }
+        this.imageFetcher = new ImageFetcher({ mediaArchiver: this.mediaArchiver });
+        // IMAGE_ANALYSIS=off keeps photos away from vision providers
+        this.imageAnalysis = process.env.IMAGE_ANALYSIS !== 'off' && this.aiService.visionEnabled;
         this.isProcessing = false;
         this.lastProcessedCount = 0;
         this.lastCycleTime = null;
@@ -20,11 +58,15 @@ class IssueProcessor {
             return { skipped: true, reason: 'already_processing' };
         }
 
-        // Check if AI quota is exhausted
-        if (this.aiService.isQuotaExhausted()) {
+        // Quota state and usage survive restarts
+        await this.aiService.loadState();
+
+        // Check if AI quota is exhausted (the rule classifier keeps the queue moving when enabled)
+        const llmAvailable = this.aiService.enabled && !this.aiService.isQuotaExhausted();
+        if (!llmAvailable && !this.ruleModes.has('fallback')) {
             const status = this.aiService.getStatus();
             console.log(`⏸️  Skipping cycle: AI quota exhausted. Reset in ~${status.minutesUntilReset} min.`);
-            return { skipped: true, reason: 'quota_exhausted', minutesUntilReset: status.minutesUntilReset };
+            return { skipped: true, reason: 'quota_exhausted', minutesUntilReset: status.minutesUntilReset, quotaResetTime: status.quotaResetTime };
         }
 
         this.isProcessing = true;
@@ -35,8 +77,8 @@ class IssueProcessor {
         let mappedCount = 0;
 
         try {
-            // 1. Get pending posts - Fetch 10 at a time for batch AI processing
-            const pendingPosts = await db.getPendingPosts(10);
+            // 1. Get pending posts - one provider batch at a time
+            const pendingPosts = await db.getPendingPosts(llmAvailable ? this.aiService.batchSize : RULES_BATCH_SIZE);
 
             if (pendingPosts.length === 0) {
                 this.isProcessing = false;
@@ -45,23 +87,53 @@ class IssueProcessor {
 
             console.log(`   Found ${pendingPosts.length} pending posts.`);
 
-            // 2. Batch Analyze with AI
-            const analyzedPosts = await this.aiService.analyzeBatch(pendingPosts);
+            // 2. Stitch self-threads so a photo and a location posted as a reply are analyzed together
+            const reports = await this.groupThreads(pendingPosts);
+
+            // 3. Batch Analyze: rule pre-filter, then the LLM, then rules for whatever the LLM couldn't take
+            const { screened, remaining } = this.prefilter(reports);
+            const analyzedPosts = [...screened, ...await this.analyze(remaining, llmAvailable)];
+            if (llmAvailable) {
+                await this.analyzePhotos(analyzedPosts);
+            }
 
-            // Check if AI returned skipped results (quota exhausted mid-cycle)
-            if (analyzedPosts[0]?.aiAnalysis?.skipped) {
-                console.log('   AI returned skipped results (quota issue). Stopping cycle.');
+            // Check if AI returned skipped results (every provider out of quota or failing mid-cycle)
+            if (analyzedPosts.every(p => p.aiAnalysis?.skipped)) {
+                const quotaExhausted = this.aiService.isQuotaExhausted();
+                console.log(`   AI returned skipped results (${quotaExhausted ? 'quota issue' : 'provider errors'}). Stopping cycle.`);
                 this.isProcessing = false;
-                return { skipped: true, reason: 'quota_exhausted_mid_cycle' };
+                return quotaExhausted
+                    ? { skipped: true, reason: 'quota_exhausted_mid_cycle', quotaResetTime: this.aiService.getStatus().quotaResetTime }
+                    : { skipped: true, reason: 'provider_error' };
             }
 
-            // 3. Process results sequentially to throttle Geocoding
+            // 4. Process results sequentially to throttle Geocoding
             for (const post of analyzedPosts) {
+                // Left pending for the next cycle when no provider had quota for it or could be reached
+                if (post.aiAnalysis?.skipped) continue;
+
+                await this.recordAnalyses(post);
+
+                // No valid answer: keep it pending rather than recording a false "no issue"
+                if (post.aiAnalysis?.unanswered) {
+                    const givenUp = await db.recordAnalysisFailure(post.threadPostIds || [post.id], post.aiAnalysis.error, MAX_ANALYSIS_ATTEMPTS);
+                    if (givenUp > 0) {
+                        console.warn(`     ⚠️ Giving up on ${post.id} after ${MAX_ANALYSIS_ATTEMPTS} unanswered attempts.`);
+                    }
+                    continue;
+                }
+
                 const result = await this.finalizePost(post);
-                processedCount++;
+                processedCount += post.threadPostIds ? post.threadPostIds.length : 1;
                 if (result.mapped) mappedCount++;
             }
 
+            // 5. Name the road, locality, ward and pincode of new locations, including those from explicit coordinates
+            if (processedCount > 0) {
+                const addresses = await this.addressEnricher.enrichLocations({ limit: ADDRESS_BATCH_SIZE });
+                console.log(`   🏷️  Addresses: ${addresses.enriched} looked up, ${addresses.failed} failed.`);
+            }
+
             this.lastProcessedCount = processedCount;
 
         } catch (error) {
@@ -74,44 +146,333 @@ class IssueProcessor {
         return { skipped: false, processed: processedCount, mapped: mappedCount };
     }
 
+    /**
+     * Settle obvious non-issues with the rule classifier before spending LLM quota
+     * @returns {{screened: Array, remaining: Array}}
+     */
+    prefilter(reports) {
+        if (!this.ruleModes.has('prefilter')) {
+            return { screened: [], remaining: reports };
+        }
+
+        const screened = [];
+        const remaining = [];
+        for (const post of reports) {
+            const analysis = this.ruleClassifier.analyze(post.text);
+            if (!analysis.isIssue && analysis.confidence >= PREFILTER_CONFIDENCE) {
+                screened.push({ ...post, aiAnalysis: analysis, analysisRecord: this.ruleRecord() });
+            } else {
+                remaining.push(post);
+            }
+        }
+
+        if (screened.length > 0) {
+            console.log(`   📏 Pre-filter: ${screened.length} obvious non-issues skipped the LLM.`);
+        }
+        return { screened, remaining };
+    }
+
+    /**
+     * Analyze with the LLM when available; fall back to rules for posts no LLM could take
+     * (none configured, or out of quota)
+     */
+    async analyze(posts, llmAvailable) {
+        if (posts.length === 0) return [];
+
+        const analyzed = llmAvailable
+            ? await this.aiService.analyzeBatch(posts)
+            : posts.map(post => ({ ...post, aiAnalysis: { isIssue: false, skipped: true } }));
+
+        if (!this.ruleModes.has('fallback')) {
+            return analyzed;
+        }
+
+        // A provider that is failing right now may answer next cycle: those posts stay pending
+        const needsRules = (post) => post.aiAnalysis?.skipped && post.aiAnalysis.reason !== 'provider_error';
+        const fallbackCount = analyzed.filter(needsRules).length;
+        if (fallbackCount > 0) {
+            console.log(`   📏 No LLM available: ${fallbackCount} posts classified by rules.`);
+        }
+        return analyzed.map(post => needsRules(post)
+            ? { ...post, aiAnalysis: this.ruleClassifier.analyze(post.text), analysisRecord: this.ruleRecord() }
+            : post);
+    }
+
+    /**
+     * History entry for a rule classifier verdict
+     */
+    ruleRecord() {
+        return {
+            kind: 'text',
+            provider: 'rules',
+            model: null,
+            promptVersion: RuleClassifier.VERSION,
+            rawResponse: null,
+            latencyMs: null,
+            inputTokens: null,
+            outputTokens: null,
+            batchSize: null,
+            error: null
+        };
+    }
+
+    /**
+     * Append the post's text and photo verdicts to the analysis history
+     */
+    async recordAnalyses(post) {
+        try {
+            if (post.analysisRecord) {
+                await db.saveAnalysis(post.id, post.analysisRecord, post.aiAnalysis.unanswered ? null : post.aiAnalysis);
+            }
+            if (post.imageRecord) {
+                const imageAnalysis = post.imageAnalysis && !post.imageAnalysis.unanswered ? post.imageAnalysis : null;
+                await db.saveAnalysis(post.id, post.imageRecord, imageAnalysis);
+            }
+        } catch (error) {
+            // History is for auditing; losing an entry must not block processing
+            console.error(`     ⚠️  Could not record analysis for ${post.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a separate photo verdict (post.imageAnalysis) for analyzed posts with attachments
+     */
+    async analyzePhotos(posts) {
+        if (!this.imageAnalysis) return;
+
+        for (const post of posts) {
+            const analysis = post.aiAnalysis;
+            if (!analysis || analysis.skipped || analysis.unanswered) continue;
+            if ((post.mediaUrls || []).length === 0 && post.source !== 'web') continue;
+
+            const images = await this.imageFetcher.fetch(post);
+            if (images.length === 0) continue;
+
+            const { record, ...imageAnalysis } = await this.aiService.analyzeImages(post, images);
+            if (record) {
+                post.imageRecord = record;
+            }
+            if (!imageAnalysis.skipped) {
+                post.imageAnalysis = imageAnalysis;
+            }
+            if (imageAnalysis.isIssue && !analysis.isIssue) {
+                console.log(`     📷 Photo shows an issue the text didn't mention (ID: ${post.id})`);
+            }
+        }
+    }
+
+    /**
+     * Final verdict from the text and photo verdicts. A confident photo
+     * verdict can make a vague post an issue and adds what it saw; a photo
+     * that shows nothing doesn't overrule the text (it may be unrelated).
+     */
+    combineVerdicts(text, image) {
+        if (!image || image.unanswered) return text;
+
+        const photoConfirms = image.isIssue && image.confidence >= IMAGE_CONFIDENCE;
+        if (!photoConfirms) return text;
+
+        const issueTypes = [...new Set([...(text.isIssue ? text.issueTypes || [] : []), ...image.issueTypes])];
+        return {
+            ...text,
+            isIssue: true,
+            issueTypes,
+            issueType: issueTypes[0],
+            severity: Math.max(text.isIssue ? text.severity || 0 : 0, image.severity),
+            accessibilityImpact: Boolean(text.isIssue && text.accessibilityImpact) || image.accessibilityImpact,
+            location: text.location || image.location,
+            locationParts: text.location ? text.locationParts : image.locationParts,
+            confidence: Math.max(text.isIssue ? text.confidence : 0, image.confidence),
+            basis: text.isIssue ? 'text+image' : 'image'
+        };
+    }
+
+    /**
+     * Replace pending posts that belong to a multi-post self-thread with one
+     * combined report: texts joined in order, media merged, keyed by the
+     * thread's first post. Posts already processed are pulled back in so a
+     * late reply is analyzed together with the rest of the thread.
+     */
+    async groupThreads(pendingPosts) {
+        const reports = [];
+        const seenThreads = new Set();
+
+        for (const post of pendingPosts) {
+            if (!post.conversationId) {
+                reports.push(post);
+                continue;
+            }
+
+            const threadKey = `${post.conversationId}|${post.author || ''}`;
+            if (seenThreads.has(threadKey)) continue;
+            seenThreads.add(threadKey);
+
+            const thread = await db.getThreadPosts(post.conversationId, post.author);
+            if (thread.length <= 1) {
+                reports.push(post);
+                continue;
+            }
+
+            const lead = thread[0];
+            console.log(`   🧵 Stitched thread of ${thread.length} posts (lead: ${lead.id})`);
+
+            reports.push({
+                ...lead,
+                text: thread.map((p, i) => `[${i + 1}/${thread.length}] ${p.text}`).join('\n'),
+                mediaUrls: thread.flatMap(p => p.mediaUrls || []),
+                // Replies may switch language; the prompt needs the language of the whole report
+                language: null,
+                threadPostIds: thread.map(p => p.id),
+                // Coordinates written in any post of the thread locate the whole report
+                coordinates: thread.map(p => p.coordinates).find(isExplicit) || null,
+                wasMapped: lead.processingStatus === 'processed_mapped'
+            });
+        }
+
+        return reports;
+    }
+
     /**
      * Finalize a post after AI analysis (Geocode & Save)
      */
     async finalizePost(post) {
-        const analysis = post.aiAnalysis;
+        const analysis = this.combineVerdicts(post.aiAnalysis, post.imageAnalysis);
         let locationSaved = false;
+        const classification = analysis && analysis.isIssue ? this.classification(post, analysis) : undefined;
+
+        // A pin dropped by a web reporter is the most direct location we can get
+        const reportedCoords = analysis && analysis.isIssue && post.reportedCoordinates
+            ? { lat: post.reportedCoordinates.lat, lon: post.reportedCoordinates.lon, source: 'reported' }
+            : null;
+
+        // Coordinates the reporter wrote are kept: a photo may have been taken elsewhere or long before
+        const explicitCoords = !reportedCoords && isExplicit(post.coordinates) ? post.coordinates : null;
+
+        // Photo GPS is the reporter's actual position, so it beats geocoding the AI's guess
+        const exifCoords = analysis && analysis.isIssue && !reportedCoords && !explicitCoords ? await this.getExifCoordinates(post) : null;
+
+        if (explicitCoords && analysis && analysis.isIssue) {
+            console.log(`     📌 Explicit Location: ${explicitCoords.lat}, ${explicitCoords.lon} (ID: ${post.id})`);
+
+            // Saved again under the post itself: in a thread they may have come from a reply
+            await db.saveLocations([{
+                id: post.id,
+                coordinates: explicitCoords,
+                extractedLocation: analysis.location,
+                classification
+            }]);
+
+            locationSaved = true;
+        } else if (reportedCoords) {
+            console.log(`     📌 Reported pin: ${reportedCoords.lat}, ${reportedCoords.lon} (ID: ${post.id})`);
+
+            await db.saveLocations([{
+                id: post.id,
+                coordinates: reportedCoords,
+                extractedLocation: analysis.location,
+                classification
+            }]);
+
+            locationSaved = true;
+        } else if (exifCoords) {
+            console.log(`     📷 EXIF Location: ${exifCoords.lat}, ${exifCoords.lon} (ID: ${post.id})`);
+
+            await db.saveLocations([{
+                id: post.id,
+                coordinates: exifCoords,
+                extractedLocation: analysis.location,
+                classification
+            }]);
 
-        // If it's an issue and has location
-        if (analysis && analysis.isIssue && analysis.location) {
+            locationSaved = true;
+        } else if (analysis && analysis.isIssue && analysis.location) {
+            // If it's an issue and has location
             console.log(`     🤖 AI Issue: "${analysis.location}" (ID: ${post.id})`);
 
-            // Geocode
-            const coords = await this.geocoder.geocode(analysis.location);
+            // Geocode (gazetteer first; cached answers skip the online geocoders and their rate limits)
+            const coords = await this.geocoder.geocode(analysis.location, analysis.locationParts);
 
             if (coords) {
-                console.log(`     📍 Geocoded: ${coords.lat}, ${coords.lon}`);
+                const notes = [coords.provider, coords.approximate && 'approximate', coords.ambiguous && 'ambiguous'].filter(Boolean);
+                console.log(`     📍 Geocoded: ${coords.lat}, ${coords.lon} (${notes.join(', ')})`);
 
                 await db.saveLocations([{
                     id: post.id,
                     coordinates: coords,
-                    extractedLocation: analysis.location
+                    extractedLocation: analysis.location,
+                    classification
                 }]);
 
                 locationSaved = true;
-
-                // Throttling: Wait 1.1s after a geocode request to respect Nominatim limits
-                await new Promise(r => setTimeout(r, 1100));
-
             } else {
                 console.log(`     ⚠️ Geocoding failed.`);
             }
         }
 
-        // Mark as processed
-        await db.markPostAsProcessed(post.id, locationSaved ? 'processed_mapped' : 'processed_no_issue');
+        // Posts located at ingestion (explicit coordinates) still get the classification
+        if (classification && !locationSaved) {
+            await db.updateLocationClassification(post.id, classification);
+        }
+
+        // A re-run that no longer sees an issue takes down the pin an earlier verdict placed
+        const isIssue = Boolean(analysis && analysis.isIssue);
+        if (!isIssue && await db.deleteDerivedLocation(post.id, KEPT_LOCATION_SOURCES)) {
+            console.log(`     🗑️  Removed the earlier location (ID: ${post.id})`);
+        }
+
+        await db.saveVerdicts(post.id, post.aiAnalysis, post.imageAnalysis || null, post.threadPostIds ? null : post.language || detectLanguage(post.text));
+
+        // Mark as processed. A thread re-analyzed after a late reply keeps its earlier location.
+        const mapped = locationSaved || (isIssue && Boolean(post.wasMapped));
+        await db.markPostAsProcessed(post.id, mapped ? 'processed_mapped' : 'processed_no_issue');
+
+        // The rest of a stitched thread is represented by its lead post
+        for (const memberId of (post.threadPostIds || []).filter(id => id !== post.id)) {
+            await db.markPostAsProcessed(memberId, 'processed_merged');
+        }
+
         return { mapped: locationSaved };
     }
 
+    /**
+     * Taxonomy labels, severity and accessibility impact to store with the location.
+     * A web reporter's chosen type is kept alongside the AI's labels.
+     */
+    classification(post, analysis) {
+        return {
+            issueTypes: normalizeIssueTypes([...(analysis.issueTypes || []), post.reportedIssueType]),
+            severity: analysis.severity || null,
+            accessibilityImpact: Boolean(analysis.accessibilityImpact)
+        };
+    }
+
+    /**
+     * GPS position from the post's archived photos (EXIF / XMP), if one falls inside the city.
+     * Files archived before GPS extraction existed are read lazily and the result stored.
+     */
+    async getExifCoordinates(post) {
+        const mediaList = await db.getArchivedMediaForPosts(post.threadPostIds || [post.id]);
+
+        for (const media of mediaList) {
+            let gps = media.gps;
+
+            if (!media.gpsChecked && this.mediaArchiver) {
+                const file = await this.mediaArchiver.read(media, 'original');
+                if (!file) continue;
+                gps = await extractGps(file.buffer);
+                await db.saveMediaGps(media.id, gps);
+            }
+
+            if (!gps) continue;
+            if (isWithinCity(gps.lat, gps.lon)) {
+                return { lat: gps.lat, lon: gps.lon, source: 'exif', mediaId: media.id };
+            }
+            console.log(`     ⚠️  Photo GPS outside Bangalore bounds: ${gps.lat}, ${gps.lon}`);
+        }
+
+        return null;
+    }
+
     /**
      * Get processor status for API
      */
@@ -120,9 +481,18 @@ class IssueProcessor {
             isProcessing: this.isProcessing,
             lastProcessedCount: this.lastProcessedCount,
             lastCycleTime: this.lastCycleTime,
-            aiStatus: this.aiService.getStatus()
+            aiStatus: this.aiService.getStatus(),
+            imageAnalysis: this.imageAnalysis,
+            ruleClassifier: [...this.ruleModes].filter(m => m !== 'off')
         };
     }
 }
 
+/**
+ * Whether stored coordinates were given by the reporter rather than derived
+ */
+function isExplicit(coordinates) {
+    return Boolean(coordinates) && EXPLICIT_SOURCES.has(coordinates.source);
+}
+
 module.exports = IssueProcessor;
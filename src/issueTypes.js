@@ -0,0 +1,45 @@
+/**
+ * Footpath issue taxonomy shared by the AI prompt, the rule classifier,
+ * web reports and the map filters. A post can carry several types.
+ * `accessibility` marks types that on their own block or endanger
+ * wheelchair users, people with prams and visually impaired pedestrians.
+ */
+const ISSUE_TAXONOMY = {
+    broken_slab: { label: 'Broken or missing slab', accessibility: true },
+    uneven_surface: { label: 'Uneven surface', accessibility: true },
+    missing_footpath: { label: 'Missing footpath', accessibility: true },
+    encroachment: { label: 'Encroachment (shops, vendors)', accessibility: false },
+    parked_vehicles: { label: 'Obstruction by parked vehicles', accessibility: false },
+    obstruction: { label: 'Obstruction (poles, transformers, debris)', accessibility: false },
+    open_drain: { label: 'Open drain or manhole', accessibility: true },
+    no_kerb_ramp: { label: 'No kerb ramp', accessibility: true },
+    high_kerb: { label: 'Kerb too high', accessibility: true },
+    waterlogging: { label: 'Waterlogging', accessibility: false },
+    garbage: { label: 'Garbage dumping', accessibility: false },
+    other: { label: 'Other', accessibility: false }
+};
+
+const ISSUE_TYPES = Object.keys(ISSUE_TAXONOMY);
+
+// Earlier single-type values, kept readable for stored reports
+const LEGACY_ISSUE_TYPES = {
+    broken_footpath: 'broken_slab'
+};
+
+/**
+ * Map legacy names, drop unknown values and duplicates
+ * @param {string[]} types
+ * @returns {string[]}
+ */
+function normalizeIssueTypes(types) {
+    const normalized = (types || [])
+        .map(type => LEGACY_ISSUE_TYPES[type] || type)
+        .filter(type => ISSUE_TYPES.includes(type));
+    return [...new Set(normalized)];
+}
+
+module.exports = {
+    ISSUE_TAXONOMY,
+    ISSUE_TYPES,
+    normalizeIssueTypes
+};
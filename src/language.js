@@ -0,0 +1,205 @@
+/**
+ * Language detection and transliteration for Bangalore posts, which mix
+ * English with Kannada and Hindi, in their own scripts or written in Latin
+ * letters ("Kanglish", "Hinglish").
+ */
+
+// Language codes stored on posts (BCP 47: "-Latn" = written in Latin letters)
+const LANGUAGE_NAMES = {
+    en: 'English',
+    kn: 'Kannada',
+    hi: 'Hindi',
+    'kn-Latn': 'Kannada (Latin script)',
+    'hi-Latn': 'Hindi (Latin script)'
+};
+
+const SCRIPTS = [
+    { language: 'kn', start: 0x0C80, end: 0x0CFF },
+    { language: 'hi', start: 0x0900, end: 0x097F }
+];
+
+// Share of letters in an Indian script that makes the post that language
+const SCRIPT_SHARE = 0.3;
+
+// Common words that are not English, for romanized Kannada and Hindi
+const ROMANIZED_MARKERS = {
+    'kn-Latn': new Set([
+        'illa', 'ide', 'idhe', 'ive', 'guru', 'maadi', 'madi', 'swalpa', 'yenu', 'enu', 'hogi', 'hogide', 'beku', 'beda',
+        'alli', 'yaake', 'yake', 'naanu', 'neevu', 'nimma', 'namma', 'thumba', 'tumba', 'sakath', 'sakkath', 'banni',
+        'rasthe', 'raste', 'daari', 'haalagide', 'halagide', 'kelsa', 'nodi', 'nodri', 'antha', 'aagide', 'agide',
+        'saaku', 'gundi', 'yaaru', 'hege', 'mele', 'kelage', 'yella', 'ella', 'nadeyoke', 'nadiyoke', 'aagalla'
+    ]),
+    'hi-Latn': new Set([
+        'hai', 'hain', 'nahi', 'nahin', 'kya', 'kyun', 'kyon', 'bhai', 'yaar', 'mein', 'ko', 'ki', 'ka', 'ke', 'se',
+        'aur', 'bahut', 'bhi', 'raha', 'rahe', 'rahi', 'karo', 'kar', 'karna', 'sadak', 'raasta', 'gaddha', 'gadde',
+        'logon', 'yahan', 'wahan', 'abhi', 'kab', 'jab', 'tak', 'pe', 'hua', 'hui', 'gaya', 'gayi', 'paidal', 'kuch',
+        'koi', 'sab', 'dekho', 'dekhiye', 'kripya', 'sarkar', 'hum', 'aap', 'tum', 'chalna', 'chalne'
+    ])
+};
+// Marker words needed before a Latin-script post counts as romanized Kannada/Hindi
+const MIN_MARKERS = 2;
+const MARKER_SHARE = 0.15;
+
+/**
+ * Detect the language of a post
+ * @param {string} text
+ * @returns {string|null} One of the LANGUAGE_NAMES codes, null when there are no letters
+ */
+function detectLanguage(text) {
+    if (!text) return null;
+
+    const scriptCounts = { kn: 0, hi: 0 };
+    let latin = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        const script = SCRIPTS.find(s => code >= s.start && code <= s.end);
+        if (script) scriptCounts[script.language]++;
+        else if (/[a-z]/i.test(char)) latin++;
+    }
+
+    const indic = scriptCounts.kn + scriptCounts.hi;
+    if (indic + latin === 0) return null;
+    if (indic / (indic + latin) >= SCRIPT_SHARE) {
+        return scriptCounts.kn >= scriptCounts.hi ? 'kn' : 'hi';
+    }
+
+    // Handles, links and hashtags are not part of the language
+    const words = text
+        .replace(/https?:\/\/\S+|[@#]\w+/g, ' ')
+        .toLowerCase()
+        .match(/[a-z]+/g) || [];
+    let best = null;
+    let bestCount = 0;
+    for (const [language, markers] of Object.entries(ROMANIZED_MARKERS)) {
+        const count = words.filter(word => markers.has(word)).length;
+        if (count > bestCount) {
+            best = language;
+            bestCount = count;
+        }
+    }
+
+    return bestCount >= MIN_MARKERS && bestCount / words.length >= MARKER_SHARE ? best : 'en';
+}
+
+/**
+ * Display name for a language code
+ */
+function languageName(code) {
+    return LANGUAGE_NAMES[code] || code;
+}
+
+// Kannada and Devanagari share the ISCII layout, so one table (offsets within the block) covers both
+const CONSONANTS = {
+    0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+    0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'n',
+    0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+    0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+    0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+    0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'l',
+    0x35: 'v', 0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+    // Devanagari nukta letters
+    0x58: 'q', 0x59: 'kh', 0x5A: 'g', 0x5B: 'z', 0x5C: 'd', 0x5D: 'dh', 0x5E: 'f', 0x5F: 'y'
+};
+const VOWELS = {
+    0x05: 'a', 0x06: 'a', 0x07: 'i', 0x08: 'i', 0x09: 'u', 0x0A: 'u', 0x0B: 'ru',
+    0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+const VOWEL_SIGNS = {
+    0x3E: 'a', 0x3F: 'i', 0x40: 'i', 0x41: 'u', 0x42: 'u', 0x43: 'ru',
+    0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au'
+};
+const VIRAMA = 0x4D;
+const NUKTA = 0x3C;
+const ANUSVARA = 0x02;
+const CHANDRABINDU = 0x01;
+const VISARGA = 0x03;
+const LABIALS = new Set([0x2A, 0x2B, 0x2C, 0x2D, 0x2E]);
+
+/**
+ * Script block and offset of a character, or null for anything else
+ */
+function indicChar(char) {
+    if (!char) return null;
+    const code = char.codePointAt(0);
+    const script = SCRIPTS.find(s => code >= s.start && code <= s.end);
+    return script ? { language: script.language, offset: code - script.start } : null;
+}
+
+/**
+ * Write Kannada and Devanagari text in plain Latin letters, the way the
+ * names are usually spelled in English ("ಕೋರಮಂಗಲ" -> "koramangala",
+ * "जयनगर" -> "jayanagar"). Other characters are left as they are.
+ */
+function transliterate(text) {
+    if (!text || !SCRIPTS.some(s => [...text].some(c => indicChar(c)))) return text;
+
+    const chars = [...text];
+    let out = '';
+    for (let i = 0; i < chars.length; i++) {
+        const current = indicChar(chars[i]);
+        if (!current) {
+            // Zero-width joiners only shape the script
+            if (chars[i] !== '\u200C' && chars[i] !== '\u200D') out += chars[i];
+            continue;
+        }
+
+        const { language, offset } = current;
+        if (CONSONANTS[offset]) {
+            out += CONSONANTS[offset];
+            let next = indicChar(chars[i + 1]);
+            if (next && next.offset === NUKTA) next = indicChar(chars[i + 2]);
+            const hasSign = next && (VOWEL_SIGNS[next.offset] || next.offset === VIRAMA);
+            // Hindi drops the inherent vowel at the end of a word ("nagar"); Kannada keeps it ("nagara")
+            const hindiFinal = language === 'hi' && !next && indicChar(chars[i - 1]);
+            if (!hasSign && !hindiFinal) out += 'a';
+        } else if (VOWELS[offset]) {
+            out += VOWELS[offset];
+        } else if (VOWEL_SIGNS[offset]) {
+            out += VOWEL_SIGNS[offset];
+        } else if (offset === ANUSVARA || offset === CHANDRABINDU) {
+            const next = indicChar(chars[i + 1]);
+            // Before p/b/m, and at the end of a Kannada word ("ಮಲ್ಲೇಶ್ವರಂ"), it is an m
+            const isM = next ? LABIALS.has(next.offset) : language === 'kn';
+            out += isM ? 'm' : 'n';
+        } else if (offset === VISARGA) {
+            out += 'h';
+        } else if (offset >= 0x66 && offset <= 0x6F) {
+            out += String(offset - 0x66);
+        }
+    }
+    return out;
+}
+
+/**
+ * Spelling-insensitive key for matching variant romanizations:
+ * "Koramangala", "Kormangala" and "Koramangla" all become "krmngl".
+ * Each word keeps its first letter, loses its vowels and doubled letters,
+ * and common spelling pairs are merged (sh/s, th/t, ph/f, w/v, c/k, ...).
+ */
+function spellingKey(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, '')
+        .replace(/ph/g, 'f')
+        .replace(/[wv]h/g, 'v')
+        .replace(/([kgjtdb])h/g, '$1')
+        .replace(/sh/g, 's')
+        .replace(/c(?!h)/g, 'k')
+        .replace(/([aeiou])w/g, '$1')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/q/g, 'k')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => word[0] + word.slice(1).replace(/[aeiouy]/g, ''))
+        .join('')
+        .replace(/(.)\1+/g, '$1');
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    detectLanguage,
+    languageName,
+    transliterate,
+    spellingKey
+};
@@ -0,0 +1,134 @@
+const db = require('./db');
+const { parseCoordinates } = require('./coordinateParser');
+
+// Shorteners whose targets may carry coordinates (t.co wraps every link in a tweet)
+const SHORT_LINK_HOSTS = ['t.co', 'goo.gl', 'maps.app.goo.gl', 'g.co', 'bit.ly'];
+const SHORT_LINK_REGEX = /https?:\/\/(?:t\.co|goo\.gl|maps\.app\.goo\.gl|g\.co|bit\.ly)\/[^\s)\]}>"']+/gi;
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT_MS = 5000;
+const FAILED_RETRY_MS = 24 * 60 * 60 * 1000; // retry failed lookups after a day
+
+/**
+ * Default fetcher: one request, redirects not followed.
+ * @param {string} url
+ * @returns {Promise<{status: number, location: string|null}>}
+ */
+async function httpFetcher(url) {
+    const request = method => fetch(url, {
+        method,
+        redirect: 'manual',
+        headers: { 'User-Agent': 'BangaloreFootpathMap/1.0' },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    let res = await request('HEAD');
+    // Some shorteners only answer GET
+    if (res.status === 405 || res.status === 501) {
+        res = await request('GET');
+    }
+    return { status: res.status, location: res.headers.get('location') };
+}
+
+/**
+ * Expands short links (t.co, Google Maps share links, ...) so the
+ * coordinates hidden behind them can be parsed. Resolutions are cached
+ * in the `link_resolutions` table.
+ */
+class LinkResolver {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.fetcher] - (url) => Promise<{status, location}>; swap for a stub in tests
+     * @param {boolean} [options.useCache] - Read/write the database cache
+     */
+    constructor({ fetcher = httpFetcher, useCache = true } = {}) {
+        this.fetcher = fetcher;
+        this.useCache = useCache;
+    }
+
+    /**
+     * Short links found in a piece of text
+     */
+    extractShortLinks(text) {
+        return [...new Set((text || '').match(SHORT_LINK_REGEX) || [])];
+    }
+
+    isShortLink(url) {
+        try {
+            return SHORT_LINK_HOSTS.includes(new URL(url).hostname.toLowerCase());
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Follow a short link's redirects to its final URL
+     * @returns {Promise<string|null>} Expanded URL, or null if it could not be resolved
+     */
+    async resolve(shortUrl) {
+        if (this.useCache) {
+            const cached = await db.getLinkResolution(shortUrl);
+            const failedRecently = cached && cached.status === 'failed' &&
+                Date.now() - new Date(cached.resolvedAt).getTime() < FAILED_RETRY_MS;
+            if (cached && (cached.status === 'resolved' || failedRecently)) {
+                return cached.expandedUrl;
+            }
+        }
+
+        let current = shortUrl;
+        let hops = 0;
+        try {
+            while (hops < MAX_REDIRECTS) {
+                const { status, location } = await this.fetcher(current);
+                if (status < 300 || status >= 400 || !location) break;
+                current = new URL(location, current).toString();
+                hops++;
+            }
+
+            if (hops === 0) {
+                throw new Error('No redirect');
+            }
+
+            if (this.useCache) {
+                await db.saveLinkResolution({ shortUrl, expandedUrl: current, status: 'resolved', hops });
+            }
+            return current;
+        } catch (error) {
+            console.log(`   ⚠️  Could not expand ${shortUrl}: ${error.message}`);
+            if (this.useCache) {
+                await db.saveLinkResolution({ shortUrl, expandedUrl: null, status: 'failed', hops, error: error.message });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Parse coordinates from text, expanding short links when the text itself has none
+     * @returns {Promise<{lat, lon, pattern, confidence, expandedFrom?}|null>}
+     */
+    async locate(text) {
+        const direct = parseCoordinates(text);
+        if (direct) return direct;
+
+        for (const shortUrl of this.extractShortLinks(text)) {
+            const expanded = await this.resolve(shortUrl);
+            // The final URL is often percent-encoded (%2C between lat and lon)
+            const coords = expanded ? parseCoordinates(safeDecode(expanded)) : null;
+            if (coords) {
+                return { ...coords, expandedFrom: shortUrl };
+            }
+        }
+
+        return null;
+    }
+}
+
+function safeDecode(url) {
+    try {
+        return decodeURIComponent(url);
+    } catch {
+        return url;
+    }
+}
+
+module.exports = LinkResolver;
+module.exports.httpFetcher = httpFetcher;
@@ -0,0 +1,33 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LlmProvider = require('./llmProvider');
+
+/**
+ * Google AI Studio (Gemini / Gemma models)
+ */
+class GeminiProvider extends LlmProvider {
+    /**
+     * @param {Object} options - LlmProvider options plus apiKey
+     */
+    constructor({ apiKey, ...options }) {
+        super('gemini', options);
+        this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.model });
+    }
+
+    async generate(prompt, images = []) {
+        const parts = [
+            { text: prompt },
+            ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+        ];
+        const result = await this.client.generateContent({
+            contents: [{ role: 'user', parts }]
+            // Note: Not using responseMimeType for compatibility with Gemma models
+        });
+        const usage = result.response.usageMetadata || {};
+        return {
+            text: result.response.text(),
+            usage: { inputTokens: usage.promptTokenCount ?? null, outputTokens: usage.candidatesTokenCount ?? null }
+        };
+    }
+}
+
+module.exports = GeminiProvider;
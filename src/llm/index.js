@@ -0,0 +1,102 @@
+require('dotenv').config();
+
+/**
+ * Provider settings shared by every backend, read from <PREFIX>_MODEL,
+ * <PREFIX>_BATCH_SIZE, <PREFIX>_MAX_RETRIES, <PREFIX>_VISION, rate limits
+ * (<PREFIX>_RPM, <PREFIX>_TPM, or the older <PREFIX>_MIN_INTERVAL_MS), the
+ * daily budget (<PREFIX>_DAILY_REQUESTS, <PREFIX>_DAILY_TOKENS) and when
+ * the daily quota resets (<PREFIX>_QUOTA_TIMEZONE, <PREFIX>_QUOTA_COOLDOWN_MS).
+ */
+function providerOptions(prefix, defaults) {
+    const intEnv = (name, fallback) => {
+        const value = parseInt(process.env[`${prefix}_${name}`]);
+        return Number.isNaN(value) ? fallback : value;
+    };
+
+    return {
+        model: process.env[`${prefix}_MODEL`] || defaults.model,
+        batchSize: intEnv('BATCH_SIZE', defaults.batchSize),
+        requestsPerMinute: intEnv('RPM', defaults.requestsPerMinute ?? null),
+        minIntervalMs: intEnv('MIN_INTERVAL_MS', defaults.minIntervalMs),
+        tokensPerMinute: intEnv('TPM', defaults.tokensPerMinute ?? null),
+        dailyRequests: intEnv('DAILY_REQUESTS', defaults.dailyRequests ?? null),
+        dailyTokens: intEnv('DAILY_TOKENS', defaults.dailyTokens ?? null),
+        quotaTimeZone: process.env[`${prefix}_QUOTA_TIMEZONE`] || defaults.quotaTimeZone || 'UTC',
+        quotaCooldownMs: intEnv('QUOTA_COOLDOWN_MS', null),
+        maxRetries: intEnv('MAX_RETRIES', 3),
+        vision: process.env[`${prefix}_VISION`] ? process.env[`${prefix}_VISION`] === 'true' : defaults.vision
+    };
+}
+
+/**
+ * Factories for every known provider, keyed by the name used in AI_PROVIDERS.
+ * Loaded lazily so an unused backend's SDK is never required.
+ */
+const PROVIDER_FACTORIES = {
+    gemini: () => {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new Error('GEMINI_API_KEY is not set');
+        }
+        const GeminiProvider = require('./geminiProvider');
+        return new GeminiProvider({
+            apiKey: process.env.GEMINI_API_KEY,
+            ...providerOptions('GEMINI', {
+                model: 'gemma-3-27b-it',
+                batchSize: 10,
+                minIntervalMs: 5000,
+                tokensPerMinute: 15000,
+                dailyRequests: 14400,
+                // AI Studio quotas reset at midnight Pacific time
+                quotaTimeZone: 'America/Los_Angeles',
+                vision: true
+            })
+        });
+    },
+    openai: () => {
+        if (!process.env.OPENAI_BASE_URL) {
+            throw new Error('OPENAI_BASE_URL is not set');
+        }
+        const OpenAiCompatibleProvider = require('./openAiCompatibleProvider');
+        return new OpenAiCompatibleProvider({
+            baseUrl: process.env.OPENAI_BASE_URL,
+            apiKey: process.env.OPENAI_API_KEY,
+            ...providerOptions('OPENAI', { model: 'llama3.1', batchSize: 10, minIntervalMs: 0, vision: false })
+        });
+    },
+    mock: () => {
+        const MockProvider = require('./mockProvider');
+        return new MockProvider({
+            failWith: process.env.MOCK_LLM_FAIL_WITH || null,
+            ...providerOptions('MOCK', { model: 'mock', batchSize: 10, minIntervalMs: 0, vision: true })
+        });
+    }
+};
+
+/**
+ * Build the providers listed in AI_PROVIDERS (comma separated, in failover order, default "gemini").
+ * Misconfigured providers are skipped with a warning so the others still run.
+ */
+function createProviders(spec = process.env.AI_PROVIDERS || 'gemini') {
+    const names = spec.split(',').map(s => s.trim()).filter(Boolean);
+    const providers = [];
+
+    for (const name of names) {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            console.warn(`⚠️  Unknown AI provider "${name}". Skipping.`);
+            continue;
+        }
+        try {
+            providers.push(factory());
+        } catch (error) {
+            console.warn(`⚠️  AI provider "${name}" disabled: ${error.message}`);
+        }
+    }
+
+    return providers;
+}
+
+module.exports = {
+    PROVIDER_FACTORIES,
+    createProviders
+};
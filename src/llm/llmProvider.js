@@ -0,0 +1,267 @@
+const TokenBucket = require('./tokenBucket');
+const { quotaDay, nextMidnight } = require('./quotaDay');
+
+// fetch() failures that never reached the model: refused, reset, DNS, timeouts
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE',
+    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * Base class for LLM providers used by AiAnalysisService.
+ *
+ * A provider turns a prompt into response text and owns its own pacing and
+ * quota state, so the analysis service can fail over to the next provider
+ * when one runs out. Subclasses implement `generate(prompt, images)` and may
+ * refine `classifyError` for their API's error shapes. Providers whose model
+ * accepts images set `vision`.
+ *
+ * Pacing uses token buckets for requests and tokens per minute. Usage is
+ * counted per quota day (midnight in `quotaTimeZone`), and an optional
+ * daily budget stops the provider before the API does. AiAnalysisService
+ * persists the counters and quota state so they survive restarts.
+ */
+class LlmProvider {
+    /**
+     * @param {string} name - Provider identifier (e.g. 'gemini')
+     * @param {Object} options
+     * @param {string} options.model - Model name sent to the API
+     * @param {number} [options.batchSize] - Posts per prompt
+     * @param {number} [options.requestsPerMinute] - Request rate (requests are spread evenly)
+     * @param {number} [options.minIntervalMs] - Older form of requestsPerMinute, used when it is not set
+     * @param {number} [options.tokensPerMinute] - Token rate; prompts are estimated before sending
+     * @param {number} [options.dailyRequests] - Daily request budget
+     * @param {number} [options.dailyTokens] - Daily token budget (input + output)
+     * @param {string} [options.quotaTimeZone] - Time zone whose midnight resets the daily quota
+     * @param {number} [options.quotaCooldownMs] - Sit out this long after a daily quota error instead of until midnight
+     * @param {number} [options.maxRetries] - Retries on per-minute rate limits
+     * @param {boolean} [options.vision] - Whether the model accepts images
+     */
+    constructor(name, {
+        model,
+        batchSize = 10,
+        requestsPerMinute = null,
+        minIntervalMs = 0,
+        tokensPerMinute = null,
+        dailyRequests = null,
+        dailyTokens = null,
+        quotaTimeZone = 'UTC',
+        quotaCooldownMs = null,
+        maxRetries = 3,
+        vision = false
+    }) {
+        this.name = name;
+        this.model = model;
+        this.vision = vision;
+        this.batchSize = batchSize;
+        this.maxRetries = maxRetries;
+        this.quotaTimeZone = quotaTimeZone;
+        this.quotaCooldownMs = quotaCooldownMs;
+        this.dailyRequests = dailyRequests;
+        this.dailyTokens = dailyTokens;
+
+        const rpm = requestsPerMinute || (minIntervalMs > 0 ? 60000 / minIntervalMs : null);
+        this.requestBucket = rpm ? new TokenBucket({ capacity: 1, refillPerMinute: rpm }) : null;
+        this.tokenBucket = tokensPerMinute ? new TokenBucket({ capacity: tokensPerMinute, refillPerMinute: tokensPerMinute }) : null;
+
+        this.usage = { day: quotaDay(quotaTimeZone), requests: 0, inputTokens: 0, outputTokens: 0 };
+        this.quotaExhausted = false;
+        this.quotaResetTime = null;
+    }
+
+    /**
+     * Send a prompt and return the raw response text with token usage (null counts when the API doesn't report them)
+     * @param {string} prompt
+     * @param {Array<{mimeType: string, data: string}>} [images] - Base64 images, for vision providers
+     * @returns {Promise<{text: string, usage: {inputTokens: number|null, outputTokens: number|null}}>}
+     */
+    async generate(prompt, images = []) {
+        throw new Error(`${this.name}: generate(${typeof prompt}, ${images.length} images) not implemented`);
+    }
+
+    /**
+     * Whether the provider is sitting out a daily quota (clears itself once the reset time passes)
+     * or has used up its daily budget
+     */
+    isQuotaExhausted() {
+        if (this.quotaExhausted && this.quotaResetTime && Date.now() > this.quotaResetTime) {
+            console.log(`🔄 ${this.name}: quota reset time reached, resuming...`);
+            this.quotaExhausted = false;
+            this.quotaResetTime = null;
+        }
+
+        return this.quotaExhausted || this.isOverBudget();
+    }
+
+    /**
+     * Sit out until the quota resets: midnight in the quota time zone unless a cooldown is configured
+     */
+    markQuotaExhausted() {
+        this.quotaExhausted = true;
+        this.quotaResetTime = this.quotaCooldownMs ? Date.now() + this.quotaCooldownMs : this.nextResetTime();
+    }
+
+    nextResetTime() {
+        return nextMidnight(this.quotaTimeZone);
+    }
+
+    /**
+     * Counters for the current quota day (starts a new day when midnight has passed)
+     */
+    currentUsage() {
+        const day = quotaDay(this.quotaTimeZone);
+        if (this.usage.day !== day) {
+            this.usage = { day, requests: 0, inputTokens: 0, outputTokens: 0 };
+        }
+        return this.usage;
+    }
+
+    isOverBudget() {
+        const usage = this.currentUsage();
+        return (this.dailyRequests !== null && usage.requests >= this.dailyRequests) ||
+            (this.dailyTokens !== null && usage.inputTokens + usage.outputTokens >= this.dailyTokens);
+    }
+
+    /**
+     * Wait for the request and token buckets
+     * @param {number} [estimatedTokens] - Expected size of the call
+     */
+    async rateLimit(estimatedTokens = 0) {
+        if (this.requestBucket) await this.requestBucket.consume(1);
+        if (this.tokenBucket && estimatedTokens > 0) await this.tokenBucket.consume(estimatedTokens);
+    }
+
+    /**
+     * Count a call against today's usage and correct the token bucket with the actual size
+     * @param {{inputTokens: number|null, outputTokens: number|null}|null} usage - null for failed calls
+     * @param {number} [estimatedTokens] - What rateLimit() took for the call
+     */
+    recordUsage(usage, estimatedTokens = 0) {
+        const current = this.currentUsage();
+        current.requests++;
+        current.inputTokens += (usage && usage.inputTokens) || 0;
+        current.outputTokens += (usage && usage.outputTokens) || 0;
+
+        const actual = usage ? (usage.inputTokens || 0) + (usage.outputTokens || 0) : 0;
+        if (this.tokenBucket && usage && usage.inputTokens !== null) {
+            this.tokenBucket.take(actual - estimatedTokens);
+        }
+    }
+
+    /**
+     * Restore state saved by an earlier run
+     * @param {Object} state
+     * @param {Date|number|null} [state.quotaResetTime] - Set when the daily quota was exhausted
+     * @param {Object|null} [state.usage] - Counters for the current quota day
+     */
+    restoreState({ quotaResetTime = null, usage = null }) {
+        const resetTime = quotaResetTime ? new Date(quotaResetTime).getTime() : null;
+        if (resetTime && resetTime > Date.now()) {
+            this.quotaExhausted = true;
+            this.quotaResetTime = resetTime;
+        }
+        if (usage && usage.day === quotaDay(this.quotaTimeZone)) {
+            this.usage = { day: usage.day, requests: usage.requests, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens };
+        }
+    }
+
+    /**
+     * Classify a failed call. 'unavailable' (network failures, 5xx, rejected credentials) is worth
+     * retrying later; 'error' (other 4xx, blocked or malformed responses) may be caused by the prompt itself.
+     * @returns {{kind: 'daily_quota'|'rate_limited'|'unavailable'|'error', retryDelayMs: number|null}}
+     */
+    classifyError(error) {
+        const message = error.message || '';
+
+        if (message.includes('limit: 0') ||
+            message.includes('PerDayPerProject') ||
+            message.includes('exceeded your current quota') ||
+            message.includes('insufficient_quota')) {
+            return { kind: 'daily_quota', retryDelayMs: null };
+        }
+
+        if (error.status === 429 || message.includes('429') || message.includes('quota')) {
+            return { kind: 'rate_limited', retryDelayMs: error.retryAfterMs || this.parseRetryDelay(message) };
+        }
+
+        // A rejected API key is the deployment's problem, not the posts'
+        if (error.status >= 500 || error.status === 401 || error.status === 403 || isNetworkError(error)) {
+            return { kind: 'unavailable', retryDelayMs: null };
+        }
+
+        return { kind: 'error', retryDelayMs: null };
+    }
+
+    /**
+     * Parse retry delay from error message
+     */
+    parseRetryDelay(errorMessage) {
+        // Look for patterns like "retry in 7.934181993s" or "retryDelay":"7s"
+        const match = errorMessage.match(/retry.*?(\d+(?:\.\d+)?)\s*s/i);
+        if (match) {
+            return Math.ceil(parseFloat(match[1]) * 1000) + 1000; // Add 1s buffer
+        }
+        return null;
+    }
+
+    /**
+     * Today's usage against the daily budget (limit and remaining are null when unbudgeted)
+     */
+    getBudget() {
+        const usage = this.currentUsage();
+        const tokensUsed = usage.inputTokens + usage.outputTokens;
+        return {
+            day: usage.day,
+            resetsAt: new Date(this.nextResetTime()),
+            requests: {
+                used: usage.requests,
+                limit: this.dailyRequests,
+                remaining: this.dailyRequests !== null ? Math.max(0, this.dailyRequests - usage.requests) : null
+            },
+            tokens: {
+                used: tokensUsed,
+                input: usage.inputTokens,
+                output: usage.outputTokens,
+                limit: this.dailyTokens,
+                remaining: this.dailyTokens !== null ? Math.max(0, this.dailyTokens - tokensUsed) : null
+            }
+        };
+    }
+
+    /**
+     * When the provider can be used again (null when it can be used now)
+     */
+    availableAt() {
+        if (!this.isQuotaExhausted()) return null;
+        return this.quotaExhausted ? this.quotaResetTime : this.nextResetTime();
+    }
+
+    getStatus() {
+        const quotaExhausted = this.isQuotaExhausted();
+        return {
+            name: this.name,
+            model: this.model,
+            batchSize: this.batchSize,
+            vision: this.vision,
+            quotaExhausted,
+            quotaReason: quotaExhausted ? (this.quotaExhausted ? 'api_quota' : 'budget') : null,
+            quotaResetTime: this.availableAt(),
+            rateLimits: {
+                requestsPerMinute: this.requestBucket ? this.requestBucket.refillPerMs * 60000 : null,
+                tokensPerMinute: this.tokenBucket ? this.tokenBucket.capacity : null,
+                tokensAvailable: this.tokenBucket ? this.tokenBucket.getStatus().available : null
+            },
+            budget: this.getBudget()
+        };
+    }
+}
+
+function isNetworkError(error) {
+    return error.name === 'AbortError' ||
+        error.name === 'TimeoutError' ||
+        NETWORK_ERROR_CODES.has(error.code) ||
+        NETWORK_ERROR_CODES.has(error.cause && error.cause.code) ||
+        /fetch failed/i.test(error.message || '');
+}
+
+module.exports = LlmProvider;
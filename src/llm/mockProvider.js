@@ -0,0 +1,111 @@
+const LlmProvider = require('./llmProvider');
+const RuleClassifier = require('../ruleClassifier');
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Answers with the rule classifier's verdicts, with no network access. `failWith`
+ * simulates API failures ('quota' | 'rate_limit' | 'unavailable' | 'error') to exercise failover.
+ * It cannot look at photos: a photo prompt gets the text verdict as what the photo shows.
+ */
+class MockProvider extends LlmProvider {
+    /**
+     * @param {Object} [options] - LlmProvider options plus failWith and respond(prompt)
+     */
+    constructor({ failWith = null, respond = null, ...options } = {}) {
+        super('mock', { model: 'mock', ...options });
+        this.failWith = failWith;
+        this.respond = respond;
+        this.calls = 0;
+        this.classifier = new RuleClassifier();
+    }
+
+    async generate(prompt, images = []) {
+        return { text: this.answer(prompt, images), usage: { inputTokens: null, outputTokens: null } };
+    }
+
+    /**
+     * Response text for a prompt (throws the simulated failures)
+     */
+    answer(prompt, images) {
+        this.calls++;
+
+        if (this.failWith === 'quota') {
+            throw new Error('429 Too Many Requests: You exceeded your current quota');
+        }
+        if (this.failWith === 'rate_limit') {
+            const error = new Error('429 Too Many Requests');
+            error.status = 429;
+            error.retryAfterMs = 0;
+            throw error;
+        }
+        if (this.failWith === 'unavailable') {
+            const error = new Error('503 Service Unavailable');
+            error.status = 503;
+            throw error;
+        }
+        if (this.failWith === 'error') {
+            const error = new Error('400 Bad Request: Mock provider failure');
+            error.status = 400;
+            throw error;
+        }
+
+        if (this.respond) {
+            return this.respond(prompt, images);
+        }
+
+        if (images.length > 0) {
+            return JSON.stringify(this.extractPosts(prompt).map(({ id, text }) => {
+                const analysis = this.classifier.analyze(text);
+                return {
+                    id,
+                    visible_issue: analysis.isIssue,
+                    issue_types: analysis.issueTypes,
+                    severity: analysis.severity,
+                    accessibility_impact: analysis.accessibilityImpact,
+                    landmarks: [],
+                    location: analysis.location,
+                    location_parts: toAnswerParts(analysis.locationParts),
+                    confidence: analysis.confidence
+                };
+            }));
+        }
+
+        return JSON.stringify(this.extractPosts(prompt).map(({ id, text }) => {
+            const analysis = this.classifier.analyze(text);
+            return {
+                id,
+                is_issue: analysis.isIssue,
+                issue_types: analysis.issueTypes,
+                severity: analysis.severity,
+                accessibility_impact: analysis.accessibilityImpact,
+                location: analysis.location,
+                location_parts: toAnswerParts(analysis.locationParts),
+                confidence: analysis.confidence
+            };
+        }));
+    }
+
+    /**
+     * Read back the "ID: ...\nTweet: ..." entries AiAnalysisService puts in its prompt
+     */
+    extractPosts(prompt) {
+        const posts = [];
+        const pattern = /ID: (.+)\nTweet: "([\s\S]*?)"(?=\n)/g;
+        let match;
+        while ((match = pattern.exec(prompt)) !== null) {
+            posts.push({ id: match[1].trim(), text: match[2] });
+        }
+        return posts;
+    }
+}
+
+/**
+ * Rule classifier location parts in the answer format (snake_case keys)
+ */
+function toAnswerParts(parts) {
+    return parts
+        ? { street: parts.street, cross_road: parts.crossRoad, locality: parts.locality, landmark: parts.landmark }
+        : null;
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,66 @@
+const LlmProvider = require('./llmProvider');
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself,
+ * or a local llama.cpp / Ollama server (http://localhost:11434/v1).
+ */
+class OpenAiCompatibleProvider extends LlmProvider {
+    /**
+     * @param {Object} options - LlmProvider options plus baseUrl and optional apiKey
+     */
+    constructor({ baseUrl, apiKey, ...options }) {
+        super('openai', options);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey || null;
+    }
+
+    async generate(prompt, images = []) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        // Vision models take the images as data URLs alongside the text
+        const content = images.length === 0 ? prompt : [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+        ];
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content }],
+                temperature: 0
+            }),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`${response.status} ${response.statusText}: ${body.substring(0, 300)}`);
+            error.status = response.status;
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            if (!Number.isNaN(retryAfter)) {
+                error.retryAfterMs = retryAfter * 1000 + 1000;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        const message = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+        if (typeof message !== 'string') {
+            throw new Error('Response has no message content');
+        }
+        const usage = data.usage || {};
+        return {
+            text: message,
+            usage: { inputTokens: usage.prompt_tokens ?? null, outputTokens: usage.completion_tokens ?? null }
+        };
+    }
+}
+
+module.exports = OpenAiCompatibleProvider;
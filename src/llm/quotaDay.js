@@ -0,0 +1,57 @@
+/**
+ * Daily API quotas reset at midnight in the provider's time zone
+ * (Google AI Studio: Pacific time). These helpers turn that into the
+ * calendar day usage is counted under and the exact reset instant.
+ */
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+function wallClock(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = type => parseInt(parts.find(p => p.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+/**
+ * Offset of the time zone from UTC at an instant, in ms
+ */
+function zoneOffset(timeZone, date) {
+    const w = wallClock(timeZone, date);
+    const asUtc = Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Quota day of an instant, as YYYY-MM-DD
+ */
+function quotaDay(timeZone, date = new Date()) {
+    const w = wallClock(timeZone, date);
+    return `${w.year}-${String(w.month).padStart(2, '0')}-${String(w.day).padStart(2, '0')}`;
+}
+
+/**
+ * The next midnight in the time zone after an instant
+ * @returns {number} Epoch ms
+ */
+function nextMidnight(timeZone, date = new Date()) {
+    const w = wallClock(timeZone, date);
+    const midnightAsUtc = Date.UTC(w.year, w.month - 1, w.day + 1);
+    // Resolve the offset twice so a DST change before midnight is accounted for
+    const guess = midnightAsUtc - zoneOffset(timeZone, date);
+    return midnightAsUtc - zoneOffset(timeZone, new Date(guess));
+}
+
+module.exports = {
+    quotaDay,
+    nextMidnight
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const LlmProvider = require('./llmProvider');
+
+/**
+ * Answers prompts from a recording made by `ReplayProvider.record()`, so
+ * an evaluation can be re-run offline and deterministically. Prompts are
+ * matched by hash; a prompt that was never recorded (because the prompt
+ * or the batch changed) is an error rather than a guess.
+ *
+ * Recording format: { provider, model, batchSize, responses: { <hash>: { text, usage } } }
+ */
+class ReplayProvider extends LlmProvider {
+    /**
+     * @param {Object} recording
+     */
+    constructor(recording) {
+        super('replay', {
+            model: `${recording.provider || 'unknown'}/${recording.model || 'unknown'}`,
+            batchSize: recording.batchSize || 10,
+            vision: true
+        });
+        this.responses = recording.responses || {};
+    }
+
+    async generate(prompt, images = []) {
+        const key = ReplayProvider.promptKey(prompt, images);
+        const response = this.responses[key];
+        if (!response) {
+            throw new Error(`No recorded response for prompt ${key.slice(0, 12)} (prompt or batching changed since recording)`);
+        }
+        return { text: response.text, usage: response.usage || { inputTokens: null, outputTokens: null } };
+    }
+
+    /**
+     * Stable key for a prompt and its images
+     */
+    static promptKey(prompt, images = []) {
+        const hash = crypto.createHash('sha256').update(prompt);
+        images.forEach(image => hash.update(image.data));
+        return hash.digest('hex');
+    }
+
+    /**
+     * Make `provider` save every response it returns into a new recording
+     * @returns {Object} The recording, filled in as calls are made
+     */
+    static record(provider) {
+        const recording = {
+            provider: provider.name,
+            model: provider.model,
+            batchSize: provider.batchSize,
+            recordedAt: new Date().toISOString(),
+            responses: {}
+        };
+
+        const generate = provider.generate.bind(provider);
+        provider.generate = async (prompt, images = []) => {
+            const response = await generate(prompt, images);
+            recording.responses[ReplayProvider.promptKey(prompt, images)] = response;
+            return response;
+        };
+        return recording;
+    }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,60 @@
+/**
+ * Token bucket: holds up to `capacity` tokens and refills continuously at
+ * `refillPerMinute`. Taking more than is available leaves the bucket in
+ * debt, which later callers wait out; that is how actual token usage
+ * reported after a call corrects the estimate taken before it.
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Most tokens that can accumulate (the burst size)
+     * @param {number} options.refillPerMinute
+     */
+    constructor({ capacity, refillPerMinute }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMinute / 60000;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until `count` tokens are available (requests larger than the bucket wait for a full one)
+     */
+    waitTime(count) {
+        this.refill();
+        const missing = Math.min(count, this.capacity) - this.tokens;
+        return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+    }
+
+    /**
+     * Remove tokens without waiting (may go negative)
+     */
+    take(count) {
+        this.refill();
+        this.tokens -= count;
+    }
+
+    /**
+     * Wait until `count` tokens are available, then take them
+     */
+    async consume(count) {
+        const wait = this.waitTime(count);
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.take(count);
+    }
+
+    getStatus() {
+        this.refill();
+        return { available: Math.floor(this.tokens), capacity: this.capacity };
+    }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,118 @@
+const { distanceMeters } = require('./cityBounds');
+
+/**
+ * How precisely a stored location pins the issue. Every location carries a
+ * precision class and an uncertainty radius in meters: a GPS pin is
+ * `exact` to a few meters, a geocoded "Jayanagar" is a `locality`
+ * centroid that may be a kilometre or more off.
+ */
+
+// Finest first
+const PRECISION_CLASSES = ['exact', 'street', 'locality', 'ward'];
+
+// Largest radius each class stands for, used when only a radius is known
+const CLASS_LIMITS_M = [
+    { precision: 'exact', maxM: 50 },
+    { precision: 'street', maxM: 500 },
+    { precision: 'locality', maxM: 3000 }
+];
+
+// Defaults by coordinate source when the producer recorded nothing finer
+const SOURCE_PRECISION = {
+    explicit: { precision: 'exact', uncertaintyM: 25 },
+    regex: { precision: 'exact', uncertaintyM: 25 },
+    exif: { precision: 'exact', uncertaintyM: 20 },
+    // A pin dropped on the report form's map, usually zoomed in
+    reported: { precision: 'exact', uncertaintyM: 30 },
+    import: { precision: 'exact', uncertaintyM: 50 },
+    // Geocoded before precision was recorded: Nominatim's first hit, often a whole locality
+    geocoded: { precision: 'locality', uncertaintyM: 1500 }
+};
+
+// Gazetteer places are one representative point each
+const GAZETTEER_PRECISION = {
+    station: { precision: 'street', uncertaintyM: 150 },
+    landmark: { precision: 'street', uncertaintyM: 300 },
+    road: { precision: 'street', uncertaintyM: 2000 },
+    locality: { precision: 'locality', uncertaintyM: 1500 }
+};
+
+/**
+ * Smallest class whose radius covers the given one
+ */
+function precisionForRadius(radiusM) {
+    const limit = CLASS_LIMITS_M.find(l => radiusM <= l.maxM);
+    return limit ? limit.precision : 'ward';
+}
+
+/**
+ * Half the diagonal of a bounding box: the farthest any point of the area is from its center
+ */
+function boundingBoxRadius(south, north, west, east) {
+    if (![south, north, west, east].every(Number.isFinite)) return null;
+    return distanceMeters({ lat: south, lon: west }, { lat: north, lon: east }) / 2;
+}
+
+/**
+ * Precision of a geocoded OSM feature from its type and extent. Streets
+ * stay `street` however long they are; other features are classed by size.
+ * @param {Object} feature
+ * @param {string} [feature.category] - OSM key (Nominatim `class`, Photon `osm_key`)
+ * @param {string} [feature.type] - OSM value or Photon type
+ * @param {number|null} [feature.extentM] - Bounding box radius
+ */
+function featurePrecision({ category, type, extentM }) {
+    const radius = Math.max(10, Math.round(extentM || 0));
+
+    if (category === 'highway' || type === 'street') {
+        return { precision: 'street', uncertaintyM: Math.max(radius, 50) };
+    }
+    if (category === 'boundary' || ['city', 'city_district', 'county', 'state', 'district'].includes(type)) {
+        return { precision: 'ward', uncertaintyM: Math.max(radius, 1000) };
+    }
+    if (['suburb', 'neighbourhood', 'quarter', 'locality', 'village', 'hamlet', 'residential'].includes(type)) {
+        return { precision: 'locality', uncertaintyM: Math.max(radius, 500) };
+    }
+    return { precision: precisionForRadius(radius), uncertaintyM: radius };
+}
+
+/**
+ * Precision of a gazetteer place by its kind
+ */
+function placePrecision(kind) {
+    return GAZETTEER_PRECISION[kind] || GAZETTEER_PRECISION.landmark;
+}
+
+/**
+ * Precision class and radius of stored coordinates: what the producer
+ * recorded, else the default for the source. An ambiguous geocode is as
+ * uncertain as the distance to its farthest alternative.
+ * @param {Object} coordinates - locations.coordinates
+ * @returns {{precision: string, uncertaintyM: number}}
+ */
+function describePrecision(coordinates) {
+    if (!coordinates) return null;
+
+    let { precision, uncertaintyM } = coordinates;
+    if (!PRECISION_CLASSES.includes(precision) || !Number.isFinite(uncertaintyM)) {
+        const fallback = SOURCE_PRECISION[coordinates.source] || SOURCE_PRECISION.geocoded;
+        precision = PRECISION_CLASSES.includes(precision) ? precision : fallback.precision;
+        uncertaintyM = Number.isFinite(uncertaintyM) ? uncertaintyM : fallback.uncertaintyM;
+    }
+
+    if (coordinates.ambiguous && Array.isArray(coordinates.alternatives)) {
+        const spread = Math.max(0, ...coordinates.alternatives.map(alt => distanceMeters(coordinates, alt)));
+        uncertaintyM = Math.max(uncertaintyM, spread);
+    }
+
+    return { precision, uncertaintyM: Math.round(uncertaintyM) };
+}
+
+module.exports = {
+    PRECISION_CLASSES,
+    precisionForRadius,
+    boundingBoxRadius,
+    featurePrecision,
+    placePrecision,
+    describePrecision
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('./db');
+const { createStorage } = require('./storage');
+const { extractGps } = require('./exifLocation');
+
+// Derived sizes are bounded by width and always stored as WebP
+const SIZES = {
+    thumb: 240,
+    medium: 800
+};
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * Downloads post attachments into media storage so images survive link rot.
+ * Files are keyed by content hash, so the same image attached to several
+ * posts (or re-fetched with a new URL) is stored once.
+ */
+class MediaArchiver {
+    /**
+     * @param {Object|null} [storage] - Storage backend (defaults to MEDIA_STORAGE); null disables archival
+     */
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+        this.enabled = Boolean(storage);
+    }
+
+    /**
+     * Storage key for one size of an archived file
+     * @param {string} contentHash - SHA-256 of the original bytes
+     * @param {string} size - 'original' | 'medium' | 'thumb'
+     * @param {string} mimeType - Original MIME type
+     */
+    keyFor(contentHash, size, mimeType) {
+        const ext = size === 'original' ? (EXTENSIONS[mimeType] || 'bin') : 'webp';
+        return `${contentHash.slice(0, 2)}/${contentHash}/${size}.${ext}`;
+    }
+
+    contentTypeFor(size, mimeType) {
+        return size === 'original' ? mimeType : 'image/webp';
+    }
+
+    /**
+     * Archive every attachment of the given posts. Failures are recorded per file.
+     * @returns {Promise<{archived: number, skipped: number, failed: number}>}
+     */
+    async archivePosts(posts) {
+        const totals = { archived: 0, skipped: 0, failed: 0 };
+        if (!this.enabled) return totals;
+
+        for (const post of posts) {
+            const urls = post.mediaUrls || [];
+            for (let i = 0; i < urls.length; i++) {
+                const result = await this.archive(post.id, urls[i], i);
+                totals[result]++;
+            }
+        }
+
+        if (totals.archived + totals.failed > 0) {
+            console.log(`   🖼️  Media: ${totals.archived} archived, ${totals.skipped} already stored, ${totals.failed} failed`);
+        }
+        return totals;
+    }
+
+    /**
+     * Archive one attachment
+     * @returns {Promise<'archived'|'skipped'|'failed'>}
+     */
+    async archive(postId, sourceUrl, position = 0) {
+        const existing = await db.getMediaBySource(postId, sourceUrl);
+        if (existing && existing.status === 'archived') {
+            return 'skipped';
+        }
+
+        try {
+            const buffer = await this.download(sourceUrl);
+            await this.storeBuffer(postId, sourceUrl, position, buffer);
+            return 'archived';
+        } catch (error) {
+            console.error(`   ⚠️  Failed to archive ${sourceUrl}: ${error.message}`);
+            await db.saveMedia({ postId, sourceUrl, position, status: 'failed', error: error.message });
+            return 'failed';
+        }
+    }
+
+    /**
+     * Store a photo uploaded with a web report, before its post is saved.
+     * Errors propagate to the caller.
+     * @returns {Promise<Object>} Stored file, to pass to recordUpload()
+     */
+    async storeUpload(buffer) {
+        if (!this.enabled) {
+            throw new Error('Media storage is disabled');
+        }
+        return this.storeFile(buffer);
+    }
+
+    /**
+     * Record a stored upload against its post
+     * @returns {Promise<Object>} Saved media record
+     */
+    async recordUpload(postId, stored, position = 0) {
+        return this.recordFile(postId, `upload://${postId}/${position}`, position, stored);
+    }
+
+    /**
+     * Hash, dedupe, store and record one file
+     */
+    async storeBuffer(postId, sourceUrl, position, buffer) {
+        return this.recordFile(postId, sourceUrl, position, await this.storeFile(buffer));
+    }
+
+    /**
+     * Hash and store one file (reusing an identical stored file) and read its GPS
+     */
+    async storeFile(buffer) {
+        const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        // Same bytes already stored for another post: reuse its files
+        const duplicate = await db.getArchivedMediaByHash(contentHash);
+        const details = duplicate
+            ? { mimeType: duplicate.mimeType, width: duplicate.width, height: duplicate.height, bytes: duplicate.bytes }
+            : await this.storeVariants(contentHash, buffer);
+
+        // Read embedded GPS while the original bytes are at hand
+        const gps = await extractGps(buffer);
+
+        return { contentHash, details, gps };
+    }
+
+    /**
+     * Save the media record for a stored file
+     */
+    async recordFile(postId, sourceUrl, position, { contentHash, details, gps }) {
+        return db.saveMedia({
+            postId,
+            sourceUrl,
+            position,
+            contentHash,
+            ...details,
+            storage: this.storage.name,
+            status: 'archived',
+            gps,
+            gpsChecked: true
+        });
+    }
+
+    /**
+     * Write the original plus resized copies to storage
+     */
+    async storeVariants(contentHash, buffer) {
+        const metadata = await sharp(buffer).metadata();
+        const mimeType = `image/${metadata.format === 'jpg' ? 'jpeg' : metadata.format}`;
+
+        await this.storage.put(this.keyFor(contentHash, 'original', mimeType), buffer, mimeType);
+
+        for (const [size, width] of Object.entries(SIZES)) {
+            const resized = await sharp(buffer)
+                .rotate() // apply EXIF orientation before EXIF is dropped
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer();
+            await this.storage.put(this.keyFor(contentHash, size, mimeType), resized, 'image/webp');
+        }
+
+        return {
+            mimeType,
+            width: metadata.width,
+            height: metadata.height,
+            bytes: buffer.length
+        };
+    }
+
+    /**
+     * Download an image, rejecting non-images and oversized files
+     */
+    async download(url) {
+        const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!res.ok) {
+            throw new Error(`HTTP ${res.status}`);
+        }
+
+        const contentType = res.headers.get('content-type') || '';
+        if (!contentType.startsWith('image/')) {
+            throw new Error(`Not an image (${contentType || 'unknown type'})`);
+        }
+
+        const buffer = Buffer.from(await res.arrayBuffer());
+        if (buffer.length > MAX_DOWNLOAD_BYTES) {
+            throw new Error(`File too large (${buffer.length} bytes)`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Read one size of an archived media record
+     * @returns {Promise<{buffer: Buffer, contentType: string}|null>}
+     */
+    async read(media, size) {
+        if (!this.enabled || media.status !== 'archived') return null;
+
+        const buffer = await this.storage.get(this.keyFor(media.contentHash, size, media.mimeType));
+        return buffer ? { buffer, contentType: this.contentTypeFor(size, media.mimeType) } : null;
+    }
+}
+
+MediaArchiver.SIZES = ['original', ...Object.keys(SIZES)];
+
+module.exports = MediaArchiver;
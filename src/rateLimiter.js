@@ -0,0 +1,38 @@
+/**
+ * In-memory fixed-window rate limiter middleware, keyed by client IP.
+ * State lives in this process, which is enough for a single server instance.
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @param {string} [options.message] - Error returned with the 429
+ */
+function createRateLimiter({ windowMs, max, message = 'Too many requests. Please try again later.' }) {
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+
+        // Drop expired windows so the map does not grow without bound
+        if (hits.size > 10000) {
+            for (const [key, entry] of hits) {
+                if (now - entry.start >= windowMs) hits.delete(key);
+            }
+        }
+
+        let entry = hits.get(req.ip);
+        if (!entry || now - entry.start >= windowMs) {
+            entry = { start: now, count: 0 };
+            hits.set(req.ip, entry);
+        }
+        entry.count++;
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.start + windowMs - now) / 1000)));
+            return res.status(429).json({ success: false, error: message });
+        }
+
+        next();
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('./db');
+const MediaArchiver = require('./mediaArchiver');
+const { isWithinCity } = require('./cityBounds');
+const { ISSUE_TYPES } = require('./issueTypes');
+
+const DESCRIPTION_MIN = 10;
+const DESCRIPTION_MAX = 1000;
+const MAX_PHOTOS = 4;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Accepts footpath reports submitted through the web form. Reports are stored
+ * as posts with source 'web' and go through the same AI queue as tweets;
+ * the reporter's pin is used as the location once the AI confirms the issue.
+ */
+class ReportService {
+    /**
+     * @param {MediaArchiver|null} [mediaArchiver] - Where uploaded photos are stored
+     */
+    constructor(mediaArchiver) {
+        if (mediaArchiver !== undefined) {
+            this.mediaArchiver = mediaArchiver;
+        } else {
+            try {
+                this.mediaArchiver = new MediaArchiver();
+            } catch (error) {
+                console.warn(`⚠️  Media storage unavailable, report photos disabled: ${error.message}`);
+                this.mediaArchiver = null;
+            }
+        }
+    }
+
+    /**
+     * Check a submitted form
+     * @param {Object} body - Form fields (description, optional issueType, lat, lon)
+     * @param {Array} [files] - Uploaded photos ({ buffer, mimetype })
+     * @returns {{errors: string[], report: Object}}
+     */
+    validate(body, files = []) {
+        const errors = [];
+        const description = typeof body.description === 'string' ? body.description.trim() : '';
+        // Only what the reporter picked; the AI decides the type otherwise
+        const issueType = body.issueType || null;
+        const lat = parseFloat(body.lat);
+        const lon = parseFloat(body.lon);
+
+        if (description.length < DESCRIPTION_MIN || description.length > DESCRIPTION_MAX) {
+            errors.push(`description must be ${DESCRIPTION_MIN}-${DESCRIPTION_MAX} characters`);
+        }
+        if (issueType && !ISSUE_TYPES.includes(issueType)) {
+            errors.push(`issueType must be one of: ${ISSUE_TYPES.join(', ')}`);
+        }
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || !isWithinCity(lat, lon)) {
+            errors.push('lat/lon must be a location inside Bangalore');
+        }
+        if (files.length > MAX_PHOTOS) {
+            errors.push(`at most ${MAX_PHOTOS} photos are allowed`);
+        }
+        if (files.length > 0 && !(this.mediaArchiver && this.mediaArchiver.enabled)) {
+            errors.push('photo uploads are disabled on this server');
+        }
+
+        return { errors, report: { description, issueType, lat, lon } };
+    }
+
+    /**
+     * Save a validated report and its photos
+     * @param {Object} report - Output of validate()
+     * @param {Array} [files] - Uploaded photos
+     * @returns {Promise<{id: string, photos: number}>}
+     */
+    async create(report, files = []) {
+        // Decode every photo in full so a broken upload is rejected before anything is stored
+        for (const file of files) {
+            try {
+                await sharp(file.buffer).stats();
+            } catch {
+                const error = new Error(`${file.originalname || 'photo'} is not a valid image`);
+                error.status = 400;
+                throw error;
+            }
+        }
+
+        // Store the files first: a storage failure must not leave a post without its photos
+        const stored = [];
+        for (const file of files) {
+            stored.push(await this.mediaArchiver.storeUpload(file.buffer));
+        }
+
+        const id = `web:${crypto.randomUUID()}`;
+
+        await db.savePosts([{
+            id,
+            text: report.description,
+            createdAt: new Date(),
+            mediaUrls: [],
+            source: 'web',
+            reportedCoordinates: { lat: report.lat, lon: report.lon },
+            reportedIssueType: report.issueType
+        }]);
+
+        try {
+            for (const [position, file] of stored.entries()) {
+                await this.mediaArchiver.recordUpload(id, file, position);
+            }
+        } catch (error) {
+            await db.deletePost(id);
+            throw error;
+        }
+
+        console.log(`📝 Web report ${id} saved (${files.length} photo(s))`);
+        return { id, photos: files.length };
+    }
+}
+
+ReportService.ISSUE_TYPES = ISSUE_TYPES;
+ReportService.MAX_PHOTOS = MAX_PHOTOS;
+ReportService.MAX_PHOTO_BYTES = MAX_PHOTO_BYTES;
+
+module.exports = ReportService;
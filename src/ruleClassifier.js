@@ -0,0 +1,158 @@
+const { findPlaces } = require('./gazetteer');
+const { detectLanguage, transliterate } = require('./language');
+const { ISSUE_TAXONOMY } = require('./issueTypes');
+
+// Pedestrian infrastructure being talked about at all (Kannada/Hindi terms as transliterated or romanized)
+const INFRASTRUCTURE_TERMS = /\b(footpaths?|foot paths?|sidewalks?|pavements?|pedestrians?|walkways?|walking|walkable|slabs?|kerbs?|curbs?|zebra crossing|skywalk|(phutpat|phutapath|futpath|footpaath|padachari|paidal)\w*)\b/i;
+
+// Phrases that report a problem, with the issue type they point to. The first match is the primary type.
+const ISSUE_PHRASES = [
+    { type: 'missing_footpath', weight: 0.5, pattern: /\b(no|missing|without|non-existent|vanished)\s+(footpaths?|sidewalks?|pavements?)\b/i },
+    { type: 'missing_footpath', weight: 0.4, pattern: /\b(walk|walking) (on|in) the (road|street|traffic)\b/i },
+    { type: 'open_drain', weight: 0.45, pattern: /\b(open (drain|manhole)s?|uncovered (drain|manhole)s?|drain|manholes?|gutter|charandi|naala|nala)\b/i },
+    { type: 'parked_vehicles', weight: 0.45, pattern: /\b(parked on (the )?(footpath|sidewalk|pavement)|(cars?|bikes?|two[- ]wheelers?|scooters?|autos?|vehicles?) (parked )?on (the )?(footpath|sidewalk|pavement)|footpath parking|(footpath|phutapath|phutpat) (pe|par|mele) (gaa?d[iy]\w*|bikes?|cars?)|gaa?d[iy]\w* (parked|khad[ie]\w*))\b/i },
+    { type: 'encroachment', weight: 0.45, pattern: /\b(encroach\w*|vendors?|hawkers?|shops? extend\w*|atikraman\w*)\b/i },
+    { type: 'no_kerb_ramp', weight: 0.45, pattern: /\b(no (kerb |curb )?ramps?|without (a )?ramp|ramp missing)\b/i },
+    { type: 'high_kerb', weight: 0.4, pattern: /\b((high|tall) (kerb|curb|footpath)s?|(knee|waist)[- ]high|too high to (step|climb))\b/i },
+    { type: 'broken_slab', weight: 0.4, pattern: /\b(broken|damaged|caved in|collapsed|crumbling|missing slabs?|loose slabs?|tiles? (missing|broken)|exposed (rebar|rods)|haalagide|halagide|murid\w*|toota|tuta|tuti)\b/i },
+    { type: 'uneven_surface', weight: 0.35, pattern: /\b(uneven|bumpy|potholes?|dug up|gundi\w*|gaddh?[ae])\b/i },
+    { type: 'obstruction', weight: 0.4, pattern: /\b(blocked|blocking|obstruct\w*|transformers?|electric poles?|poles?|debris|construction material|rubble)\b/i },
+    { type: 'garbage', weight: 0.35, pattern: /\b(garbage|trash|waste dump\w*|dumped|kasa|kachra|kachara)\b/i },
+    { type: 'waterlogging', weight: 0.35, pattern: /\b(water[- ]?logg\w*|flooded|flooding|puddles?)\b/i }
+];
+
+// Starting severity per type; a hazard word adds one
+const BASE_SEVERITY = {
+    open_drain: 4,
+    missing_footpath: 3,
+    broken_slab: 3,
+    no_kerb_ramp: 3,
+    obstruction: 3
+};
+
+// People the issue explicitly affects
+const ACCESSIBILITY_TERMS = /\b(wheelchairs?|disabled|differently[- ]abled|elderly|senior citizens?|old people|prams?|strollers?|visually impaired|blind|crutches)\b/i;
+
+// Words that raise the stakes regardless of type
+const HAZARD_TERMS = /\b(dangerous|unsafe|hazard\w*|fell|fall(en)?|injur\w*|accident|trip(ped)?|risk|death trap|not walkable|unwalkable|impossible to walk|still not fixed|yet to be fixed|apaya\w*|khatara?nak|khatra)\b/i;
+
+// Posts that mention footpaths without complaining about one
+const NON_ISSUE_TERMS = /\b(thank(s| you)|well done|great job|kudos|beautiful|finally fixed|has been fixed|now fixed|repaired|new footpath|good footpath|event|webinar|join us|giveaway)\b/i;
+
+// Bangalore-style addresses: "5th Cross", "3rd Main Road"
+const ADDRESS_PATTERN = /\b(\d{1,3}(?:st|nd|rd|th)\s+(?:main|cross)(?:\s+road)?)\b/i;
+
+const ISSUE_THRESHOLD = 0.5;
+
+/**
+ * Offline, rule-based issue classifier: a keyword/phrase lexicon decides
+ * whether a post reports a footpath problem and the gazetteer picks out
+ * where. Produces the same `aiAnalysis` shape as AiAnalysisService, so it
+ * can stand in when no LLM is available or screen out obvious non-issues.
+ */
+class RuleClassifier {
+    /**
+     * Classify one post text
+     * @returns {{isIssue: boolean, location: string|null, locationParts: Object|null, issueTypes: string[], issueType: string|null,
+     *   severity: number|null, accessibilityImpact: boolean, confidence: number, classifier: string}}
+     */
+    analyze(text = '') {
+        const original = text;
+        text = transliterate(text);
+        const hasInfrastructure = INFRASTRUCTURE_TERMS.test(text);
+        const matched = ISSUE_PHRASES.filter(p => p.pattern.test(text));
+        const hazard = HAZARD_TERMS.test(text);
+        const praise = NON_ISSUE_TERMS.test(text);
+
+        let score = hasInfrastructure ? 0.25 : 0;
+        score += matched.reduce((sum, p) => sum + p.weight, 0);
+        if (hazard) score += 0.15;
+        if (praise) score -= 0.4;
+
+        // A complaint about something else (a pothole on the carriageway) needs the footpath context
+        const isIssue = hasInfrastructure && score >= ISSUE_THRESHOLD;
+        if (!isIssue) {
+            // The lexicon is mostly English: not finding a complaint in other languages proves little
+            const language = detectLanguage(original);
+            const maxConfidence = !language || language === 'en' ? 0.95 : 0.6;
+            return {
+                isIssue: false,
+                location: null,
+                locationParts: null,
+                issueTypes: [],
+                issueType: null,
+                severity: null,
+                accessibilityImpact: false,
+                confidence: round(Math.min(maxConfidence, Math.max(0.5, 1 - score))),
+                classifier: 'rules'
+            };
+        }
+
+        const issueTypes = matched.length > 0 ? [...new Set(matched.map(p => p.type))] : ['other'];
+        const baseSeverity = Math.max(...issueTypes.map(type => BASE_SEVERITY[type] || 2));
+        const { location, locationParts } = this.locate(original);
+
+        return {
+            isIssue: true,
+            location,
+            locationParts,
+            issueTypes,
+            issueType: issueTypes[0],
+            severity: Math.min(5, baseSeverity + (hazard ? 1 : 0)),
+            accessibilityImpact: ACCESSIBILITY_TERMS.test(text) || issueTypes.some(type => ISSUE_TAXONOMY[type].accessibility),
+            confidence: round(Math.min(0.9, score)),
+            classifier: 'rules'
+        };
+    }
+
+    /**
+     * Location from gazetteer places (most specific first) plus any "Nth Cross/Main" address part
+     */
+    extractLocation(text) {
+        return this.locate(text).location;
+    }
+
+    /**
+     * Location string and its parts (street, crossRoad, locality, landmark) as AiAnalysisService returns them
+     */
+    locate(text) {
+        const places = findPlaces(text);
+        text = transliterate(text);
+        const specific = places.find(p => p.kind === 'landmark' || p.kind === 'road');
+        const road = places.find(p => p.kind === 'road');
+        const landmark = places.find(p => p.kind === 'landmark');
+        const locality = places.find(p => p.kind === 'locality');
+        const address = (text.match(ADDRESS_PATTERN) || [])[1];
+
+        const parts = [address, specific && specific.name, locality && locality.name].filter(Boolean);
+        // An address fragment alone ("5th Cross") can't be geocoded
+        if (parts.length === 0 || (parts.length === 1 && address)) return { location: null, locationParts: null };
+
+        return {
+            location: `${parts.join(', ')}, Bangalore`,
+            locationParts: {
+                street: road ? road.name : null,
+                crossRoad: address || null,
+                locality: locality ? locality.name : null,
+                landmark: landmark ? landmark.name : null
+            }
+        };
+    }
+
+    /**
+     * Batch wrapper matching AiAnalysisService.analyzeBatch
+     * @param {Array} posts - Array of {id, text} objects
+     */
+    analyzeBatch(posts) {
+        return posts.map(post => ({ ...post, aiAnalysis: this.analyze(post.text) }));
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Stored as the prompt version of rule verdicts; bump when the lexicon changes
+RuleClassifier.VERSION = 'rules-v2';
+
+module.exports = RuleClassifier;
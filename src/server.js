@@ -2,14 +2,24 @@ const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
 const path = require('path');
-const TwitterService = require('./twitterService');
+const ingestion = require('./ingestion');
 const IssueProcessor = require('./issueProcessor'); // New Service
+const BackfillService = require('./backfillService');
+const MediaArchiver = require('./mediaArchiver');
+const ReportService = require('./reportService');
+const ImportService = require('./importService');
+const { createRateLimiter } = require('./rateLimiter');
+const { ISSUE_TAXONOMY } = require('./issueTypes');
+const multer = require('multer');
 const db = require('./db');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy: use X-Forwarded-For as req.ip (rate limiting)
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*'
@@ -22,32 +32,16 @@ app.use(express.static('public')); // Fallback for old assets if any
 
 
 /**
- * Job 1: Ingestion (Fetch Tweets -> DB)
+ * Job 1: Ingestion (Source Adapters -> DB)
+ * @param {string} trigger - 'cron' | 'manual' | 'api' (recorded in ingestion_runs)
  */
-async function runIngestion() {
-  try {
-    console.log('📥 Starting Ingestion Job...');
-    await db.initDB();
-    const twitterService = new TwitterService();
-
-    // Get latest ID to fetch only new tweets
-    const sinceId = await db.getLatestTweetId();
-    console.log(`   Latest tweet ID: ${sinceId || 'None'}`);
-
-    const tweetsData = await twitterService.fetchRecentTweets(sinceId);
-
-    if (tweetsData.tweets.length === 0) {
-      console.log('   No new tweets found.');
-      return;
-    }
-
-    const processedData = await twitterService.processTweets(tweetsData);
-    const savedCount = await db.savePosts(processedData);
+async function runIngestion(trigger) {
+  console.log('📥 Starting Ingestion Job...');
+  await db.initDB();
 
-    console.log(`✅ Ingestion Complete: Saved ${savedCount} posts.`);
-  } catch (error) {
-    console.error('❌ Ingestion Error:', error.message);
-  }
+  const run = await ingestion.runIngestion({ trigger });
+  console.log(`✅ Ingestion ${run.status}: ${run.inserted} new, ${run.updated} updated (${run.fetched} fetched).`);
+  return run;
 }
 
 /**
@@ -65,15 +59,36 @@ async function runProcessing() {
   }
 }
 
+/**
+ * Job 3: Historical backfill (resumable, one account watch at a time)
+ */
+const backfillService = new BackfillService();
+
+let mediaArchiver = null;
+try {
+  mediaArchiver = new MediaArchiver();
+} catch (error) {
+  console.error('⚠️  Media storage unavailable:', error.message);
+}
+
+const reportService = new ReportService(mediaArchiver);
+const importService = new ImportService();
+
 // API Routes
 
 /**
  * GET /api/locations
- * Returns all posts with coordinates for map display
+ * Returns all posts with coordinates for map display.
+ * Filters: ?author=, ?type=broken_slab,open_drain, ?minSeverity=3, ?accessibility=true
  */
 app.get('/api/locations', async (req, res) => {
   try {
-    const locations = await db.getLocations();
+    const locations = await db.getLocations({
+      author: req.query.author,
+      types: req.query.type ? req.query.type.split(',') : undefined,
+      minSeverity: parseInt(req.query.minSeverity) || undefined,
+      accessibility: req.query.accessibility === undefined ? undefined : req.query.accessibility === 'true'
+    });
     res.json({
       lastUpdated: new Date(),
       count: locations.length,
@@ -85,13 +100,23 @@ app.get('/api/locations', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/issue-types
+ * Issue taxonomy: id, label and whether the type itself affects accessibility
+ */
+app.get('/api/issue-types', (req, res) => {
+  res.json({
+    issueTypes: Object.entries(ISSUE_TAXONOMY).map(([id, { label, accessibility }]) => ({ id, label, accessibility }))
+  });
+});
+
 /**
  * GET /api/posts
  * Returns all posts
  */
 app.get('/api/posts', async (req, res) => {
   try {
-    const data = await db.getAllPosts();
+    const data = await db.getAllPosts({ author: req.query.author });
     res.json({
       lastUpdated: new Date(),
       ...data
@@ -102,21 +127,388 @@ app.get('/api/posts', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/posts/:id/analyses
+ * Analysis history of one post (text and photo verdicts), newest first
+ */
+app.get('/api/posts/:id/analyses', async (req, res) => {
+  try {
+    const existing = await db.getExistingPostIds([req.params.id]);
+    if (!existing.has(req.params.id)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const analyses = await db.getAnalyses(req.params.id);
+    res.json({ postId: req.params.id, analyses });
+  } catch (error) {
+    console.error('Error reading analyses:', error);
+    res.status(500).json({ error: 'Failed to read analyses' });
+  }
+});
+
+/**
+ * GET /media/:id/:size
+ * Serves archived attachments (size: original | medium | thumb).
+ * Falls back to the source URL when the file has not been archived.
+ */
+app.get('/media/:id/:size', async (req, res) => {
+  const { size } = req.params;
+  if (!MediaArchiver.SIZES.includes(size) || !/^\d+$/.test(req.params.id)) {
+    return res.status(404).end();
+  }
+
+  try {
+    const media = await db.getMedia(parseInt(req.params.id));
+    if (!media) {
+      return res.status(404).end();
+    }
+
+    const file = mediaArchiver ? await mediaArchiver.read(media, size) : null;
+    if (!file) {
+      return res.redirect(302, media.sourceUrl);
+    }
+
+    // Keys are content-addressed, so a given id/size never changes
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(file.contentType).send(file.buffer);
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * GET /api/reporters
+ * Returns post authors with post/mapped counts (for filtering)
+ */
+app.get('/api/reporters', async (req, res) => {
+  try {
+    const reporters = await db.getReporters();
+    res.json({ count: reporters.length, reporters });
+  } catch (error) {
+    console.error('Error reading reporters:', error);
+    res.status(500).json({ error: 'Failed to read reporters' });
+  }
+});
+
+// --- Citizen Reports (web form submissions) ---
+
+const reportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: ReportService.MAX_PHOTOS,
+    fileSize: ReportService.MAX_PHOTO_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('photos', ReportService.MAX_PHOTOS);
+
+const reportLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REPORT_RATE_LIMIT) || 5,
+  message: 'Too many reports from this address. Please try again later.'
+});
+
+/**
+ * POST /api/reports (multipart/form-data)
+ * Fields: description, issueType, lat, lon, photos[] (up to 4 images)
+ * Queued for AI review; the pin becomes the location once the issue is confirmed.
+ */
+app.post('/api/reports', reportLimiter, (req, res) => {
+  reportUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'Each photo must be under 5 MB'
+        : uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Only up to ${ReportService.MAX_PHOTOS} image files are accepted`
+          : uploadError.message;
+      return res.status(400).json({ success: false, error: message });
+    }
+
+    // Honeypot: real users never see the "website" field
+    if (req.body.website) {
+      return res.status(201).json({ success: true, id: null });
+    }
+
+    const files = req.files || [];
+    const { errors, report } = reportService.validate(req.body, files);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    try {
+      const result = await reportService.create(report, files);
+      res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error saving report:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to save report' });
+    }
+  });
+});
+
+// --- Watch List (accounts, hashtags and search queries to ingest) ---
+
+const WATCH_KINDS = ['account', 'hashtag', 'query'];
+
+/**
+ * Strip the leading @ / # users tend to paste along with handles and tags
+ */
+function normalizeWatchValue(kind, value) {
+  const trimmed = String(value).trim();
+  if (kind === 'account') return trimmed.replace(/^@/, '');
+  if (kind === 'hashtag') return trimmed.replace(/^#/, '');
+  return trimmed;
+}
+
+/**
+ * Protect admin endpoints with ADMIN_TOKEN (Bearer). Without a token they
+ * are closed, unless ADMIN_AUTH=off opens them (local development).
+ */
+function requireAdmin(req, res, next) {
+  if (process.env.ADMIN_AUTH === 'off') {
+    return next();
+  }
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ success: false, error: 'Admin endpoints are disabled: set ADMIN_TOKEN (or ADMIN_AUTH=off for local development)' });
+  }
+  if (req.get('Authorization') === `Bearer ${token}`) {
+    return next();
+  }
+  res.status(401).json({ success: false, error: 'Unauthorized' });
+}
+
+/**
+ * GET /api/watches
+ */
+app.get('/api/watches', requireAdmin, async (req, res) => {
+  try {
+    const watches = await db.getWatches();
+    res.json({ count: watches.length, watches });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/watches
+ * Body: { kind: 'account' | 'hashtag' | 'query', value: string, enabled?: boolean }
+ */
+app.post('/api/watches', requireAdmin, async (req, res) => {
+  const { kind, value, enabled } = req.body || {};
+
+  if (!WATCH_KINDS.includes(kind)) {
+    return res.status(400).json({ success: false, error: `kind must be one of: ${WATCH_KINDS.join(', ')}` });
+  }
+  const normalized = value ? normalizeWatchValue(kind, value) : '';
+  if (!normalized) {
+    return res.status(400).json({ success: false, error: 'value is required' });
+  }
+
+  try {
+    const watch = await db.createWatch(kind, normalized, enabled !== false);
+    res.status(201).json({ success: true, watch });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Watch already exists' });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/watches/:id
+ * Body: { value?: string, enabled?: boolean }
+ */
+app.patch('/api/watches/:id', requireAdmin, async (req, res) => {
+  const { value, enabled } = req.body || {};
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'enabled must be a boolean' });
+  }
+
+  try {
+    const existing = Number.isInteger(Number(req.params.id)) ? await db.getWatch(Number(req.params.id)) : null;
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+
+    const watch = await db.updateWatch(existing.id, {
+      value: value !== undefined ? normalizeWatchValue(existing.kind, value) || undefined : undefined,
+      enabled
+    });
+    res.json({ success: true, watch });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Watch already exists' });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/watches/:id
+ */
+app.delete('/api/watches/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = Number.isInteger(Number(req.params.id)) && await db.deleteWatch(Number(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/backfill
+ * Returns backfill cursor state for every watch
+ */
+app.get('/api/backfill', requireAdmin, async (req, res) => {
+  try {
+    const backfills = await backfillService.getStatus();
+    res.json({ count: backfills.length, backfills });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/backfill (Backfill Trigger)
+ * Body: { watchId: number, restart?: boolean }
+ * Runs in the background; poll GET /api/backfill for progress.
+ */
+app.post('/api/backfill', requireAdmin, async (req, res) => {
+  const { watchId, restart } = req.body || {};
+
+  try {
+    const watch = Number.isInteger(watchId) ? await db.getWatch(watchId) : null;
+    if (!watch) {
+      return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    if (watch.kind !== 'account') {
+      return res.status(400).json({ success: false, error: 'Backfill is only supported for account watches' });
+    }
+
+    backfillService.run(watch.id, { restart: restart === true })
+      .catch(error => console.error(`❌ Backfill for @${watch.value} failed:`, error.message));
+    res.status(202).json({ success: true, message: `Backfill started for @${watch.value}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Bulk Import (CSV, GeoJSON, X archive) ---
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 1, fileSize: 50 * 1024 * 1024 }
+}).single('file');
+
+/**
+ * POST /api/import (multipart/form-data, admin)
+ * Fields: file, format?, mapping? (JSON or "text=Notes,lat=Lat"), source?, author?, dryRun?
+ */
+app.post('/api/import', requireAdmin, (req, res) => {
+  importUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ success: false, error: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'file is required' });
+    }
+
+    let mapping = req.body.mapping;
+    if (mapping && mapping.trim().startsWith('{')) {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        return res.status(400).json({ success: false, error: 'mapping is not valid JSON' });
+      }
+    }
+
+    let result;
+    try {
+      result = await importService.run(req.file.buffer.toString('utf8'), {
+        format: req.body.format || undefined,
+        filename: req.file.originalname,
+        mapping,
+        source: req.body.source || undefined,
+        author: req.body.author || undefined,
+        dryRun: ['true', '1'].includes(String(req.body.dryRun))
+      });
+    } catch (error) {
+      // Parse and mapping problems are the caller's; database failures are ours
+      const status = error.code ? 500 : 400;
+      console.error('Error importing file:', error.message);
+      return res.status(status).json({ success: false, error: error.message });
+    }
+
+    res.status(result.dryRun ? 200 : 201).json({ success: true, ...result });
+  });
+});
+
+/**
+ * GET /api/imports
+ * Paginated import history, newest first (?page=1&limit=20)
+ */
+app.get('/api/imports', requireAdmin, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const { total, imports } = await db.getImports({ limit, offset: (page - 1) * limit });
+    res.json({ page, limit, total, totalPages: Math.ceil(total / limit), imports });
+  } catch (error) {
+    console.error('Error reading imports:', error);
+    res.status(500).json({ error: 'Failed to read imports' });
+  }
+});
+
 /**
  * POST /api/refresh (Ingestion Trigger)
  */
 app.post('/api/refresh', async (req, res) => {
   try {
-    await runIngestion();
+    const run = await runIngestion('api');
     // Optionally trigger processing immediately after ingestion
     runProcessing();
 
-    res.json({ success: true, message: 'Ingestion triggered' });
+    res.json({ success: run.status !== 'failed', message: 'Ingestion triggered', run });
   } catch (error) {
+    console.error('❌ Ingestion Error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/ingestion/runs
+ * Paginated ingestion run history, newest first (?page=1&limit=20)
+ */
+app.get('/api/ingestion/runs', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const { total, runs } = await db.getIngestionRuns({ limit, offset: (page - 1) * limit });
+    res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      runs
+    });
+  } catch (error) {
+    console.error('Error reading ingestion runs:', error);
+    res.status(500).json({ error: 'Failed to read ingestion runs' });
+  }
+});
+
 /**
  * POST /api/process (Processing Trigger)
  */
@@ -138,6 +530,7 @@ app.get('/api/status', async (req, res) => {
     const data = await db.getAllPosts();
     const processingStats = await db.getProcessingStats();
     const processorStatus = issueProcessor.getStatus();
+    const lastIngestion = await db.getLastIngestionRun();
 
     res.json({
       status: 'online',
@@ -145,12 +538,18 @@ app.get('/api/status', async (req, res) => {
       totalPosts: data.totalPosts,
       postsWithCoords: data.postsWithCoords,
       postsMissingCoords: data.postsMissingCoords,
+      lastIngestion,
       processing: {
         ...processingStats,
         isProcessing: processorStatus.isProcessing,
         lastCycleTime: processorStatus.lastCycleTime,
         aiQuotaExhausted: processorStatus.aiStatus.quotaExhausted,
-        aiQuotaResetMinutes: processorStatus.aiStatus.minutesUntilReset
+        aiQuotaResetMinutes: processorStatus.aiStatus.minutesUntilReset,
+        aiQuotaResetTime: processorStatus.aiStatus.quotaResetTime,
+        aiProvider: processorStatus.aiStatus.activeProvider,
+        promptVersions: processorStatus.aiStatus.promptVersions,
+        aiBudget: processorStatus.aiStatus.providers.map(p => ({ provider: p.name, ...p.budget })),
+        aiProviders: processorStatus.aiStatus.providers
       }
     });
   } catch (error) {
@@ -162,7 +561,11 @@ app.get('/api/status', async (req, res) => {
 
 // 1. Ingestion: Every 2 days at 2 AM
 cron.schedule('0 2 */2 * *', async () => {
-  await runIngestion();
+  try {
+    await runIngestion('cron');
+  } catch (error) {
+    console.error('❌ Ingestion Error:', error.message);
+  }
 });
 
 // 2. Continuous Processing Loop
@@ -178,14 +581,23 @@ async function startContinuousProcessing() {
   while (processingLoopRunning) {
     const result = await runProcessing();
 
-    // If quota exhausted, wait until reset
-    if (result?.skipped && result?.reason === 'quota_exhausted') {
-      const waitMs = Math.max((result.minutesUntilReset || 60) * 60 * 1000, 60000);
-      console.log(`⏸️  Pausing processing for ${Math.round(waitMs / 60000)} minutes due to quota...`);
+    // If quota exhausted, sleep until the provider's actual reset time
+    if (result?.skipped && (result?.reason === 'quota_exhausted' || result?.reason === 'quota_exhausted_mid_cycle')) {
+      const waitMs = result.quotaResetTime
+        ? Math.max(result.quotaResetTime - Date.now(), 60000)
+        : Math.max((result.minutesUntilReset || 60) * 60 * 1000, 60000);
+      console.log(`⏸️  Pausing processing for ${Math.round(waitMs / 60000)} minutes due to quota (until ${new Date(Date.now() + waitMs).toISOString()})...`);
       await new Promise(r => setTimeout(r, waitMs));
       continue;
     }
 
+    // Providers unreachable (outage, 5xx): the posts stay pending, try again in a minute
+    if (result?.skipped && result?.reason === 'provider_error') {
+      console.log('⏸️  AI providers failing. Retrying in 1 minute...');
+      await new Promise(r => setTimeout(r, 60 * 1000));
+      continue;
+    }
+
     // If nothing to process, check again in 5 minutes
     if (result?.reason === 'no_pending') {
       console.log('✅ All caught up! Checking again in 5 minutes...');
@@ -221,6 +633,11 @@ const startServer = async () => {
       startContinuousProcessing();
     }, 3000);
 
+    // Pick up backfills that were running when the server last stopped
+    backfillService.resumeInterrupted().catch(error => {
+      console.error('❌ Backfill Resume Error:', error.message);
+    });
+
   } catch (error) {
     console.error('Fatal error starting server:', error);
   }
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const SourceAdapter = require('./sourceAdapter');
+const { parseCsv } = require('../csv');
+
+/**
+ * CSV file adapter. Expected header row:
+ * id,text,created_at,media_urls,url
+ * Multiple media URLs are separated by "|" or whitespace.
+ */
+class CsvSource extends SourceAdapter {
+    /**
+     * @param {string} filePath - Path to the .csv file
+     */
+    constructor(filePath) {
+        super('csv');
+        this.filePath = filePath;
+    }
+
+    async fetchPosts(cursor) {
+        const content = await fs.promises.readFile(this.filePath, 'utf8');
+        const posts = [];
+
+        parseCsv(content).forEach((row, index) => {
+            try {
+                posts.push(this.normalize(row));
+            } catch (error) {
+                // +2: header row and 1-based line numbers
+                console.warn(`   ⚠️  Skipping ${this.filePath} row ${index + 2}: ${error.message}`);
+            }
+        });
+
+        const newPosts = await this.filterNew(posts, cursor);
+        console.log(`Read ${posts.length} posts from ${this.filePath} (${newPosts.length} new)`);
+
+        return { posts: newPosts, cursor: this.latestCreatedAt(newPosts, cursor) };
+    }
+
+    normalize(row) {
+        if (!row.id || !row.text) {
+            throw new Error('Missing id or text');
+        }
+
+        return {
+            id: this.postId(row.id),
+            text: row.text,
+            createdAt: row.created_at || null,
+            mediaUrls: row.media_urls ? row.media_urls.split(/[|\s]+/).filter(Boolean) : [],
+            source: this.name,
+            sourceUrl: row.url || null
+        };
+    }
+}
+
+module.exports = CsvSource;
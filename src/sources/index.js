@@ -0,0 +1,56 @@
+const TwitterSource = require('./twitterSource');
+const JsonLinesSource = require('./jsonLinesSource');
+const CsvSource = require('./csvSource');
+const MastodonSource = require('./mastodonSource');
+require('dotenv').config();
+
+/**
+ * Factories for every known source, keyed by the name used in
+ * INGESTION_SOURCES. File sources read their path from the environment.
+ */
+const SOURCE_FACTORIES = {
+    twitter: () => new TwitterSource(),
+    jsonl: () => new JsonLinesSource(requireEnv('JSONL_SOURCE_PATH')),
+    csv: () => new CsvSource(requireEnv('CSV_SOURCE_PATH')),
+    mastodon: () => new MastodonSource(requireEnv('MASTODON_OUTBOX_PATH'), process.env.MASTODON_MEDIA_BASE_URL)
+};
+
+function requireEnv(name) {
+    if (!process.env[name]) {
+        throw new Error(`${name} is not set`);
+    }
+    return process.env[name];
+}
+
+/**
+ * Build the adapters listed in INGESTION_SOURCES (comma separated, default "twitter").
+ * Misconfigured sources are skipped with a warning so the others still run.
+ */
+function createEnabledSources(spec = process.env.INGESTION_SOURCES || 'twitter') {
+    const names = spec.split(',').map(s => s.trim()).filter(Boolean);
+    const sources = [];
+
+    for (const name of names) {
+        const factory = SOURCE_FACTORIES[name];
+        if (!factory) {
+            console.warn(`⚠️  Unknown ingestion source "${name}". Skipping.`);
+            continue;
+        }
+        try {
+            sources.push(factory());
+        } catch (error) {
+            console.warn(`⚠️  Ingestion source "${name}" disabled: ${error.message}`);
+        }
+    }
+
+    return sources;
+}
+
+module.exports = {
+    SOURCE_FACTORIES,
+    createEnabledSources,
+    TwitterSource,
+    JsonLinesSource,
+    CsvSource,
+    MastodonSource
+};
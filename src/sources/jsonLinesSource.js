@@ -0,0 +1,52 @@
+const fs = require('fs');
+const SourceAdapter = require('./sourceAdapter');
+
+/**
+ * JSON Lines file adapter. One post per line:
+ * {"id": "...", "text": "...", "created_at": "...", "media_urls": [...], "url": "..."}
+ */
+class JsonLinesSource extends SourceAdapter {
+    /**
+     * @param {string} filePath - Path to the .jsonl file
+     */
+    constructor(filePath) {
+        super('jsonl');
+        this.filePath = filePath;
+    }
+
+    async fetchPosts(cursor) {
+        const content = await fs.promises.readFile(this.filePath, 'utf8');
+        const posts = [];
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                posts.push(this.normalize(JSON.parse(line)));
+            } catch (error) {
+                console.warn(`   ⚠️  Skipping ${this.filePath}:${index + 1}: ${error.message}`);
+            }
+        });
+
+        const newPosts = await this.filterNew(posts, cursor);
+        console.log(`Read ${posts.length} posts from ${this.filePath} (${newPosts.length} new)`);
+
+        return { posts: newPosts, cursor: this.latestCreatedAt(newPosts, cursor) };
+    }
+
+    normalize(item) {
+        if (!item.id || !item.text) {
+            throw new Error('Missing id or text');
+        }
+
+        return {
+            id: this.postId(item.id),
+            text: item.text,
+            createdAt: item.createdAt || item.created_at || null,
+            mediaUrls: item.mediaUrls || item.media_urls || [],
+            source: this.name,
+            sourceUrl: item.url || null
+        };
+    }
+}
+
+module.exports = JsonLinesSource;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const SourceAdapter = require('./sourceAdapter');
+
+/**
+ * Mastodon / ActivityPub export adapter.
+ * Reads the `outbox.json` from a Mastodon account archive (an
+ * OrderedCollection of Create activities wrapping Note objects).
+ */
+class MastodonSource extends SourceAdapter {
+    /**
+     * @param {string} filePath - Path to outbox.json
+     * @param {string} [mediaBaseUrl] - Instance URL used to resolve archive-relative attachment paths
+     */
+    constructor(filePath, mediaBaseUrl = null) {
+        super('mastodon');
+        this.filePath = filePath;
+        this.mediaBaseUrl = mediaBaseUrl;
+    }
+
+    async fetchPosts(cursor) {
+        const outbox = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        const items = outbox.orderedItems || [];
+
+        // Boosts (Announce) and other activities are not original reports
+        const posts = items
+            .filter(activity => activity.type === 'Create' && activity.object && activity.object.type === 'Note')
+            .map(activity => this.normalize(activity.object));
+
+        const newPosts = await this.filterNew(posts, cursor);
+        console.log(`Read ${posts.length} posts from ${this.filePath} (${newPosts.length} new)`);
+
+        return { posts: newPosts, cursor: this.latestCreatedAt(newPosts, cursor) };
+    }
+
+    normalize(note) {
+        // Note IDs are URLs like https://instance/users/me/statuses/1234
+        const statusId = String(note.id).split('/').pop();
+
+        return {
+            id: this.postId(statusId),
+            text: htmlToText(note.content || ''),
+            createdAt: note.published || null,
+            mediaUrls: (note.attachment || [])
+                .filter(a => !a.mediaType || a.mediaType.startsWith('image/'))
+                .map(a => this.resolveMediaUrl(a.url)),
+            source: this.name,
+            sourceUrl: note.url || note.id,
+            // Archives only contain our own posts, so a conversation here is a self-thread
+            conversationId: note.conversation || null,
+            inReplyToId: note.inReplyTo ? this.postId(String(note.inReplyTo).split('/').pop()) : null
+        };
+    }
+
+    resolveMediaUrl(url) {
+        if (/^https?:\/\//.test(url) || !this.mediaBaseUrl) return url;
+        return new URL(url, this.mediaBaseUrl).toString();
+    }
+}
+
+/**
+ * Strip Mastodon's HTML markup down to plain text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>\s*<p>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .trim();
+}
+
+module.exports = MastodonSource;
@@ -0,0 +1,89 @@
+const db = require('../db');
+
+/**
+ * Base class for ingestion sources.
+ *
+ * An adapter fetches raw items from somewhere (an API, an export file),
+ * normalizes them to the shape `db.savePosts` expects and knows how to
+ * resume from where the previous run stopped. Explicit coordinates in the
+ * text are extracted afterwards by the ingestion job, for every source alike.
+ *
+ * Normalized post shape:
+ * { id, text, createdAt, mediaUrls, source, sourceUrl,
+ *   authorHandle?, conversationId?, inReplyToId?, coordinates? }
+ */
+class SourceAdapter {
+    /**
+     * @param {string} name - Source identifier stored on each post (e.g. 'twitter')
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Cursor to resume from. File-based sources use the newest
+     * `created_at` already stored for this source.
+     */
+    async getCursor() {
+        return db.getLatestPostTime(this.name);
+    }
+
+    /**
+     * Fetch items newer than the cursor
+     * @param {*} cursor - Value returned by getCursor()
+     * @returns {Promise<{posts: Array, cursor: *}>}
+     */
+    async fetchPosts() {
+        throw new Error(`${this.constructor.name} must implement fetchPosts()`);
+    }
+
+    /**
+     * Persist the cursor returned by fetchPosts() once its posts are saved.
+     * File-based sources derive their cursor from stored posts, so this is a no-op.
+     * @param {*} cursor - Value returned in fetchPosts().cursor
+     */
+    async saveCursor() {}
+
+    /**
+     * Convert one raw item to the normalized post shape
+     * @param {Object} raw - Item as read from the source
+     */
+    normalize() {
+        throw new Error(`${this.constructor.name} must implement normalize()`);
+    }
+
+    /**
+     * Build a post ID that cannot collide with other sources.
+     * Twitter keeps its bare numeric IDs for backwards compatibility.
+     */
+    postId(rawId) {
+        return `${this.name}:${rawId}`;
+    }
+
+    /**
+     * Keep the posts not stored yet. Posts newer than the timestamp cursor
+     * are new; undated ones and those at or before it (several posts can
+     * share the cursor's timestamp) are checked by ID.
+     */
+    async filterNew(posts, cursor) {
+        if (!cursor) return posts;
+        const since = new Date(cursor).getTime();
+        const isNewer = p => p.createdAt && new Date(p.createdAt).getTime() > since;
+
+        const existing = await db.getExistingPostIds(posts.filter(p => !isNewer(p)).map(p => p.id));
+        return posts.filter(p => isNewer(p) || !existing.has(p.id));
+    }
+
+    /**
+     * Newest createdAt among normalized posts and the previous cursor (ISO string), used as the next cursor
+     */
+    latestCreatedAt(posts, cursor = null) {
+        const times = [...posts.map(p => p.createdAt), cursor]
+            .filter(Boolean)
+            .map(time => new Date(time).getTime())
+            .filter(t => !Number.isNaN(t));
+        return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+    }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,112 @@
+const SourceAdapter = require('./sourceAdapter');
+const TwitterService = require('../twitterService');
+const db = require('../db');
+
+/**
+ * X/Twitter API v2 adapter. Fetches every enabled entry on the watch list
+ * (accounts, hashtags, search queries), each with its own since_id cursor.
+ */
+class TwitterSource extends SourceAdapter {
+    constructor() {
+        super('twitter');
+        this.twitterService = new TwitterService();
+    }
+
+    /**
+     * The cursor is the enabled watch list; each watch carries its own since_id
+     */
+    async getCursor() {
+        return db.getWatches({ enabledOnly: true });
+    }
+
+    /**
+     * @returns {Promise<{posts: Array, cursor: Array, errors: string[]}>} errors of the watches that failed
+     * @throws When every watch failed (e.g. bad credentials or rate limited)
+     */
+    async fetchPosts(watches) {
+        const postsById = new Map();
+        const cursor = [];
+        const errors = [];
+
+        for (const watch of watches) {
+            let tweetsData;
+            try {
+                tweetsData = await this.fetchWatch(watch);
+            } catch (error) {
+                // One bad handle or query should not block the rest of the list
+                console.error(`   ⚠️  Watch ${watch.kind} "${watch.value}" failed: ${error.message}`);
+                errors.push(`${watch.kind} "${watch.value}": ${error.message}`);
+                continue;
+            }
+
+            for (const tweet of tweetsData.tweets) {
+                // The same tweet can match several watches
+                if (!postsById.has(tweet.id)) {
+                    postsById.set(tweet.id, this.normalize(tweet, tweetsData.includes, watch));
+                }
+            }
+
+            cursor.push({ id: watch.id, sinceId: newestId(tweetsData.tweets) });
+        }
+
+        if (watches.length > 0 && errors.length === watches.length) {
+            throw new Error(errors.join('; '));
+        }
+        return { posts: [...postsById.values()], cursor, errors };
+    }
+
+    /**
+     * Persist per-watch since_id cursors once the posts are saved
+     */
+    async saveCursor(cursor) {
+        for (const entry of cursor) {
+            await db.updateWatchCursor(entry.id, entry.sinceId);
+        }
+    }
+
+    /**
+     * Fetch new tweets for a single watch
+     */
+    async fetchWatch(watch) {
+        switch (watch.kind) {
+            case 'account':
+                return this.twitterService.fetchRecentTweets(watch.sinceId, watch.value);
+            case 'hashtag':
+                return this.twitterService.searchRecentTweets(`#${watch.value} -is:retweet`, watch.sinceId);
+            case 'query':
+                return this.twitterService.searchRecentTweets(watch.value, watch.sinceId);
+            default:
+                throw new Error(`Unknown watch kind "${watch.kind}"`);
+        }
+    }
+
+    normalize(tweet, includes, watch = null) {
+        return {
+            id: tweet.id,
+            text: tweet.text,
+            createdAt: tweet.created_at,
+            mediaUrls: this.twitterService.getMediaUrls(tweet, includes),
+            source: this.name,
+            sourceUrl: null,
+            authorHandle: this.twitterService.getAuthorHandle(tweet, includes)
+                || (watch && watch.kind === 'account' ? watch.value : null),
+            conversationId: tweet.conversation_id || null,
+            inReplyToId: this.twitterService.getInReplyToId(tweet)
+        };
+    }
+}
+
+/**
+ * Largest tweet ID in a list (IDs are 64-bit snowflakes, compare as BigInt)
+ */
+function newestId(tweets) {
+    let newest = null;
+    for (const tweet of tweets) {
+        if (newest === null || BigInt(tweet.id) > BigInt(newest)) {
+            newest = tweet.id;
+        }
+    }
+    return newest;
+}
+
+module.exports = TwitterSource;
@@ -0,0 +1,34 @@
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Create the media storage backend selected by MEDIA_STORAGE ('local' | 's3' | 'none').
+ * Returns null when archival is disabled.
+ */
+function createStorage(kind = process.env.MEDIA_STORAGE || 'local') {
+    switch (kind) {
+        case 'none':
+            return null;
+        case 'local': {
+            const LocalStorage = require('./localStorage');
+            return new LocalStorage(process.env.MEDIA_DIR || path.join(__dirname, '../../data/media'));
+        }
+        case 's3': {
+            if (!process.env.MEDIA_S3_BUCKET) {
+                throw new Error('MEDIA_S3_BUCKET is not set');
+            }
+            // Loaded lazily so local-only deployments never touch the AWS SDK
+            const S3Storage = require('./s3Storage');
+            return new S3Storage({
+                bucket: process.env.MEDIA_S3_BUCKET,
+                prefix: process.env.MEDIA_S3_PREFIX || '',
+                endpoint: process.env.MEDIA_S3_ENDPOINT,
+                region: process.env.MEDIA_S3_REGION
+            });
+        }
+        default:
+            throw new Error(`Unknown MEDIA_STORAGE "${kind}"`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Media storage on local disk (default backend)
+ */
+class LocalStorage {
+    /**
+     * @param {string} rootDir - Directory objects are written under
+     */
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        // Keys are generated internally, but never let one escape the root
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = LocalStorage;
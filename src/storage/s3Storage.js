@@ -0,0 +1,56 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Media storage on S3 or any S3-compatible service (R2, MinIO, Spaces...)
+ */
+class S3Storage {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket
+     * @param {string} [options.prefix] - Key prefix inside the bucket
+     * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+     * @param {string} [options.region]
+     */
+    constructor({ bucket, prefix = '', endpoint, region = 'auto' }) {
+        this.name = 's3';
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.client = new S3Client({
+            region,
+            endpoint: endpoint || undefined,
+            // Path-style addressing is what most self-hosted S3 services expect
+            forcePathStyle: Boolean(endpoint)
+        });
+    }
+
+    async put(key, buffer, contentType) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key,
+            Body: buffer,
+            ContentType: contentType
+        }));
+    }
+
+    async get(key) {
+        try {
+            const res = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+            return Buffer.from(await res.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey') return null;
+            throw error;
+        }
+    }
+
+    async exists(key) {
+        try {
+            await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.prefix + key }));
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = S3Storage;
@@ -1,4 +1,5 @@
 const { TwitterApi } = require('twitter-api-v2');
+const { parseCoordinates } = require('./coordinateParser');
 require('dotenv').config();
 
 class TwitterService {
@@ -7,40 +8,47 @@ class TwitterService {
   }
 
   /**
-   * Fetch tweets from @caleb_friesen
+   * Common request options for timeline and search endpoints
    * @param {string} sinceId - Optional: Return results with an ID greater than (that is, more recent than) the specified ID.
    */
-  async fetchRecentTweets(sinceId = null) {
-    try {
-      const username = 'caleb_friesen';
-
-      // Get user ID first
-      const user = await this.client.v2.userByUsername(username);
-      if (!user.data) {
-        throw new Error(`User @${username} not found`);
-      }
+  buildFetchOptions(sinceId = null) {
+    const options = {
+      max_results: 100,
+      'tweet.fields': ['created_at', 'text', 'attachments', 'author_id', 'conversation_id', 'referenced_tweets'],
+      'media.fields': ['url', 'preview_image_url', 'type'],
+      'user.fields': ['username'],
+      expansions: ['attachments.media_keys', 'author_id']
+    };
+
+    if (sinceId) {
+      console.log(`Fetching tweets since ID: ${sinceId}`);
+      options.since_id = sinceId;
+    } else {
+      // First run: fetch last 60 days
+      const sixtyDaysAgo = new Date();
+      sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
+      options.start_time = sixtyDaysAgo.toISOString();
+    }
 
-      const userId = user.data.id;
+    return options;
+  }
 
-      const options = {
-        max_results: 100,
-        'tweet.fields': ['created_at', 'text', 'attachments'],
-        'media.fields': ['url', 'preview_image_url', 'type'],
-        expansions: ['attachments.media_keys']
-      };
+  /**
+   * Fetch tweets posted by an account
+   * @param {string} sinceId - Optional: Return results with an ID greater than (that is, more recent than) the specified ID.
+   * @param {string} username - Account handle without the leading @
+   */
+  async fetchRecentTweets(sinceId = null, username) {
+    if (!username) {
+      throw new Error('fetchRecentTweets requires a username');
+    }
 
-      if (sinceId) {
-        console.log(`Fetching tweets since ID: ${sinceId}`);
-        options.since_id = sinceId;
-      } else {
-        // First run: fetch last 60 days
-        const sixtyDaysAgo = new Date();
-        sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
-        options.start_time = sixtyDaysAgo.toISOString();
-      }
+    try {
+      // Get user ID first
+      const userId = await this.getUserId(username);
 
       // Fetch tweets with media information
-      const tweets = await this.client.v2.userTimeline(userId, options);
+      const tweets = await this.client.v2.userTimeline(userId, this.buildFetchOptions(sinceId));
 
       const allTweets = [];
       for await (const tweet of tweets) {
@@ -60,76 +68,100 @@ class TwitterService {
   }
 
   /**
-   * Parse coordinates from tweet text
-   * Supports multiple formats:
-   * - "Coords: 12.944583, 77.620572"
-   * - "12.944583, 77.620572" (plain coordinates)
-   * - "12.944583°N, 77.620572°E"
-   * - Google Maps URLs
+   * Resolve an account handle to its numeric user ID
+   * @param {string} username - Account handle without the leading @
    */
-  parseCoordinates(text) {
-    let lat = null;
-    let lon = null;
+  async getUserId(username) {
+    const user = await this.client.v2.userByUsername(username);
+    if (!user.data) {
+      throw new Error(`User @${username} not found`);
+    }
+    return user.data.id;
+  }
 
-    // Pattern 1: "Coords:" or "Coord:" prefix (case insensitive)
-    const coordPrefixRegex = /Coords?:\s*([\d.]+)\s*,\s*([\d.]+)/i;
-    let match = text.match(coordPrefixRegex);
+  /**
+   * Fetch a single page of an account's timeline, walking backwards in time.
+   * Used by backfill so progress can be checkpointed after every page.
+   * @param {string} userId - Numeric user ID (see getUserId)
+   * @param {Object} [page]
+   * @param {string} [page.untilId] - Only tweets older than this ID
+   * @param {string} [page.paginationToken] - next_token from the previous page
+   * @returns {Promise<{tweets: Array, includes: Object, nextToken: string|null}>}
+   */
+  async fetchTimelinePage(userId, { untilId = null, paginationToken = null } = {}) {
+    const options = this.buildFetchOptions(null);
+    // Backfill walks the whole timeline rather than the last 60 days
+    delete options.start_time;
 
-    if (match) {
-      lat = parseFloat(match[1]);
-      lon = parseFloat(match[2]);
-    }
+    if (untilId) options.until_id = untilId;
+    if (paginationToken) options.pagination_token = paginationToken;
 
-    // Pattern 2: Google Maps URLs
-    // Format: maps.google.com/?q=12.944583,77.620572 or google.com/maps/place/@12.944583,77.620572
-    if (!lat) {
-      const googleMapsRegex = /(?:maps\.google\.com\/\?q=|google\.com\/maps\/place\/@|maps\.app\.goo\.gl\/|@)([\d.]+)\s*,\s*([\d.]+)/i;
-      match = text.match(googleMapsRegex);
-      if (match) {
-        lat = parseFloat(match[1]);
-        lon = parseFloat(match[2]);
-      }
-    }
+    const page = await this.client.v2.userTimeline(userId, options);
 
-    // Pattern 3: Coordinates with degree symbols
-    // Format: 12.944583°N, 77.620572°E or 12.944583°, 77.620572°
-    if (!lat) {
-      const degreeRegex = /([\d.]+)°\s*[NS]?\s*,\s*([\d.]+)°\s*[EW]?/i;
-      match = text.match(degreeRegex);
-      if (match) {
-        lat = parseFloat(match[1]);
-        lon = parseFloat(match[2]);
-      }
-    }
+    return {
+      tweets: page.tweets,
+      includes: page.includes,
+      nextToken: page.meta.next_token || null
+    };
+  }
 
-    // Pattern 4: Plain coordinates (two decimal numbers separated by comma)
-    // Be more strict to avoid false positives - must have reasonable precision
-    if (!lat) {
-      const plainRegex = /\b(1[2-3]\.\d{4,})\s*,\s*(7[6-7]\.\d{4,})\b/;
-      match = text.match(plainRegex);
-      if (match) {
-        lat = parseFloat(match[1]);
-        lon = parseFloat(match[2]);
-      }
-    }
+  /**
+   * Fetch tweets matching a search query (recent search covers the last 7 days)
+   * @param {string} query - X search query, e.g. "#BengaluruFootpaths -is:retweet"
+   * @param {string} sinceId - Optional: Return results with an ID greater than the specified ID.
+   */
+  async searchRecentTweets(query, sinceId = null) {
+    try {
+      const options = this.buildFetchOptions(sinceId);
+      // Recent search rejects start_time older than 7 days
+      delete options.start_time;
+
+      const tweets = await this.client.v2.search(query, options);
 
-    // Pattern 5: Location pin emoji followed by coordinates
-    if (!lat) {
-      const pinRegex = /📍\s*([\d.]+)\s*,\s*([\d.]+)/;
-      match = text.match(pinRegex);
-      if (match) {
-        lat = parseFloat(match[1]);
-        lon = parseFloat(match[2]);
+      const allTweets = [];
+      for await (const tweet of tweets) {
+        allTweets.push(tweet);
       }
+
+      console.log(`Fetched ${allTweets.length} tweets for "${query}"`);
+
+      return {
+        tweets: allTweets,
+        includes: tweets.includes
+      };
+    } catch (error) {
+      console.error('Error searching tweets:', error);
+      throw error;
     }
+  }
 
-    // Validate coordinates are within Bangalore bounds (approximately)
-    // Bangalore: lat 12.7-13.3, lon 77.3-77.9
-    if (lat && lon && lat >= 12.7 && lat <= 13.3 && lon >= 77.3 && lon <= 77.9) {
-      return { lat, lon };
+  /**
+   * ID of the tweet this one replies to, if any
+   */
+  getInReplyToId(tweet) {
+    const parent = (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to');
+    return parent ? parent.id : null;
+  }
+
+  /**
+   * Resolve the author's handle from the response includes
+   */
+  getAuthorHandle(tweet, includes) {
+    if (!tweet.author_id || !includes || !includes.users) {
+      return null;
     }
+    const user = includes.users.find(u => u.id === tweet.author_id);
+    return user ? user.username : null;
+  }
 
-    return null;
+  /**
+   * Parse coordinates from tweet text
+   * Supports decimal pairs, degrees-minutes-seconds, Plus Codes, geo: URIs and
+   * Google / OpenStreetMap / Apple Maps links (see coordinateParser.PATTERNS).
+   * @returns {{lat: number, lon: number, pattern: string, confidence: number}|null}
+   */
+  parseCoordinates(text) {
+    return parseCoordinates(text);
   }
 
   /**
@@ -180,7 +212,8 @@ class TwitterService {
         id: tweet.id,
         text: tweet.text,
         createdAt: tweet.created_at,
-        url: `https://twitter.com/caleb_friesen/status/${tweet.id}`,
+        authorHandle: this.getAuthorHandle(tweet, includes),
+        url: `https://twitter.com/i/web/status/${tweet.id}`,
         mediaUrls: mediaUrls
       };
 
@@ -201,7 +234,7 @@ class TwitterService {
           console.log(`   🤖 AI Verified Issue: "${analysis.location}" (Conf: ${analysis.confidence})`);
 
           // 3. Geocode the extracted location
-          const geoResult = await geocoder.geocode(analysis.location);
+          const geoResult = await geocoder.geocode(analysis.location, analysis.locationParts);
 
           if (geoResult) {
             withCoords.push({
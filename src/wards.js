@@ -0,0 +1,80 @@
+const fs = require('fs');
+
+/**
+ * BBMP ward boundaries from a local GeoJSON file (WARD_BOUNDARIES_FILE),
+ * for naming the ward a point falls in. Ward files published by BBMP and
+ * OpenCity/DataMeet name their properties differently, so the first
+ * property found of each list is used.
+ */
+
+const NAME_PROPERTIES = ['ward_name', 'WARD_NAME', 'KGISWardName', 'wardname', 'name', 'Name'];
+const NUMBER_PROPERTIES = ['ward_no', 'WARD_NO', 'KGISWardNo', 'wardno', 'ward_id', 'WARD_ID'];
+
+function firstProperty(properties, keys) {
+    const key = keys.find(k => properties[k] !== undefined && properties[k] !== null && String(properties[k]).trim() !== '');
+    return key ? String(properties[key]).trim() : null;
+}
+
+/**
+ * Read ward polygons from a GeoJSON FeatureCollection of Polygon / MultiPolygon features
+ * @returns {Array<{name: string|null, number: string|null, polygons: Array, bbox: Object}>}
+ */
+function loadWards(file) {
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!geojson || !Array.isArray(geojson.features)) {
+        throw new Error(`${file}: not a GeoJSON FeatureCollection`);
+    }
+
+    return geojson.features
+        .filter(feature => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+        .map(feature => {
+            const properties = feature.properties || {};
+            // A Polygon is one list of rings (outer first, then holes); a MultiPolygon a list of those
+            const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            const points = polygons.flatMap(rings => rings[0] || []);
+            return {
+                name: firstProperty(properties, NAME_PROPERTIES),
+                number: firstProperty(properties, NUMBER_PROPERTIES),
+                polygons,
+                bbox: {
+                    minLon: Math.min(...points.map(p => p[0])),
+                    maxLon: Math.max(...points.map(p => p[0])),
+                    minLat: Math.min(...points.map(p => p[1])),
+                    maxLat: Math.max(...points.map(p => p[1]))
+                }
+            };
+        });
+}
+
+/**
+ * Ray casting over one ring of [lon, lat] positions
+ */
+function inRing(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function inPolygon(lat, lon, rings) {
+    const [outer, ...holes] = rings;
+    return Boolean(outer) && inRing(lat, lon, outer) && !holes.some(hole => inRing(lat, lon, hole));
+}
+
+/**
+ * Ward containing the point, or null outside every ward
+ */
+function findWard(wards, lat, lon) {
+    return wards.find(ward =>
+        lat >= ward.bbox.minLat && lat <= ward.bbox.maxLat &&
+        lon >= ward.bbox.minLon && lon <= ward.bbox.maxLon &&
+        ward.polygons.some(rings => inPolygon(lat, lon, rings))
+    ) || null;
+}
+
+module.exports = { loadWards, findWard };
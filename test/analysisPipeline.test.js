@@ -0,0 +1,188 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AiAnalysisService = require('../src/aiAnalysisService');
+const MockProvider = require('../src/llm/mockProvider');
+const IssueProcessor = require('../src/issueProcessor');
+const RuleClassifier = require('../src/ruleClassifier');
+
+const POSTS = [
+    { id: '101', text: 'Broken footpath near Indiranagar metro, slabs missing' },
+    { id: '102', text: 'Lovely weather in Bangalore today' },
+    { id: '103', text: 'Open drain on the footpath at Koramangala 5th Block, someone will fall in' }
+];
+const PHOTO = [{ mimeType: 'image/jpeg', data: 'AA==' }];
+
+function mock(options = {}) {
+    return new MockProvider({ batchSize: 10, vision: true, ...options });
+}
+
+// No store: quota state and usage stay in memory
+function service(...providers) {
+    return new AiAnalysisService(providers, null);
+}
+
+function byId(results) {
+    return Object.fromEntries(results.map(r => [r.id, r.aiAnalysis]));
+}
+
+// combineVerdicts only reads its arguments
+const combineVerdicts = (text, image) => IssueProcessor.prototype.combineVerdicts.call(null, text, image);
+
+test('classifies a batch deterministically', async () => {
+    const first = byId(await service(mock()).analyzeBatch(POSTS));
+    const second = byId(await service(mock()).analyzeBatch(POSTS));
+
+    assert.deepEqual(first, second);
+    assert.equal(first['101'].isIssue, true);
+    assert.equal(first['102'].isIssue, false);
+    assert.equal(first['103'].isIssue, true);
+});
+
+test('fails over to the next provider when one runs out of quota', async () => {
+    const exhausted = mock({ failWith: 'quota' });
+    const backup = mock();
+    const results = await service(exhausted, backup).analyzeBatch(POSTS);
+
+    assert.equal(exhausted.isQuotaExhausted(), true);
+    assert.equal(backup.calls, 1);
+    assert.ok(results.every(r => !r.aiAnalysis.skipped));
+});
+
+test('skips posts when every provider is out of quota', async () => {
+    const results = byId(await service(mock({ failWith: 'quota' })).analyzeBatch(POSTS));
+    assert.ok(Object.values(results).every(analysis => analysis.skipped));
+});
+
+test('fails over on server errors and leaves posts pending when no provider can be reached', async () => {
+    const down = mock({ failWith: 'unavailable' });
+    const backup = mock();
+    const failedOver = await service(down, backup).analyzeBatch(POSTS);
+    assert.ok(failedOver.every(r => !r.aiAnalysis.skipped && !r.aiAnalysis.unanswered));
+
+    const outage = byId(await service(mock({ failWith: 'unavailable' }), mock({ failWith: 'rate_limit', maxRetries: 0 })).analyzeBatch(POSTS));
+    for (const analysis of Object.values(outage)) {
+        assert.equal(analysis.skipped, true);
+        assert.equal(analysis.reason, 'provider_error');
+        assert.equal(analysis.unanswered, undefined);
+    }
+});
+
+test('counts a rejected request as an unanswered attempt', async () => {
+    const rejecting = mock({ failWith: 'error' });
+    const backup = mock();
+    const results = await service(rejecting, backup).analyzeBatch(POSTS);
+
+    // Not handed to the next provider: the request itself may be the problem
+    assert.equal(backup.calls, 0);
+    for (const result of results) {
+        assert.equal(result.aiAnalysis.unanswered, true);
+        assert.match(result.aiAnalysis.error, /400/);
+        assert.equal(result.analysisRecord.provider, 'mock');
+    }
+});
+
+test('repairs an invalid answer with one follow-up prompt', async () => {
+    const answer = { id: '101', is_issue: true, issue_types: ['broken_slab'], severity: 3, accessibility_impact: true, location: 'Indiranagar', confidence: 0.8 };
+    const prompts = [];
+    const provider = mock({
+        respond: (prompt) => {
+            prompts.push(prompt);
+            return JSON.stringify([prompts.length === 1 ? { ...answer, severity: 'high' } : answer]);
+        }
+    });
+    const [result] = await service(provider).analyzeBatch(POSTS.slice(0, 1));
+
+    assert.equal(provider.calls, 2);
+    // The repair prompt shows the model its answer and what was wrong with it
+    assert.match(prompts[1], /"severity":"high"/);
+    assert.match(prompts[1], /"severity" must be an integer from 1 to 5/);
+    assert.equal(result.aiAnalysis.severity, 3);
+    assert.equal(result.aiAnalysis.location, 'Indiranagar, Bangalore');
+    assert.equal(result.analysisRecord.rawResponse, JSON.stringify([answer]));
+});
+
+test('marks posts unanswered when the answers never validate', async () => {
+    const provider = mock({ respond: () => '[{"id": "101", "is_issue": "maybe"}]' });
+    const [result] = await service(provider).analyzeBatch(POSTS.slice(0, 1));
+
+    assert.equal(result.aiAnalysis.unanswered, true);
+    // First answer, repair prompt, then the post on its own
+    assert.equal(provider.calls, 3);
+});
+
+test('rule fallback covers exhausted quota but not failing providers', async () => {
+    const processor = (provider) => ({
+        aiService: service(provider),
+        ruleModes: new Set(['fallback']),
+        ruleClassifier: new RuleClassifier(),
+        ruleRecord: IssueProcessor.prototype.ruleRecord
+    });
+    const analyze = (provider) => IssueProcessor.prototype.analyze.call(processor(provider), POSTS, true);
+
+    const quota = await analyze(mock({ failWith: 'quota' }));
+    assert.ok(quota.every(r => r.analysisRecord.provider === 'rules' && !r.aiAnalysis.skipped));
+
+    const outage = await analyze(mock({ failWith: 'unavailable' }));
+    assert.ok(outage.every(r => r.aiAnalysis.skipped));
+});
+
+test('restores exhausted quota and daily usage after a restart', async () => {
+    // What AiAnalysisService reads and writes through db
+    const resets = new Map();
+    const usage = new Map();
+    const store = {
+        getAiQuotaReset: async (name) => resets.get(name) || null,
+        saveAiQuotaReset: async (name, resetTime) => { resets.set(name, resetTime); },
+        getAiUsage: async (name, day) => usage.get(`${name}/${day}`) || null,
+        recordAiUsage: async (name, day) => {
+            const row = usage.get(`${name}/${day}`) || { day, requests: 0, inputTokens: 0, outputTokens: 0 };
+            usage.set(`${name}/${day}`, { ...row, requests: row.requests + 1 });
+        }
+    };
+
+    await new AiAnalysisService([mock({ failWith: 'quota' })], store).analyzeBatch(POSTS);
+
+    const restarted = mock();
+    const ai = new AiAnalysisService([restarted], store);
+    await ai.loadState();
+
+    assert.equal(restarted.isQuotaExhausted(), true);
+    assert.equal(restarted.currentUsage().requests, 1);
+    const results = await ai.analyzeBatch(POSTS);
+    assert.equal(restarted.calls, 0);
+    assert.ok(results.every(r => r.aiAnalysis.skipped));
+});
+
+test('answers with a scripted response', async () => {
+    const provider = mock({ respond: () => '[{"id": "102", "is_issue": true, "issue_types": ["encroachment"], "severity": 3, "accessibility_impact": false, "location": "MG Road", "confidence": 0.9}]' });
+    const results = byId(await service(provider).analyzeBatch(POSTS.slice(1, 2)));
+
+    assert.equal(results['102'].isIssue, true);
+    assert.equal(results['102'].location, 'MG Road, Bangalore');
+});
+
+test('photo verdicts follow the post, so text and photo combine predictably', async () => {
+    const ai = service(mock());
+    const [issue, weather] = await ai.analyzeBatch(POSTS.slice(0, 2));
+    const issuePhoto = await ai.analyzeImages(POSTS[0], PHOTO);
+    const weatherPhoto = await ai.analyzeImages(POSTS[1], PHOTO);
+
+    assert.equal(issuePhoto.isIssue, true);
+    assert.equal(weatherPhoto.isIssue, false);
+    assert.equal(combineVerdicts(issue.aiAnalysis, issuePhoto).basis, 'text+image');
+    assert.equal(combineVerdicts(weather.aiAnalysis, weatherPhoto).isIssue, false);
+});
+
+test('a confident photo verdict turns a vague post into an issue', () => {
+    const text = { isIssue: false, issueTypes: [], severity: null, location: null, locationParts: null, confidence: 0.9 };
+    const photo = {
+        isIssue: true, issueTypes: ['broken_slab'], severity: 4, accessibilityImpact: true,
+        location: 'Jayanagar, Bangalore', locationParts: { locality: 'Jayanagar' }, confidence: 0.8
+    };
+
+    const combined = combineVerdicts(text, photo);
+    assert.equal(combined.isIssue, true);
+    assert.equal(combined.basis, 'image');
+    assert.equal(combined.location, 'Jayanagar, Bangalore');
+    assert.equal(combineVerdicts(text, { ...photo, confidence: 0.3 }).isIssue, false);
+});
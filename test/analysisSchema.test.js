@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAnalysisJson, validateAnalysisResponse, validateImageAnalysisResponse } = require('../src/analysisSchema');
+
+const VALID = {
+    id: '101',
+    is_issue: true,
+    issue_types: ['broken_slab'],
+    severity: 3,
+    accessibility_impact: true,
+    location: 'Indiranagar, Bangalore',
+    location_parts: { street: '100 Feet Road', cross_road: null, locality: 'Indiranagar', landmark: null },
+    confidence: 0.8
+};
+
+test('finds the answer array in fenced, wrapped or chatty responses', () => {
+    const array = JSON.stringify([VALID]);
+
+    assert.equal(parseAnalysisJson('```json\n' + array + '\n```').items.length, 1);
+    assert.equal(parseAnalysisJson(`Here you go: ${array} Let me know!`).items.length, 1);
+    assert.equal(parseAnalysisJson(JSON.stringify({ results: [VALID] })).items.length, 1);
+    assert.match(parseAnalysisJson('I cannot help with that.').error, /No JSON array/);
+    assert.match(parseAnalysisJson('').error, /Empty/);
+});
+
+test('accepts a valid entry and converts it to an analysis', () => {
+    const { results, errors, missingIds } = validateAnalysisResponse([VALID], ['101']);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(missingIds, []);
+    assert.deepEqual(results.get('101'), {
+        isIssue: true,
+        issueTypes: ['broken_slab'],
+        issueType: 'broken_slab',
+        severity: 3,
+        accessibilityImpact: true,
+        location: 'Indiranagar, Bangalore',
+        locationParts: { street: '100 Feet Road', crossRoad: null, locality: 'Indiranagar', landmark: null },
+        confidence: 0.8
+    });
+});
+
+test('rejects invalid entries with a reason for each', () => {
+    const invalid = [
+        [{ ...VALID, id: 101 }, /"id" must be the post ID/],
+        [{ ...VALID, is_issue: 'yes' }, /"is_issue" must be true or false/],
+        [{ ...VALID, issue_types: [] }, /"issue_types" must be a non-empty array/],
+        [{ ...VALID, issue_types: ['pothole'] }, /"issue_types" values must be from/],
+        [{ ...VALID, severity: 7 }, /"severity" must be an integer from 1 to 5/],
+        [{ ...VALID, accessibility_impact: 'no' }, /"accessibility_impact"/],
+        [{ ...VALID, location: '  ' }, /"location" must be a non-empty string or null/],
+        [{ ...VALID, confidence: 1.5 }, /"confidence" must be a number between 0 and 1/],
+        [{ ...VALID, location_parts: { street: 42 } }, /"location_parts"/],
+        [{ ...VALID, id: '999' }, /does not match any post/],
+        ['not an object', /entry is not an object/]
+    ];
+
+    for (const [item, reason] of invalid) {
+        const { results, errors, missingIds } = validateAnalysisResponse([item], ['101']);
+        assert.equal(results.size, 0, `accepted ${JSON.stringify(item)}`);
+        assert.match(errors[0], reason);
+        assert.deepEqual(missingIds, ['101']);
+    }
+});
+
+test('keeps the first of duplicate answers and reports missing posts', () => {
+    const { results, errors, missingIds } = validateAnalysisResponse([VALID, { ...VALID, severity: 5 }], ['101', '102']);
+
+    assert.equal(results.get('101').severity, 3);
+    assert.match(errors[0], /duplicate answer/);
+    assert.deepEqual(missingIds, ['102']);
+});
+
+test('does not require a classification for non-issues', () => {
+    const { results, errors } = validateAnalysisResponse(
+        [{ id: '102', is_issue: false, issue_types: [], severity: null, accessibility_impact: false, location: null, confidence: 0.9 }],
+        ['102']
+    );
+
+    assert.deepEqual(errors, []);
+    assert.equal(results.get('102').severity, null);
+    assert.deepEqual(results.get('102').issueTypes, []);
+});
+
+test('photo answers also need landmarks', () => {
+    const photo = { ...VALID, is_issue: undefined, visible_issue: true, landmarks: ['Domlur bus stop', ' '] };
+
+    assert.deepEqual(validateImageAnalysisResponse([photo], ['101']).results.get('101').landmarks, ['Domlur bus stop']);
+    assert.match(validateImageAnalysisResponse([{ ...photo, landmarks: 'none' }], ['101']).errors[0], /"landmarks"/);
+});
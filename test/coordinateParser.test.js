@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCoordinates, decodePlusCode } = require('../src/coordinateParser');
+
+function assertNear(actual, expected, tolerance = 1e-4) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('parses degrees-minutes-seconds and decimal minutes', () => {
+    const dms = parseCoordinates('Broken slab at 12°58\'17.8"N 77°35\'40.6"E, please fix');
+    assert.equal(dms.pattern, 'dms');
+    assertNear(dms.lat, 12.971611);
+    assertNear(dms.lon, 77.594611);
+
+    const minutes = parseCoordinates('12°58.296\'N 77°35.676\'E');
+    assert.equal(minutes.pattern, 'dms');
+    assertNear(minutes.lat, 12.9716);
+    assertNear(minutes.lon, 77.5946);
+});
+
+test('decodes full and short Plus Codes to the same point', () => {
+    const full = parseCoordinates('Open drain here 7J4VWHM7+8R');
+    const short = parseCoordinates('WHM7+8R Bengaluru');
+    const decoded = decodePlusCode('7J4VWHM7+8R');
+
+    assert.equal(full.pattern, 'plus_code');
+    assert.equal(short.pattern, 'plus_code_short');
+    assertNear(full.lat, decoded.lat);
+    assertNear(full.lon, decoded.lon);
+    assertNear(short.lat, full.lat);
+    assertNear(short.lon, full.lon);
+});
+
+test('parses geo: URIs', () => {
+    const point = parseCoordinates('geo:12.9716,77.5946');
+    assert.equal(point.pattern, 'geo_uri');
+    assert.equal(point.lat, 12.9716);
+    assert.equal(point.lon, 77.5946);
+    assert.equal(point.confidence, 0.95);
+});
+
+test('prefers the OSM marker and scales viewport uncertainty with zoom', () => {
+    const marker = parseCoordinates('https://www.openstreetmap.org/?mlat=12.9716&mlon=77.5946#map=18/12.9716/77.5946');
+    assert.equal(marker.pattern, 'osm_marker');
+
+    const close = parseCoordinates('https://www.openstreetmap.org/#map=17/12.9716/77.5946');
+    const far = parseCoordinates('https://www.openstreetmap.org/#map=12/12.9716/77.5946');
+    assert.equal(close.pattern, 'osm_map');
+    assert.equal(close.confidence, 0.8);
+    assert.equal(far.confidence, 0.5);
+    assert.ok(far.uncertaintyM > close.uncertaintyM);
+});
+
+test('parses Apple and Google Maps links', () => {
+    const apple = parseCoordinates('https://maps.apple.com/?ll=12.9716,77.5946&q=Dropped%20Pin');
+    assert.equal(apple.pattern, 'apple_maps');
+    assert.equal(apple.lat, 12.9716);
+
+    const viewport = parseCoordinates('https://www.google.com/maps/@12.9352,77.6245,16z');
+    assert.equal(viewport.pattern, 'google_maps');
+    assert.equal(viewport.lon, 77.6245);
+
+    const query = parseCoordinates('https://maps.google.com/?q=12.9716,77.5946');
+    assert.equal(query.pattern, 'google_maps');
+});
+
+test('does not read "@lat,lon" outside a Google Maps URL as a map link', () => {
+    assert.equal(parseCoordinates('Ping @12.97,77.59 about this'), null);
+
+    const elsewhere = parseCoordinates('https://example.com/@12.9716,77.5946,17z');
+    assert.notEqual(elsewhere.pattern, 'google_maps');
+});
+
+test('ignores points outside the city', () => {
+    assert.equal(parseCoordinates('geo:40.7128,-74.0060'), null);
+});
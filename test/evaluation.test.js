@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchLocation, normalizeLocation, scoreCases } = require('../src/evaluation');
+
+const CASES = [
+    { id: 'a', text: 'Broken slabs on CMH Road', isIssue: true, issueTypes: ['broken_slab'], location: 'CMH Road, Indiranagar' },
+    { id: 'b', text: 'Cars parked on the footpath in Jayanagar', isIssue: true, issueTypes: ['parked_vehicles'], location: 'Jayanagar 4th Block' },
+    { id: 'c', text: 'Lovely weather today', isIssue: false },
+    { id: 'd', text: 'Open drain near Domlur flyover', isIssue: true, issueTypes: ['open_drain'], location: 'Domlur' },
+    { id: 'e', text: 'Kudos to BBMP for the new footpath', isIssue: false }
+];
+
+function issue(issueTypes, location) {
+    return { isIssue: true, issueTypes, location };
+}
+
+test('normalizes case, punctuation, stopwords and the city name', () => {
+    assert.equal(normalizeLocation('Near CMH Road, Indiranagar, Bengaluru.'), 'cmh road indiranagar');
+    assert.equal(normalizeLocation(null), '');
+});
+
+test('matches locations exactly, by containment or by word overlap', () => {
+    assert.deepEqual(matchLocation('CMH Road, Indiranagar', 'cmh road indiranagar, Bangalore'), { exact: true, fuzzy: true, similarity: 1 });
+    assert.equal(matchLocation('Jayanagar 4th Block', 'Jayanagar').fuzzy, true);
+    assert.deepEqual(matchLocation('HAL 2nd Stage, Indiranagar', 'Indiranagar HAL 2nd Stage Double Road'), { exact: false, fuzzy: true, similarity: 0.667 });
+    assert.equal(matchLocation('CMH Road, Indiranagar', 'Hosur Road, Koramangala').fuzzy, false);
+    assert.equal(matchLocation('Domlur', null).fuzzy, false);
+});
+
+test('scores detection, types and locations', () => {
+    const predictions = new Map([
+        ['a', issue(['broken_slab'], 'CMH Road, Indiranagar, Bangalore')],
+        ['b', issue(['encroachment', 'parked_vehicles'], 'Koramangala')],
+        ['c', issue(['other'], null)],
+        ['d', { isIssue: false }],
+        ['e', { isIssue: false }]
+    ]);
+    const { detection, types, location, mistakes } = scoreCases(CASES, predictions);
+
+    assert.deepEqual([detection.tp, detection.fp, detection.fn, detection.tn], [2, 1, 1, 1]);
+    assert.equal(detection.precision, 0.667);
+    assert.equal(detection.recall, 0.667);
+    assert.equal(detection.accuracy, 0.6);
+    assert.deepEqual([types.evaluated, types.primaryMatch, types.anyOverlap], [2, 1, 2]);
+    assert.deepEqual([location.evaluated, location.exact, location.fuzzy], [2, 1, 1]);
+    assert.deepEqual(mistakes.map(m => `${m.id}:${m.kind}`), ['b:location', 'c:false_positive', 'd:false_negative']);
+});
+
+test('leaves unanswered and skipped cases out of the detection rates', () => {
+    const predictions = new Map([
+        ['a', issue(['broken_slab'], 'CMH Road')],
+        ['b', { isIssue: false, unanswered: true, error: 'invalid JSON' }],
+        ['c', { isIssue: false, skipped: true }],
+        ['e', { isIssue: false }]
+    ]);
+    const { detection, mistakes } = scoreCases(CASES, predictions);
+
+    // b and d are issues, c is not: none of them counts as a miss or a correct rejection
+    assert.deepEqual([detection.tp, detection.fp, detection.fn, detection.tn], [1, 0, 0, 1]);
+    assert.equal(detection.unanswered, 3);
+    assert.equal(detection.recall, 1);
+    assert.equal(detection.accuracy, 1);
+    assert.deepEqual(mistakes.filter(m => m.kind === 'unanswered').map(m => m.id), ['b', 'c', 'd']);
+});
+
+test('reports no accuracy when nothing was answered', () => {
+    const { detection } = scoreCases(CASES, new Map());
+    assert.equal(detection.unanswered, CASES.length);
+    assert.equal(detection.accuracy, null);
+    assert.equal(detection.recall, null);
+});
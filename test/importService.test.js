@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const ImportService = require('../src/importService');
+
+const CSV = 'id,Notes,Latitude,Longitude\n1,Slabs missing near the bus stop,12.9716,77.5946\n';
+const MAPPING = 'text=Notes,lat=Latitude,lon=Longitude';
+
+const ARCHIVE = `window.YTD.tweets.part0 = ${JSON.stringify([
+    { tweet: { id_str: '1790000000000000001', full_text: 'Broken footpath on 100 Feet Road', created_at: 'Mon May 13 10:00:00 +0000 2024' } },
+    { tweet: { id_str: 'draft-7', full_text: 'Open drain at Domlur', created_at: 'Mon May 13 11:00:00 +0000 2024' } },
+    { tweet: { id_str: '1790000000000000002', full_text: 'RT @someone: footpath photo', created_at: 'Mon May 13 12:00:00 +0000 2024' } }
+])};`;
+
+// Dry runs only look up which ids already exist
+async function dryRun(content, options) {
+    const original = db.getExistingPostIds;
+    db.getExistingPostIds = async () => new Set();
+    try {
+        return await new ImportService().run(content, { ...options, dryRun: true });
+    } finally {
+        db.getExistingPostIds = original;
+    }
+}
+
+test('rejects sources owned by ingestion and web reports', async () => {
+    const service = new ImportService();
+
+    for (const source of ['twitter', 'web', 'report', 'csv', 'jsonl', 'mastodon']) {
+        await assert.rejects(
+            service.run(CSV, { format: 'csv', mapping: MAPPING, source, dryRun: true }),
+            /is reserved/,
+            source
+        );
+    }
+});
+
+test('namespaces CSV rows under the import source', async () => {
+    const named = await dryRun(CSV, { format: 'csv', mapping: MAPPING, source: 'walkabout' });
+    assert.equal(named.sample[0].id, 'walkabout:1');
+    assert.equal(named.sample[0].coordinates.source, 'import');
+
+    const unnamed = await dryRun(CSV, { format: 'csv', mapping: MAPPING });
+    assert.equal(unnamed.source, 'csv-import');
+    assert.equal(unnamed.sample[0].id, 'csv-import:1');
+});
+
+test('keeps numeric tweet ids and rejects the rest in X archives', async () => {
+    const summary = await dryRun(ARCHIVE, { filename: 'tweets.js', author: 'caleb_friesen' });
+
+    assert.equal(summary.format, 'x-archive');
+    assert.equal(summary.source, 'twitter');
+    assert.equal(summary.validRows, 1);
+    assert.equal(summary.skippedRows, 1);
+    assert.equal(summary.sample[0].id, '1790000000000000001');
+    assert.deepEqual(summary.errors.map(e => e.row), [2]);
+    assert.match(summary.errors[0].error, /not numeric/);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const IssueProcessor = require('../src/issueProcessor');
+const RuleClassifier = require('../src/ruleClassifier');
+
+const rules = new RuleClassifier();
+
+// In-memory stand-ins for the tables finalizePost writes
+function fakeStore() {
+    const store = { locations: new Map(), statuses: new Map() };
+    const overrides = {
+        saveLocations: async (items) => items.forEach(item => store.locations.set(item.id, item.coordinates)),
+        deleteDerivedLocation: async (postId, keepSources) => {
+            const coordinates = store.locations.get(postId);
+            if (!coordinates || keepSources.includes(coordinates.source)) return false;
+            return store.locations.delete(postId);
+        },
+        updateLocationClassification: async () => {},
+        saveVerdicts: async () => {},
+        markPostAsProcessed: async (postId, status) => store.statuses.set(postId, status)
+    };
+    store.install = () => {
+        const originals = Object.fromEntries(Object.keys(overrides).map(name => [name, db[name]]));
+        Object.assign(db, overrides);
+        return () => Object.assign(db, originals);
+    };
+    return store;
+}
+
+function processor() {
+    const instance = Object.create(IssueProcessor.prototype);
+    instance.geocoder = { geocode: async () => ({ lat: 12.9784, lon: 77.6408, source: 'geocoded', provider: 'gazetteer' }) };
+    instance.getExifCoordinates = async () => null;
+    return instance;
+}
+
+// A post as it comes back from analysis
+function analyzed(post, text) {
+    return { ...post, aiAnalysis: rules.analyze(text) };
+}
+
+test('a re-run that finds no issue removes the geocoded pin', async () => {
+    const store = fakeStore();
+    const restore = store.install();
+    try {
+        const post = { id: '201', text: 'Broken footpath near Indiranagar metro, slabs missing' };
+        const first = await processor().finalizePost(analyzed(post, post.text));
+        assert.equal(first.mapped, true);
+        assert.equal(store.locations.get('201').source, 'geocoded');
+
+        // Re-analyzed under a newer prompt, which reads it as a non-issue
+        const rerun = await processor().finalizePost(analyzed(post, 'Lovely weather in Bangalore today'));
+        assert.equal(rerun.mapped, false);
+        assert.equal(store.locations.has('201'), false);
+        assert.equal(store.statuses.get('201'), 'processed_no_issue');
+    } finally {
+        restore();
+    }
+});
+
+test('a non-issue verdict keeps coordinates the reporter supplied', async () => {
+    const store = fakeStore();
+    const restore = store.install();
+    try {
+        const written = { lat: 12.9716, lon: 77.5946, source: 'explicit' };
+        store.locations.set('202', written);
+
+        await processor().finalizePost(analyzed({ id: '202', coordinates: written }, 'Lovely weather in Bangalore today'));
+        assert.deepEqual(store.locations.get('202'), written);
+    } finally {
+        restore();
+    }
+});
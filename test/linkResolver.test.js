@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const LinkResolver = require('../src/linkResolver');
+
+// Stub shortener and map site: "/<host><path>" stands for https://<host><path>
+const ROUTES = {
+    '/t.co/abc': { status: 301, location: 'https://maps.app.goo.gl/xyz' },
+    '/maps.app.goo.gl/xyz': { status: 302, location: 'https://www.google.com/maps/place/Indiranagar/@12.9784%2C77.6408,17z' },
+    '/t.co/get-only': { status: 301, location: 'https://www.google.com/maps/@12.9352,77.6245,16z', headStatus: 405 },
+    '/t.co/news': { status: 301, location: 'https://example.com/article' },
+    '/t.co/dead': { status: 404 }
+};
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        const route = ROUTES[req.url.split('?')[0]];
+        if (!route) {
+            res.writeHead(200);
+            return res.end('final page');
+        }
+        if (req.method === 'HEAD' && route.headStatus) {
+            res.writeHead(route.headStatus);
+            return res.end();
+        }
+        res.writeHead(route.status, route.location ? { Location: route.location } : {});
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// The real HTTP fetcher, pointed at the stub server instead of the internet
+function stubResolver() {
+    return new LinkResolver({
+        useCache: false,
+        fetcher: url => {
+            const { host, pathname, search } = new URL(url);
+            return LinkResolver.httpFetcher(`${baseUrl}/${host}${pathname}${search}`);
+        }
+    });
+}
+
+test('follows a chain of short links to the final URL', async () => {
+    const expanded = await stubResolver().resolve('https://t.co/abc');
+    assert.equal(expanded, 'https://www.google.com/maps/place/Indiranagar/@12.9784%2C77.6408,17z');
+});
+
+test('locates coordinates behind a short link in the text', async () => {
+    const coords = await stubResolver().locate('Broken slab here https://t.co/abc please fix');
+    assert.equal(coords.lat, 12.9784);
+    assert.equal(coords.lon, 77.6408);
+    assert.equal(coords.expandedFrom, 'https://t.co/abc');
+});
+
+test('falls back to GET when the shortener rejects HEAD', async () => {
+    requests.length = 0;
+    const coords = await stubResolver().locate('https://t.co/get-only');
+    assert.deepEqual([coords.lat, coords.lon], [12.9352, 77.6245]);
+    assert.deepEqual(requests.slice(0, 2), ['HEAD /t.co/get-only', 'GET /t.co/get-only']);
+});
+
+test('returns null for links without coordinates or without a redirect', async () => {
+    const resolver = stubResolver();
+    assert.equal(await resolver.locate('Read this https://t.co/news'), null);
+    assert.equal(await resolver.resolve('https://t.co/dead'), null);
+});
+
+test('coordinates in the text are used without expanding links', async () => {
+    requests.length = 0;
+    const coords = await stubResolver().locate('12.9716, 77.5946 https://t.co/abc');
+    assert.deepEqual([coords.lat, coords.lon], [12.9716, 77.5946]);
+    assert.equal(requests.length, 0);
+});
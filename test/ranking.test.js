@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AMBIGUITY_MARGIN, rankCandidates, pickCandidate } = require('../src/geocoders/ranking');
+
+// "100 Feet Road" exists in both neighbourhoods, about 4.5 km apart
+const INDIRANAGAR = { lat: 12.9719, lon: 77.6412, displayName: '100 Feet Road, Indiranagar, Bengaluru', importance: 0.5 };
+const KORAMANGALA = { lat: 12.9345, lon: 77.6265, displayName: '100 Feet Road, Koramangala, Bengaluru', importance: 0.55 };
+
+test('prefers the candidate in the locality the post names, spelling variants included', () => {
+    const { best, ambiguous } = pickCandidate([INDIRANAGAR, KORAMANGALA], { street: '100 Feet Road', locality: 'Koramangla' });
+
+    assert.equal(best.displayName, KORAMANGALA.displayName);
+    assert.equal(ambiguous, false);
+});
+
+test('an anchor nearby outweighs the geocoder order', () => {
+    const forum = { lat: 12.9346, lon: 77.6113 };
+    const { best } = pickCandidate([INDIRANAGAR, KORAMANGALA], { street: '100 Feet Road' }, [forum]);
+    assert.equal(best.displayName, KORAMANGALA.displayName);
+});
+
+test('flags a runner-up within the margin somewhere else as ambiguous', () => {
+    const { best, rivals, ambiguous } = pickCandidate([INDIRANAGAR, KORAMANGALA], { street: '100 Feet Road' });
+
+    assert.ok(best.score - rivals[0].score < AMBIGUITY_MARGIN);
+    assert.equal(ambiguous, true);
+    assert.equal(rivals[0].displayName, KORAMANGALA.displayName);
+});
+
+test('a runner-up at least the margin behind is not a rival', () => {
+    const distant = { ...KORAMANGALA, importance: 0 };
+    const [first, second] = rankCandidates([INDIRANAGAR, distant], {});
+
+    assert.ok(first.score - second.score >= AMBIGUITY_MARGIN);
+    assert.equal(pickCandidate([INDIRANAGAR, distant], {}).ambiguous, false);
+});
+
+test('segments of the same road are not rivals', () => {
+    const segment = { ...INDIRANAGAR, lat: 12.9751, lon: 77.6409, importance: 0.55 };
+    const { rivals, ambiguous } = pickCandidate([INDIRANAGAR, segment], { street: '100 Feet Road' });
+
+    assert.deepEqual(rivals, []);
+    assert.equal(ambiguous, false);
+});
+
+test('returns null without candidates', () => {
+    assert.equal(pickCandidate([], { street: '100 Feet Road' }), null);
+});
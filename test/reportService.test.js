@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const db = require('../src/db');
+const ReportService = require('../src/reportService');
+
+const FORM = { description: 'Slabs missing outside the bus stop', lat: '12.9716', lon: '77.5946' };
+
+// Archiver that stores nothing, or fails like an unreachable bucket
+function archiver({ failStore = false } = {}) {
+    return {
+        enabled: true,
+        stored: 0,
+        async storeUpload() {
+            if (failStore) throw new Error('bucket unreachable');
+            this.stored++;
+            return { contentHash: 'x', details: {}, gps: null };
+        },
+        async recordUpload() {}
+    };
+}
+
+async function photo() {
+    const buffer = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#888' } }).jpeg().toBuffer();
+    return { buffer, originalname: 'slab.jpg' };
+}
+
+// Count posts saved without touching the database
+async function withSavedPosts(fn) {
+    const original = db.savePosts;
+    const saved = [];
+    db.savePosts = async (posts) => { saved.push(...posts); return posts.length; };
+    try {
+        await fn(saved);
+    } finally {
+        db.savePosts = original;
+    }
+}
+
+test('leaves the issue type empty unless the reporter picked one', () => {
+    const service = new ReportService(null);
+
+    assert.equal(service.validate(FORM).report.issueType, null);
+    assert.equal(service.validate({ ...FORM, issueType: 'open_drain' }).report.issueType, 'open_drain');
+    assert.equal(service.validate({ ...FORM, issueType: 'pothole' }).errors.length, 1);
+});
+
+test('rejects a truncated photo before saving the post', async () => {
+    const service = new ReportService(archiver());
+    const { buffer } = await photo();
+
+    await withSavedPosts(async (saved) => {
+        await assert.rejects(
+            service.create(service.validate(FORM).report, [{ buffer: buffer.subarray(0, buffer.length / 2), originalname: 'slab.jpg' }]),
+            { status: 400 }
+        );
+        assert.equal(saved.length, 0);
+    });
+});
+
+test('does not save the post when a photo cannot be stored', async () => {
+    const service = new ReportService(archiver({ failStore: true }));
+
+    await withSavedPosts(async (saved) => {
+        await assert.rejects(service.create(service.validate(FORM).report, [await photo()]), /bucket unreachable/);
+        assert.equal(saved.length, 0);
+    });
+});
+
+test('saves the post once every photo is stored', async () => {
+    const media = archiver();
+    const service = new ReportService(media);
+
+    await withSavedPosts(async (saved) => {
+        const result = await service.create(service.validate(FORM).report, [await photo(), await photo()]);
+        assert.equal(result.photos, 2);
+        assert.equal(media.stored, 2);
+        assert.equal(saved[0].reportedIssueType, null);
+    });
+});
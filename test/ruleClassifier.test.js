@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RuleClassifier = require('../src/ruleClassifier');
+const IssueProcessor = require('../src/issueProcessor');
+
+const rules = new RuleClassifier();
+
+// prefilter only needs the classifier and its mode
+function prefilter(texts) {
+    const context = {
+        ruleModes: new Set(['prefilter']),
+        ruleClassifier: rules,
+        ruleRecord: IssueProcessor.prototype.ruleRecord
+    };
+    const reports = texts.map((text, i) => ({ id: String(i), text }));
+    const { screened, remaining } = IssueProcessor.prototype.prefilter.call(context, reports);
+    return { screened: screened.map(p => p.text), remaining: remaining.map(p => p.text) };
+}
+
+test('maps complaint phrases to issue types, severity and accessibility', () => {
+    const drain = rules.analyze('Open drain on the footpath at Koramangala 5th Block, someone will fall in');
+    assert.equal(drain.isIssue, true);
+    assert.deepEqual(drain.issueTypes, ['open_drain']);
+    // Open drains start at 4; the hazard word adds one
+    assert.equal(drain.severity, 5);
+    assert.equal(drain.accessibilityImpact, true);
+
+    const vendors = rules.analyze('Vendors have encroached the entire sidewalk near KR Market');
+    assert.deepEqual(vendors.issueTypes, ['encroachment']);
+    assert.equal(vendors.accessibilityImpact, false);
+
+    const parked = rules.analyze('Cars parked on the footpath on 5th Cross, Malleshwaram. Wheelchair users have to walk on the road');
+    assert.deepEqual(parked.issueTypes, ['missing_footpath', 'parked_vehicles']);
+    assert.equal(parked.accessibilityImpact, true);
+});
+
+test('needs footpath context before calling a complaint an issue', () => {
+    assert.equal(rules.analyze('Pothole on the road near HSR').isIssue, false);
+    assert.equal(rules.analyze('Thank you BBMP, the new footpath on Church Street is beautiful').isIssue, false);
+});
+
+test('reads Kannada and Hindi complaints', () => {
+    const kannada = rules.analyze('ಜಯನಗರದಲ್ಲಿ ಫುಟ್‌ಪಾತ್ ಹಾಳಾಗಿದೆ');
+    assert.equal(kannada.isIssue, true);
+    assert.deepEqual(kannada.issueTypes, ['broken_slab']);
+
+    const hindi = rules.analyze('फुटपाथ पर गाड़ी खड़ी है, इंदिरानगर');
+    assert.deepEqual(hindi.issueTypes, ['parked_vehicles']);
+});
+
+test('extracts roads, landmarks, localities and cross roads', () => {
+    const hosur = rules.analyze('No footpath at all on Hosur Road near Silk Board, dangerous');
+    assert.equal(hosur.location, 'Hosur Road, Bangalore');
+    assert.deepEqual(hosur.locationParts, { street: 'Hosur Road', crossRoad: null, locality: null, landmark: 'Silk Board' });
+
+    assert.equal(rules.extractLocation('Cars parked on the footpath on 5th Cross, Malleshwaram'), '5th Cross, Malleshwaram, Bangalore');
+    assert.equal(rules.extractLocation('Footpath broken near KR Market'), 'KR Market, Bangalore');
+    // A cross road alone can't be geocoded
+    assert.equal(rules.extractLocation('Footpath broken on 5th Cross'), null);
+});
+
+test('pre-filter screens out obvious non-issues only', () => {
+    const { screened, remaining } = prefilter([
+        'Lovely weather in Bangalore today',
+        'Join us for a webinar on walkable cities',
+        'Traffic jam on ORR again, 40 minutes to cross Marathahalli',
+        'Broken footpath near Indiranagar metro, slabs missing',
+        'Pothole on the road near HSR',
+        'ಇಂದು ಬೆಂಗಳೂರಿನಲ್ಲಿ ಒಳ್ಳೆಯ ಹವಾಮಾನ'
+    ]);
+
+    assert.deepEqual(screened, [
+        'Lovely weather in Bangalore today',
+        'Join us for a webinar on walkable cities',
+        'Traffic jam on ORR again, 40 minutes to cross Marathahalli'
+    ]);
+    // Issues, borderline complaints and posts the English lexicon can't judge still go to the LLM
+    assert.deepEqual(remaining, [
+        'Broken footpath near Indiranagar metro, slabs missing',
+        'Pothole on the road near HSR',
+        'ಇಂದು ಬೆಂಗಳೂರಿನಲ್ಲಿ ಒಳ್ಳೆಯ ಹವಾಮಾನ'
+    ]);
+});